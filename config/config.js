@@ -6,11 +6,105 @@ module.exports = {
     env: process.env.NODE_ENV || 'development'
   },
   database: {
+    enabled: process.env.DB_ENABLED !== 'false',
     host: process.env.DB_HOST || 'localhost',
     port: process.env.DB_PORT || 5432,
     database: process.env.DB_NAME || 'callanalytics',
     user: process.env.DB_USER || 'admin',
-    password: process.env.DB_PASSWORD || 'password'
+    password: process.env.DB_PASSWORD || 'password',
+    maxConnections: parseInt(process.env.DB_MAX_CONNECTIONS) || 10
+  },
+  business: {
+    // IANA timezone for every date bucket, schedule and report
+    timezone: process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata',
+    // Hour (0-23) the business day starts - e.g. 4 keeps a night shift on one day
+    dayStartHour: Math.min(Math.max(parseInt(process.env.BUSINESS_DAY_START_HOUR) || 0, 0), 23)
+  },
+  storage: {
+    // nocodb | postgres | memory
+    backend: process.env.STORAGE_BACKEND || 'nocodb'
+  },
+  talkTime: {
+    // Days of per-agent daily totals kept in data/talk-time/
+    retentionDays: parseInt(process.env.TALK_TIME_RETENTION_DAYS) || 90
+  },
+  idleQueue: {
+    // Uploads retry with exponential backoff, then move to the dead-letter list
+    maxAttempts: parseInt(process.env.IDLE_QUEUE_MAX_ATTEMPTS) || 8,
+    baseRetryMs: parseInt(process.env.IDLE_QUEUE_BASE_RETRY_MS) || 5000,
+    maxRetryMs: parseInt(process.env.IDLE_QUEUE_MAX_RETRY_MS) || 600000
+  },
+  stateLog: {
+    // Days of agent state transitions and login sessions kept under data/
+    retentionDays: parseInt(process.env.STATE_LOG_RETENTION_DAYS) || 90
+  },
+  breaks: {
+    // code:Label pairs the agent app can send with break_started
+    reasonCodes: (process.env.BREAK_REASON_CODES || 'lunch:Lunch,tea:Tea Break,training:Training,meeting:Meeting,personal:Personal')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [code, label] = entry.split(':').map(part => part.trim());
+        return { code, label: label || code };
+      })
+  },
+  reminders: {
+    // Days of reminder deliveries and acknowledgments kept in data/reminders/
+    retentionDays: parseInt(process.env.REMINDER_LOG_RETENTION_DAYS) || 90,
+    // Default window for "call started within N minutes of a reminder" in analytics
+    callWithinMinutes: parseInt(process.env.REMINDER_CALL_WITHIN_MINUTES) || 5,
+    // How often due reminders are checked; each agent's next due time is kept in Redis
+    checkIntervalSeconds: parseInt(process.env.REMINDER_CHECK_INTERVAL_SECONDS) || 15,
+    // Languages reminder templates can be written in; agents without a preference get the default
+    languages: (process.env.REMINDER_LANGUAGES || 'en,hi').split(',').map(language => language.trim()).filter(Boolean),
+    defaultLanguage: process.env.REMINDER_DEFAULT_LANGUAGE || 'en',
+    // Daily talk time target behind the {{target}} and {{targetGap}} template placeholders
+    dailyTalkTimeTargetMinutes: parseInt(process.env.DAILY_TALK_TIME_TARGET_MINUTES) || 120,
+    // When on, idle time outside an agent's reminder schedule isn't recorded or shown as idle
+    scheduleIdleTracking: process.env.REMINDER_SCHEDULE_IDLE_TRACKING === 'true'
+  },
+  escalation: {
+    // Ladder climbed once per idle stretch; a level fires when either threshold is reached (0 turns one off)
+    levels: [
+      {
+        level: 1,
+        unacknowledgedReminders: parseInt(process.env.ESCALATION_L1_UNACKED_REMINDERS ?? 3),
+        idleMinutes: parseInt(process.env.ESCALATION_L1_IDLE_MINUTES ?? 20),
+        webhookUrl: process.env.ESCALATION_L1_WEBHOOK_URL || null
+      },
+      {
+        level: 2,
+        unacknowledgedReminders: parseInt(process.env.ESCALATION_L2_UNACKED_REMINDERS ?? 5),
+        idleMinutes: parseInt(process.env.ESCALATION_L2_IDLE_MINUTES ?? 40),
+        webhookUrl: process.env.ESCALATION_L2_WEBHOOK_URL || null
+      }
+    ],
+    webhookTimeoutMs: parseInt(process.env.ESCALATION_WEBHOOK_TIMEOUT_MS) || 5000,
+    // Days of fired escalations kept in data/escalations/
+    retentionDays: parseInt(process.env.ESCALATION_RETENTION_DAYS) || 90
+  },
+  announcements: {
+    // Days announcements and their receipts are kept in data/announcements.json
+    retentionDays: parseInt(process.env.ANNOUNCEMENT_RETENTION_DAYS) || 30,
+    maxLength: parseInt(process.env.ANNOUNCEMENT_MAX_LENGTH) || 1000
+  },
+  chat: {
+    // Days of supervisor-agent chat kept in data/chat/, all replayed on startup
+    retentionDays: parseInt(process.env.CHAT_RETENTION_DAYS) || 30,
+    maxLength: parseInt(process.env.CHAT_MAX_LENGTH) || 2000,
+    // Messages per history page
+    historyLimit: parseInt(process.env.CHAT_HISTORY_LIMIT) || 50
+  },
+  audit: {
+    // Days of administrative actions kept in data/audit/
+    retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365
+  },
+  dailyStats: {
+    // End-of-day upload time (business timezone) and how many missed days are uploaded on startup
+    runAt: process.env.DAILY_STATS_RUN_AT || '23:55',
+    catchUpDays: parseInt(process.env.DAILY_STATS_CATCH_UP_DAYS) || 7,
+    retryMinutes: parseInt(process.env.DAILY_STATS_RETRY_MINUTES) || 15
   },
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
@@ -18,5 +112,24 @@ module.exports = {
   },
   cors: {
     origin: process.env.CORS_ORIGIN || '*'
+  },
+  auth: {
+    // Off only for local development - every request is then treated as an admin
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    // Signs session tokens; set it so sessions survive restarts and work across instances
+    sessionSecret: process.env.AUTH_SESSION_SECRET || null,
+    sessionHours: parseInt(process.env.AUTH_SESSION_HOURS) || 12,
+    secureCookies: process.env.AUTH_SECURE_COOKIES === 'true',
+    // Admin created on first start when data/users.json has no users
+    adminUsername: process.env.AUTH_ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.AUTH_ADMIN_PASSWORD || null,
+    minPasswordLength: parseInt(process.env.AUTH_MIN_PASSWORD_LENGTH) || 10,
+    // Wrong passwords per username and address before a 15 minute lockout
+    maxLoginAttempts: parseInt(process.env.AUTH_MAX_LOGIN_ATTEMPTS) || 5
+  },
+  devices: {
+    // Agent app sockets must present a paired device token; turn off only while rolling pairing out
+    requirePairing: process.env.DEVICE_PAIRING_REQUIRED !== 'false',
+    pairingCodeMinutes: parseInt(process.env.DEVICE_PAIRING_CODE_MINUTES) || 15
   }
 };
\ No newline at end of file
@@ -6,11 +6,71 @@ module.exports = {
     env: 'test' // Force test mode
   },
   database: {
+    enabled: false,
     host: 'localhost',
     port: 5432,
     database: 'test',
     user: 'test',
-    password: 'test'
+    password: 'test',
+    maxConnections: 2
+  },
+  business: {
+    timezone: 'Asia/Kolkata',
+    dayStartHour: 0
+  },
+  storage: {
+    backend: 'memory'
+  },
+  talkTime: {
+    retentionDays: 7
+  },
+  idleQueue: {
+    maxAttempts: 3,
+    baseRetryMs: 100,
+    maxRetryMs: 1000
+  },
+  stateLog: {
+    retentionDays: 7
+  },
+  breaks: {
+    reasonCodes: [
+      { code: 'lunch', label: 'Lunch' },
+      { code: 'training', label: 'Training' }
+    ]
+  },
+  reminders: {
+    retentionDays: 7,
+    callWithinMinutes: 5,
+    checkIntervalSeconds: 5,
+    languages: ['en', 'hi'],
+    defaultLanguage: 'en',
+    dailyTalkTimeTargetMinutes: 60,
+    scheduleIdleTracking: false
+  },
+  escalation: {
+    levels: [
+      { level: 1, unacknowledgedReminders: 2, idleMinutes: 5, webhookUrl: null },
+      { level: 2, unacknowledgedReminders: 3, idleMinutes: 10, webhookUrl: null }
+    ],
+    webhookTimeoutMs: 1000,
+    retentionDays: 7
+  },
+  announcements: {
+    retentionDays: 7,
+    maxLength: 1000
+  },
+  chat: {
+    retentionDays: 7,
+    maxLength: 2000,
+    historyLimit: 50
+  },
+  audit: {
+    retentionDays: 7
+  },
+  dailyStats: {
+    runAt: '23:55',
+    catchUpDays: 2,
+    retryMinutes: 1
   },
   redis: {
     host: 'localhost',
@@ -18,5 +78,19 @@ module.exports = {
   },
   cors: {
     origin: process.env.CORS_ORIGIN || '*'
+  },
+  auth: {
+    enabled: false,
+    sessionSecret: 'test-session-secret',
+    sessionHours: 1,
+    secureCookies: false,
+    adminUsername: 'admin',
+    adminPassword: 'test-admin-password',
+    minPasswordLength: 10,
+    maxLoginAttempts: 5
+  },
+  devices: {
+    requirePairing: false,
+    pairingCodeMinutes: 15
   }
-};
\ No newline at end of file
+};
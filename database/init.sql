@@ -9,11 +9,20 @@ CREATE TABLE IF NOT EXISTS agents (
     agent_code VARCHAR(50) PRIMARY KEY,
     agent_name VARCHAR(100) NOT NULL,
     last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    status VARCHAR(20) DEFAULT 'offline' CHECK (status IN ('online', 'offline', 'on_call', 'removed')),
+    status VARCHAR(20) DEFAULT 'offline' CHECK (status IN ('online', 'offline', 'on_call', 'on_break', 'removed')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Databases created before on_break existed
+ALTER TABLE agents DROP CONSTRAINT IF EXISTS agents_status_check;
+ALTER TABLE agents ADD CONSTRAINT agents_status_check
+    CHECK (status IN ('online', 'offline', 'on_call', 'on_break', 'removed'));
+
+-- Team and preferred language choose the agent's reminder template
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS team VARCHAR(50);
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(10);
+
 -- Create calls table with indexes
 CREATE TABLE IF NOT EXISTS calls (
     id SERIAL PRIMARY KEY,
@@ -41,6 +50,19 @@ CREATE TABLE IF NOT EXISTS idle_sessions (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create daily_talktime table for end-of-day totals (one row per agent per date)
+CREATE TABLE IF NOT EXISTS daily_talktime (
+    id SERIAL PRIMARY KEY,
+    agent_code VARCHAR(50) REFERENCES agents(agent_code) ON DELETE CASCADE,
+    agent_name VARCHAR(100),
+    talk_date DATE NOT NULL,
+    talk_time INTEGER DEFAULT 0 CHECK (talk_time >= 0), -- Duration in seconds
+    total_calls INTEGER DEFAULT 0 CHECK (total_calls >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (agent_code, talk_date)
+);
+
 -- Create agent reminder settings table
 CREATE TABLE IF NOT EXISTS agent_reminder_settings (
     agent_code VARCHAR(50) PRIMARY KEY REFERENCES agents(agent_code) ON DELETE CASCADE,
@@ -50,6 +72,9 @@ CREATE TABLE IF NOT EXISTS agent_reminder_settings (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Active windows, weekdays and holidays for reminders (NULL = always)
+ALTER TABLE agent_reminder_settings ADD COLUMN IF NOT EXISTS schedule JSONB;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_calls_agent_date ON calls(agent_code, call_date);
 CREATE INDEX IF NOT EXISTS idx_calls_date ON calls(call_date);
@@ -59,6 +84,7 @@ CREATE INDEX IF NOT EXISTS idx_agents_last_seen ON agents(last_seen);
 CREATE INDEX IF NOT EXISTS idx_idle_sessions_agent_date ON idle_sessions(agent_code, session_date);
 CREATE INDEX IF NOT EXISTS idx_idle_sessions_date ON idle_sessions(session_date);
 CREATE INDEX IF NOT EXISTS idx_idle_sessions_duration ON idle_sessions(idle_duration);
+CREATE INDEX IF NOT EXISTS idx_daily_talktime_date ON daily_talktime(talk_date);
 
 -- Create function to automatically update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -76,6 +102,13 @@ CREATE TRIGGER update_agents_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Create trigger for daily talk time
+DROP TRIGGER IF EXISTS update_daily_talktime_updated_at ON daily_talktime;
+CREATE TRIGGER update_daily_talktime_updated_at
+    BEFORE UPDATE ON daily_talktime
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Create trigger for reminder settings
 DROP TRIGGER IF EXISTS update_reminder_settings_updated_at ON agent_reminder_settings;
 CREATE TRIGGER update_reminder_settings_updated_at
@@ -6,6 +6,18 @@ let reconnectAttempts = 0;
 let maxReconnectAttempts = 5;
 let sortBy = 'talkTime';
 let sortDirection = 'desc';
+let businessDay = null; // { timezone, dayStartHour, date } from /api/business-day
+let businessDayFetchedAt = 0;
+let supervisorAlerts = []; // Today's escalations, newest first
+let announcementList = []; // Recent announcements with receipts, newest first
+let announcementAgents = []; // Agents the announcement form can target
+let currentUser = null; // { username, role, permissions } from /api/auth/me
+let chatThreads = []; // The signed-in user's chat threads, most recent first
+let chatActiveAgent = null;
+let chatMessages = []; // Messages of the open thread, oldest first
+let chatTypingTimer = null;
+let chatLastTypingSent = 0;
+let reminderTemplateData = null; // { templates, assignments, languages, kinds, placeholders } from /api/reminder-templates
 
 // Debug logging
 function debugLog(message, data = null) {
@@ -28,6 +40,11 @@ function sanitizeHTML(str) {
   return div.innerHTML;
 }
 
+// sanitizeHTML leaves quotes alone - use this for text inside attribute values
+function escapeAttribute(str) {
+  return sanitizeHTML(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function formatDuration(seconds) {
   if (!seconds || seconds < 0) return '0s';
   
@@ -52,7 +69,8 @@ function formatTime(timestamp) {
     hour: '2-digit',
     minute: '2-digit',
     second: '2-digit',
-    hour12: false
+    hour12: false,
+    timeZone: businessDay?.timezone
   });
 }
 
@@ -142,12 +160,48 @@ function removeToast(toastId) {
   }
 }
 
+// Session expired or signed out elsewhere
+function redirectToLogin() {
+  window.location.href = '/login';
+}
+
+function can(permission) {
+  return Boolean(currentUser && currentUser.permissions.includes(permission));
+}
+
+// Elements marked data-permission are hidden (via a body class) from users without it
+async function loadCurrentUser() {
+  const result = await fetchAPI('/auth/me');
+  currentUser = result.data;
+
+  ['write:settings', 'message:agents', 'admin:agents', 'admin:system'].forEach(permission => {
+    document.body.classList.toggle(`lacks-${permission.replace(':', '-')}`, !can(permission));
+  });
+
+  const label = document.getElementById('currentUser');
+  if (label) {
+    label.textContent = `👤 ${currentUser.username} (${currentUser.role})`;
+  }
+}
+
+async function logout() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } finally {
+    redirectToLogin();
+  }
+}
+
 // API Functions
 async function fetchAPI(endpoint) {
   try {
     debugLog(`API Request: GET ${endpoint}`);
     
     const response = await fetch(`/api${endpoint}`);
+    if (response.status === 401) {
+      redirectToLogin();
+      throw new Error('Not signed in');
+    }
     const data = await response.json();
 
     if (!response.ok) {
@@ -163,6 +217,22 @@ async function fetchAPI(endpoint) {
   }
 }
 
+// "Today" is the server's business date (configured timezone and day-start hour), not the browser's
+async function getBusinessToday() {
+  if (!businessDay || Date.now() - businessDayFetchedAt > 60000) {
+    try {
+      const result = await fetchAPI('/business-day');
+      businessDay = result.data;
+      businessDayFetchedAt = Date.now();
+    } catch (error) {
+      debugLog('Failed to load business day, using browser date:', error.message);
+      return businessDay?.date || new Date().toISOString().split('T')[0];
+    }
+  }
+
+  return businessDay.date;
+}
+
 async function removeAgent(agentCode) {
   if (!confirm(`Are you sure you want to remove ${agentCode} from the dashboard?\n\nThis will hide the agent but preserve their call history.`)) {
     return;
@@ -173,6 +243,7 @@ async function removeAgent(agentCode) {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' }
     });
+    if (response.status === 401) return redirectToLogin();
     
     const data = await response.json();
     
@@ -251,6 +322,7 @@ function initWebSocket() {
     debugLog('Connecting to WebSocket server...');
     
     socket = io({
+      auth: { client: 'dashboard' },
       timeout: 10000,
       reconnection: true,
       reconnectionAttempts: maxReconnectAttempts,
@@ -273,6 +345,11 @@ function setupWebSocketEvents() {
     reconnectAttempts = 0;
     debugLog('WebSocket connected successfully');
     updateConnectionStatus(true, 'Connected');
+
+    // Rooms don't survive a reconnect
+    if (can('message:agents')) {
+      socket.emit('chat_join');
+    }
   });
 
   socket.on('disconnect', (reason) => {
@@ -287,6 +364,11 @@ function setupWebSocketEvents() {
     debugLog(`WebSocket connection error (attempt ${reconnectAttempts}): ${error.message}`);
     updateConnectionStatus(false, 'Connection Error');
 
+    if (error.message === 'Authentication required') {
+      redirectToLogin();
+      return;
+    }
+
     if (reconnectAttempts >= maxReconnectAttempts) {
       showToast('Failed to connect to server. Please refresh the page.', 'error');
     }
@@ -319,6 +401,75 @@ function setupWebSocketEvents() {
     updateAgentTalkTime(data.agentCode, data.talkTime);
   });
 
+  // Reminder escalation ladder
+  socket.on('supervisor_alert', (alert) => {
+    debugLog('Supervisor alert received', alert);
+    supervisorAlerts.unshift(alert);
+    updateSupervisorAlertList();
+    showToast(`🚨 ${alert.agentCode} escalated to level ${alert.level} (${alert.minutesIdle} min idle)`, 'warning', 8000);
+  });
+
+  socket.on('supervisor_alert_resolved', ({ agentCode }) => {
+    supervisorAlerts.forEach(alert => {
+      if (alert.agentCode === agentCode) alert.active = false;
+    });
+    updateSupervisorAlertList();
+  });
+
+  // Supervisor-agent chat
+  socket.on('chat_threads', (threads) => {
+    chatThreads = threads;
+    updateChatThreadList();
+  });
+
+  socket.on('chat_message', handleChatMessage);
+
+  socket.on('chat_typing', (indicator) => {
+    if (indicator.agentCode !== chatActiveAgent || indicator.from !== 'agent') return;
+    const typingLine = document.getElementById('chatTyping');
+    typingLine.textContent = indicator.typing ? `${indicator.agentCode} is typing...` : '';
+    clearTimeout(chatTypingTimer);
+    chatTypingTimer = setTimeout(() => { typingLine.textContent = ''; }, 5000);
+  });
+
+  socket.on('chat_delivered', ({ agentCode, messageIds }) => {
+    if (agentCode !== chatActiveAgent) return;
+    const delivered = new Set(messageIds);
+    chatMessages.forEach(message => {
+      if (delivered.has(message.id) && !message.deliveredAt) message.deliveredAt = new Date().toISOString();
+    });
+    updateChatMessages();
+  });
+
+  socket.on('chat_read', (receipt) => {
+    const thread = chatThreads.find(entry => entry.agentCode === receipt.agentCode);
+    if (receipt.reader === 'supervisor' && thread) {
+      thread.unread = 0;
+      updateChatThreadList();
+    }
+    if (receipt.reader === 'agent' && receipt.agentCode === chatActiveAgent) {
+      chatMessages.forEach(message => {
+        if (message.from === 'supervisor' && !message.readAt) message.readAt = receipt.readAt;
+      });
+      updateChatMessages();
+    }
+  });
+
+  socket.on('chat_error', (error) => {
+    showToast(`Chat: ${error.message}`, 'error');
+  });
+
+  // New announcements and receipts from agent apps
+  socket.on('announcement_update', (announcement) => {
+    const index = announcementList.findIndex(entry => entry.id === announcement.id);
+    if (index >= 0) {
+      announcementList[index] = announcement;
+    } else {
+      announcementList.unshift(announcement);
+    }
+    updateAnnouncementMatrix();
+  });
+
   socket.on('error', (error) => {
     debugLog('Server error:', error);
     showToast(`Server error: ${error.message || error}`, 'error');
@@ -338,6 +489,82 @@ async function loadDashboardData() {
   }
 }
 
+async function loadSupervisorAlerts() {
+  try {
+    const result = await fetchAPI('/escalations');
+    if (result.success) {
+      supervisorAlerts = result.data.escalations;
+      updateSupervisorAlertList();
+    }
+  } catch (error) {
+    debugLog('Failed to load supervisor alerts:', error.message);
+  }
+}
+
+async function loadAnnouncements() {
+  try {
+    const [announcementsResult, agentsResult] = await Promise.all([
+      fetchAPI('/announcements'),
+      fetchAPI('/agents')
+    ]);
+
+    if (agentsResult.success) {
+      announcementAgents = agentsResult.data;
+      updateAnnouncementTargets();
+      updateChatThreadList();
+    }
+    if (announcementsResult.success) {
+      announcementList = announcementsResult.data;
+      updateAnnouncementMatrix();
+    }
+  } catch (error) {
+    debugLog('Failed to load announcements:', error.message);
+  }
+}
+
+async function loadDevices() {
+  if (!can('admin:agents')) return;
+
+  try {
+    const result = await fetchAPI('/devices');
+    if (result.success) {
+      updateDeviceList(result.data);
+    }
+  } catch (error) {
+    debugLog('Failed to load paired devices:', error.message);
+  }
+}
+
+async function loadAuditLog() {
+  if (!can('admin:system')) return;
+
+  const startDateInput = document.getElementById('auditStartDate');
+  const endDateInput = document.getElementById('auditEndDate');
+
+  if (!startDateInput.value) {
+    startDateInput.value = await getBusinessToday();
+  }
+
+  const params = new URLSearchParams({ start_date: startDateInput.value });
+  if (endDateInput.value) params.set('end_date', endDateInput.value);
+
+  const filters = { action: 'auditAction', actor: 'auditActor', target_id: 'auditTarget' };
+  Object.entries(filters).forEach(([param, elementId]) => {
+    const value = document.getElementById(elementId).value.trim();
+    if (value) params.set(param, value);
+  });
+
+  try {
+    const result = await fetchAPI(`/audit?${params}`);
+    if (result.success) {
+      updateAuditActions(result.data.actions);
+      updateAuditList(result.data.entries);
+    }
+  } catch (error) {
+    showToast(`Failed to load audit log: ${error.message}`, 'error');
+  }
+}
+
 // 🎯 REMOVED: Server stats no longer needed
 // Dashboard now focuses on agent data only}
 
@@ -355,6 +582,7 @@ function handleDashboardUpdate(data) {
     updateTalkTimeTable(data.agentsTalkTime || []);
     updateOnCallList(data.agentsOnCall || []);
     updateIdleTimeList(data.agentsIdleTime || []);
+    updateOnBreakList(data.agentsOnBreak || []);
     updateHeaderStats(data);
     
     if (data.lastUpdated) {
@@ -503,6 +731,7 @@ function updateTalkTimeTable(agents) {
       <td>
         <button 
   class="remove-agent-btn" 
+  data-permission="admin:agents"
   data-agent-code="${agent.agentCode}"
   title="Remove agent from dashboard"
   aria-label="Remove ${agent.agentCode}">
@@ -560,6 +789,435 @@ function updateOnCallList(agents) {
  container.innerHTML = items;
 }
 
+function updateOnBreakList(agents) {
+ const container = document.getElementById('onBreakList');
+ const badge = document.getElementById('onBreakCount');
+
+ if (!container || !badge) return;
+
+ badge.textContent = agents.length;
+ badge.style.display = agents.length > 0 ? 'block' : 'none';
+
+ if (!agents || agents.length === 0) {
+   container.innerHTML = '<div class="no-data">☕ No agents on break</div>';
+   return;
+ }
+
+ const items = agents.map(agent => `
+     <div class="break-item fade-in" data-agent-code="${escapeAttribute(agent.agentCode)}">
+       <div class="agent-info">
+         <div class="agent-name">${sanitizeHTML(agent.agentCode)} - ${sanitizeHTML(agent.agentName)}</div>
+         <div class="break-started">Since: ${formatTime(agent.breakStartedAt)}</div>
+       </div>
+       <div class="break-info">
+         <span class="status-badge on-break">${sanitizeHTML(agent.reasonLabel)}</span>
+         <span class="time-badge">${formatIdleTime(agent.minutesOnBreak)}</span>
+       </div>
+     </div>
+   `).join('');
+
+ container.innerHTML = items;
+}
+
+function updateSupervisorAlertList() {
+ const container = document.getElementById('supervisorAlertList');
+ const badge = document.getElementById('alertCount');
+
+ if (!container || !badge) return;
+
+ const activeCount = supervisorAlerts.filter(alert => alert.active).length;
+ badge.textContent = activeCount;
+ badge.style.display = activeCount > 0 ? 'block' : 'none';
+
+ if (supervisorAlerts.length === 0) {
+   container.innerHTML = '<div class="no-data">✅ No escalations today</div>';
+   return;
+ }
+
+ const items = supervisorAlerts.map(alert => {
+   const trigger = alert.trigger === 'unacknowledged_reminders'
+     ? `${alert.unacknowledgedReminders} reminders unacknowledged`
+     : `Idle ${formatIdleTime(alert.minutesIdle)}`;
+   const webhook = alert.webhook ? ` · Webhook ${alert.webhook.status}` : '';
+
+   return `
+     <div class="alert-item level-${alert.level} ${alert.active ? 'active' : 'resolved'}" data-agent-code="${escapeAttribute(alert.agentCode)}">
+       <div class="agent-info">
+         <div class="agent-name">${sanitizeHTML(alert.agentCode)} - ${sanitizeHTML(alert.agentName)}</div>
+         <div class="alert-detail">${trigger} · ${alert.minutesIdle} min idle · ${alert.remindersSent} reminder(s) sent${webhook}</div>
+       </div>
+       <div class="alert-info">
+         <span class="status-badge alert-level">Level ${alert.level}</span>
+         <div class="alert-time">${formatTime(alert.timestamp)}${alert.active ? '' : ' · Resolved'}</div>
+       </div>
+     </div>
+   `;
+ }).join('');
+
+ container.innerHTML = items;
+}
+
+function updateAnnouncementTargets() {
+  const teamSelect = document.getElementById('announcementTeam');
+  const agentSelect = document.getElementById('announcementAgents');
+  if (!teamSelect || !agentSelect) return;
+
+  const teams = [...new Set(announcementAgents.map(agent => agent.team).filter(Boolean))].sort();
+  teamSelect.innerHTML = teams.length > 0
+    ? teams.map(team => `<option value="${escapeAttribute(team)}">${sanitizeHTML(team)}</option>`).join('')
+    : '<option value="">No teams set</option>';
+
+  agentSelect.innerHTML = announcementAgents.map(agent => `
+    <option value="${escapeAttribute(agent.agent_code)}">${sanitizeHTML(agent.agent_code)} - ${sanitizeHTML(agent.agent_name || 'Unknown')}</option>
+  `).join('');
+}
+
+// Rows are agents, columns the latest announcements; each cell is that agent's receipt
+function updateAnnouncementMatrix() {
+  const container = document.getElementById('announcementMatrix');
+  const badge = document.getElementById('announcementCount');
+  if (!container || !badge) return;
+
+  badge.textContent = announcementList.length;
+
+  if (announcementList.length === 0) {
+    container.innerHTML = '<div class="no-data">No announcements yet</div>';
+    return;
+  }
+
+  const columns = announcementList.slice(0, 6);
+  const agents = new Map();
+  columns.forEach(announcement => {
+    announcement.recipients.forEach(recipient => agents.set(recipient.agentCode, recipient.agentName));
+  });
+
+  const receiptCell = (announcement, agentCode) => {
+    const recipient = announcement.recipients.find(entry => entry.agentCode === agentCode);
+    if (!recipient) return '<td class="receipt none">—</td>';
+    if (recipient.readAt) return `<td class="receipt read" title="Read ${formatTime(recipient.readAt)}">✓✓</td>`;
+    if (recipient.deliveredAt) return `<td class="receipt delivered" title="Delivered ${formatTime(recipient.deliveredAt)}">✓</td>`;
+    if (recipient.sentAt) return `<td class="receipt sent" title="Sent ${formatTime(recipient.sentAt)}">📤</td>`;
+    return '<td class="receipt waiting" title="Waiting for the agent to come online">⏳</td>';
+  };
+
+  container.innerHTML = `
+    <table class="announcement-table">
+      <thead>
+        <tr>
+          <th>Agent</th>
+          ${columns.map(announcement => `
+            <th title="${escapeAttribute(announcement.message)}">
+              <div class="announcement-message">${sanitizeHTML(announcement.message)}</div>
+              <div class="announcement-meta">${formatTime(announcement.createdAt)} · Read ${announcement.totals.read}/${announcement.totals.recipients}</div>
+            </th>
+          `).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${[...agents].sort(([a], [b]) => a.localeCompare(b)).map(([agentCode, agentName]) => `
+          <tr>
+            <td><strong>${sanitizeHTML(agentCode)}</strong> ${sanitizeHTML(agentName || '')}</td>
+            ${columns.map(announcement => receiptCell(announcement, agentCode)).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function updateDeviceList({ devices, pendingCodes }) {
+  const container = document.getElementById('deviceList');
+  const badge = document.getElementById('deviceCount');
+  if (!container || !badge) return;
+
+  const active = devices.filter(device => !device.revokedAt);
+  badge.textContent = active.length;
+
+  if (devices.length === 0 && pendingCodes.length === 0) {
+    container.innerHTML = '<div class="no-data">No devices paired yet</div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="device-table">
+      <thead>
+        <tr>
+          <th>Agent</th>
+          <th>Device</th>
+          <th>Paired</th>
+          <th>Last Seen</th>
+          <th>Status</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${pendingCodes.map(pairing => `
+          <tr class="device-pending">
+            <td><strong>${sanitizeHTML(pairing.agentCode)}</strong></td>
+            <td colspan="3">Code issued by ${sanitizeHTML(pairing.createdBy)} at ${formatTime(pairing.createdAt)}</td>
+            <td>⏳ Until ${formatTime(pairing.expiresAt)}</td>
+            <td></td>
+          </tr>
+        `).join('')}
+        ${devices.map(device => `
+          <tr class="${device.revokedAt ? 'device-revoked' : ''}">
+            <td><strong>${sanitizeHTML(device.agentCode)}</strong></td>
+            <td>${sanitizeHTML(device.deviceName)}</td>
+            <td>${formatTime(device.pairedAt)}</td>
+            <td>${formatTime(device.lastSeenAt)}${device.lastIp ? ` · ${sanitizeHTML(device.lastIp)}` : ''}</td>
+            <td>${device.revokedAt ? `🚫 Revoked by ${sanitizeHTML(device.revokedBy || '')}` : '✅ Active'}</td>
+            <td>${device.revokedAt ? '' : `<button class="revoke-device-btn" data-device-id="${device.id}">Revoke</button>`}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function createPairingCode() {
+  const agentCodeInput = document.getElementById('pairingAgentCode');
+  const resultBox = document.getElementById('pairingCodeResult');
+
+  try {
+    const result = await postJSON('/api/devices/pairing-codes', { agent_code: agentCodeInput.value });
+    resultBox.textContent = `${result.data.code} - enter it in ${result.data.agentCode}'s app before ${formatTime(result.data.expiresAt)}`;
+    agentCodeInput.value = '';
+    await loadDevices();
+  } catch (error) {
+    showToast(`Failed to issue pairing code: ${error.message}`, 'error');
+  }
+}
+
+async function revokeDevice(deviceId) {
+  if (!confirm('Revoke this device? The agent app is disconnected and has to be paired again.')) return;
+
+  try {
+    const result = await postJSON(`/api/devices/${deviceId}/revoke`, {});
+    showToast(result.message, 'success');
+    await loadDevices();
+  } catch (error) {
+    showToast(`Failed to revoke device: ${error.message}`, 'error');
+  }
+}
+
+function updateAuditActions(actions) {
+  const select = document.getElementById('auditAction');
+  if (!select || select.options.length > 1) return;
+
+  actions.forEach(action => {
+    const option = document.createElement('option');
+    option.value = action;
+    option.textContent = action;
+    select.appendChild(option);
+  });
+}
+
+// "field: before → after" for each value an action changed
+function describeAuditChanges(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const format = value => value === undefined || value === null ? '—' : sanitizeHTML(typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+  const changes = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => {
+      if (!entry.after) return `${sanitizeHTML(field)}: ${format(before[field])}`;
+      if (!entry.before) return `${sanitizeHTML(field)}: ${format(after[field])}`;
+      return `${sanitizeHTML(field)}: ${format(before[field])} → ${format(after[field])}`;
+    });
+
+  if (entry.details) {
+    Object.entries(entry.details).forEach(([field, value]) => changes.push(`${sanitizeHTML(field)}: ${format(value)}`));
+  }
+
+  return changes.length > 0 ? changes.join('<br>') : '—';
+}
+
+function updateAuditList(entries) {
+  const container = document.getElementById('auditList');
+  const badge = document.getElementById('auditCount');
+  if (!container || !badge) return;
+
+  badge.textContent = entries.length;
+
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="no-data">No audited actions for these filters</div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="audit-table">
+      <thead>
+        <tr>
+          <th>When</th>
+          <th>Who</th>
+          <th>IP</th>
+          <th>Action</th>
+          <th>Target</th>
+          <th>Changes</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${entries.map(entry => `
+          <tr>
+            <td>${formatTime(entry.at)}</td>
+            <td>${sanitizeHTML(entry.actor)}</td>
+            <td>${sanitizeHTML(entry.ip || '—')}</td>
+            <td><code>${sanitizeHTML(entry.action)}</code></td>
+            <td>${sanitizeHTML(entry.targetType)} <strong>${sanitizeHTML(entry.targetId || '')}</strong></td>
+            <td class="audit-changes">${describeAuditChanges(entry)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Chat
+function updateChatThreadList() {
+  const container = document.getElementById('chatThreadList');
+  const badge = document.getElementById('chatUnreadCount');
+  const newThreadSelect = document.getElementById('chatNewThread');
+  if (!container || !badge) return;
+
+  const totalUnread = chatThreads.reduce((sum, thread) => sum + thread.unread, 0);
+  badge.textContent = totalUnread;
+  badge.style.display = totalUnread > 0 ? 'block' : 'none';
+
+  if (newThreadSelect) {
+    newThreadSelect.innerHTML = `
+      <option value="">➕ Chat with an agent...</option>
+      ${announcementAgents.map(agent => `
+        <option value="${escapeAttribute(agent.agent_code)}">${sanitizeHTML(agent.agent_code)} - ${sanitizeHTML(agent.agent_name || 'Unknown')}</option>
+      `).join('')}
+    `;
+  }
+
+  if (chatThreads.length === 0) {
+    container.innerHTML = '<div class="no-data">No conversations yet</div>';
+    return;
+  }
+
+  container.innerHTML = chatThreads.map(thread => `
+    <div class="chat-thread ${thread.agentCode === chatActiveAgent ? 'active' : ''}" data-agent-code="${escapeAttribute(thread.agentCode)}">
+      <div class="chat-thread-name">
+        ${sanitizeHTML(thread.agentCode)} - ${sanitizeHTML(thread.agentName || 'Unknown')}
+        ${thread.unread > 0 ? `<span class="chat-unread">${thread.unread}</span>` : ''}
+      </div>
+      <div class="chat-thread-preview">${thread.lastMessage ? sanitizeHTML(thread.lastMessage.text) : ''}</div>
+    </div>
+  `).join('');
+}
+
+function openChatThread(agentCode) {
+  chatActiveAgent = agentCode;
+  const agent = announcementAgents.find(entry => entry.agent_code === agentCode);
+  document.getElementById('chatConversationHeader').textContent = `${agentCode} - ${agent?.agent_name || chatThreads.find(thread => thread.agentCode === agentCode)?.agentName || ''}`;
+  document.getElementById('chatTyping').textContent = '';
+  document.getElementById('chatInput').disabled = false;
+  document.getElementById('chatSendBtn').disabled = false;
+
+  socket.emit('chat_history', { agentCode }, (response) => {
+    if (!response.success) {
+      showToast(`Chat: ${response.error}`, 'error');
+      return;
+    }
+    chatMessages = response.data.messages;
+    updateChatMessages();
+    socket.emit('chat_read', { agentCode });
+  });
+
+  updateChatThreadList();
+}
+
+function updateChatMessages() {
+  const container = document.getElementById('chatMessages');
+  if (!container) return;
+
+  const receipt = message => {
+    if (message.from !== 'supervisor') return '';
+    if (message.readAt) return ' · ✓✓';
+    return message.deliveredAt ? ' · ✓' : ' · ⏳';
+  };
+
+  container.innerHTML = chatMessages.map(message => `
+    <div class="chat-message ${message.from}">
+      <div class="chat-text">${sanitizeHTML(message.text)}</div>
+      <div class="chat-meta">${formatTime(message.sentAt)}${receipt(message)}</div>
+    </div>
+  `).join('') || '<div class="no-data">No messages yet</div>';
+  container.scrollTop = container.scrollHeight;
+}
+
+function handleChatMessage(message) {
+  let thread = chatThreads.find(entry => entry.agentCode === message.agentCode);
+  if (!thread) {
+    thread = { agentCode: message.agentCode, agentName: message.agentName, unread: 0 };
+    chatThreads.unshift(thread);
+  } else {
+    chatThreads = [thread, ...chatThreads.filter(entry => entry !== thread)];
+  }
+  thread.lastMessage = message;
+  thread.lastMessageAt = message.sentAt;
+
+  if (message.agentCode === chatActiveAgent) {
+    if (!chatMessages.some(entry => entry.id === message.id)) chatMessages.push(message);
+    updateChatMessages();
+    if (message.from === 'agent') {
+      document.getElementById('chatTyping').textContent = '';
+      socket.emit('chat_read', { agentCode: message.agentCode });
+    }
+  } else if (message.from === 'agent') {
+    thread.unread++;
+    showToast(`💬 ${message.agentCode}: ${message.text}`, 'info');
+  }
+
+  updateChatThreadList();
+}
+
+function sendChatMessage() {
+  const input = document.getElementById('chatInput');
+  const text = input.value.trim();
+  if (!text || !chatActiveAgent) return;
+
+  socket.emit('chat_send', { agentCode: chatActiveAgent, text }, (response) => {
+    if (!response.success) {
+      showToast(`Chat: ${response.error}`, 'error');
+      return;
+    }
+    input.value = '';
+    socket.emit('chat_typing', { agentCode: chatActiveAgent, typing: false });
+    chatLastTypingSent = 0;
+  });
+}
+
+// At most one typing indicator every 3 seconds
+function sendChatTyping() {
+  if (!chatActiveAgent || Date.now() - chatLastTypingSent < 3000) return;
+  chatLastTypingSent = Date.now();
+  socket.emit('chat_typing', { agentCode: chatActiveAgent, typing: true });
+}
+
+async function sendAnnouncement() {
+  const messageInput = document.getElementById('announcementMessage');
+  const targetType = document.getElementById('announcementTarget').value;
+  const target = { type: targetType };
+
+  if (targetType === 'team') {
+    target.team = document.getElementById('announcementTeam').value;
+  } else if (targetType === 'agents') {
+    target.agentCodes = [...document.getElementById('announcementAgents').selectedOptions].map(option => option.value);
+  }
+
+  try {
+    const result = await postJSON('/api/announcements', { message: messageInput.value, target });
+    messageInput.value = '';
+    showToast(result.message, 'success');
+  } catch (error) {
+    showToast(`Failed to send announcement: ${error.message}`, 'error');
+  }
+}
+
 function updateIdleTimeList(agents) {
  const container = document.getElementById('idleTimeList');
  const badge = document.getElementById('idleCount');
@@ -587,14 +1245,16 @@ function updateIdleTimeList(agents) {
      <div class="idle-item ${urgencyClass} fade-in" data-agent-code="${agent.agentCode}">
        <div class="agent-info">
          <div class="agent-name">${sanitizeHTML(agent.agentCode)} - ${sanitizeHTML(agent.agentName)}</div>
-         <div class="last-call-time">Last call: ${formatLastCallTime(agent.lastCallEnd)}</div>
+         <div class="last-call-time">${agent.awaitingFirstCall
+           ? `<span class="status-badge no-call-yet">No call yet</span> Idle since ${formatTime(agent.idleSince)}`
+           : `Last call: ${formatLastCallTime(agent.lastCallEnd)}`}</div>
        </div>
        <div class="idle-duration">
          <span class="time-badge idle-badge ${urgencyClass}" data-minutes="${agent.minutesSinceLastCall}">
            ${idleTime}
          </span>
          <div class="idle-status">${getIdleStatusText(agent.minutesSinceLastCall)}</div>
-         <button class="manual-reminder-btn" data-agent-code="${agent.agentCode}" data-agent-name="${agent.agentName}" title="Send notification to agent">
+         <button class="manual-reminder-btn" data-permission="message:agents" data-agent-code="${agent.agentCode}" data-agent-name="${agent.agentName}" title="Send notification to agent">
            📱 Notify
          </button>
        </div>
@@ -687,7 +1347,7 @@ function formatLastCallTime(lastCallEnd) {
  } else if (diffHours < 24) {
    return `${diffHours}h ago`;
  } else {
-   return endTime.toLocaleDateString();
+   return endTime.toLocaleDateString(undefined, { timeZone: businessDay?.timezone });
  }
 }
 
@@ -769,7 +1429,7 @@ function formatLastCallTime(lastCallEnd) {
  } else if (diffHours < 24) {
    return `${diffHours}h ago`;
  } else {
-   return endTime.toLocaleDateString();
+   return endTime.toLocaleDateString(undefined, { timeZone: businessDay?.timezone });
  }
 }
 
@@ -880,6 +1540,113 @@ function setupEventListeners() {
     saveAllBtn.addEventListener('click', saveAllAgentSettings);
   }
 
+  // Reminder schedules: per-row editor toggles and the bulk editor
+  const settingsTableBody = document.getElementById('settingsTableBody');
+  const bulkScheduleEditor = document.getElementById('bulkScheduleEditor');
+  const applyScheduleBtn = document.getElementById('applyScheduleToAll');
+
+  if (settingsTableBody) {
+    settingsTableBody.addEventListener('click', (event) => {
+      const toggle = event.target.closest('.schedule-toggle');
+      if (!toggle) return;
+      const agentCode = toggle.closest('tr').getAttribute('data-agent-code');
+      const scheduleRow = settingsTableBody.querySelector(`.schedule-row[data-schedule-for="${agentCode}"]`);
+      if (scheduleRow) scheduleRow.hidden = !scheduleRow.hidden;
+    });
+  }
+
+  if (bulkScheduleEditor) {
+    bulkScheduleEditor.innerHTML = scheduleEditorHTML(null);
+  }
+
+  if (applyScheduleBtn) {
+    applyScheduleBtn.addEventListener('click', applyScheduleToAll);
+  }
+
+  // Chat
+  const chatThreadList = document.getElementById('chatThreadList');
+  const chatNewThread = document.getElementById('chatNewThread');
+  const chatInput = document.getElementById('chatInput');
+  const chatSendBtn = document.getElementById('chatSendBtn');
+
+  if (chatThreadList) {
+    chatThreadList.addEventListener('click', (event) => {
+      const thread = event.target.closest('.chat-thread');
+      if (thread) openChatThread(thread.getAttribute('data-agent-code'));
+    });
+  }
+
+  if (chatNewThread) {
+    chatNewThread.addEventListener('change', () => {
+      if (chatNewThread.value) openChatThread(chatNewThread.value);
+    });
+  }
+
+  if (chatInput) {
+    chatInput.addEventListener('input', sendChatTyping);
+    chatInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') sendChatMessage();
+    });
+  }
+
+  if (chatSendBtn) {
+    chatSendBtn.addEventListener('click', sendChatMessage);
+  }
+
+  // Announcement form
+  const announcementTarget = document.getElementById('announcementTarget');
+  const sendAnnouncementBtn = document.getElementById('sendAnnouncement');
+
+  if (announcementTarget) {
+    announcementTarget.addEventListener('change', () => {
+      document.getElementById('announcementTeam').hidden = announcementTarget.value !== 'team';
+      document.getElementById('announcementAgents').hidden = announcementTarget.value !== 'agents';
+    });
+  }
+
+  if (sendAnnouncementBtn) {
+    sendAnnouncementBtn.addEventListener('click', sendAnnouncement);
+  }
+
+  // Audit log filters
+  const loadAuditBtn = document.getElementById('loadAuditBtn');
+
+  if (loadAuditBtn) {
+    loadAuditBtn.addEventListener('click', loadAuditLog);
+  }
+
+  // Device pairing
+  const createPairingCodeBtn = document.getElementById('createPairingCode');
+  const deviceList = document.getElementById('deviceList');
+
+  if (createPairingCodeBtn) {
+    createPairingCodeBtn.addEventListener('click', createPairingCode);
+  }
+
+  if (deviceList) {
+    deviceList.addEventListener('click', (event) => {
+      const button = event.target.closest('.revoke-device-btn');
+      if (button) revokeDevice(button.getAttribute('data-device-id'));
+    });
+  }
+
+  // Reminder template editor
+  const templateSelect = document.getElementById('templateSelect');
+  const saveTemplateBtn = document.getElementById('saveTemplate');
+  const deleteTemplateBtn = document.getElementById('deleteTemplate');
+
+  if (templateSelect) {
+    templateSelect.addEventListener('change', () => showTemplate(templateSelect.value));
+  }
+
+  if (saveTemplateBtn) {
+    saveTemplateBtn.addEventListener('click', saveReminderTemplate);
+  }
+
+  if (deleteTemplateBtn) {
+    deleteTemplateBtn.addEventListener('click', deleteReminderTemplate);
+  }
+
   // Clear debug console
   const clearDebug = document.getElementById('clearDebug');
   if (clearDebug) {
@@ -940,6 +1707,11 @@ document.addEventListener('click', (e) => {
   }
 });
 
+  const logoutBtn = document.getElementById('logoutBtn');
+  if (logoutBtn) {
+    logoutBtn.addEventListener('click', logout);
+  }
+
   // Window events
   window.addEventListener('beforeunload', cleanup);
   
@@ -1034,6 +1806,9 @@ async function init() {
  try {
    debugLog('🚀 Initializing Call Analytics Dashboard...');
    
+   // Who is signed in decides which controls show
+   await loadCurrentUser();
+
    // Setup event listeners
    setupEventListeners();
    
@@ -1042,6 +1817,10 @@ async function init() {
    
    // Load initial data
    await loadDashboardData();
+   await loadSupervisorAlerts();
+   await loadAnnouncements();
+   await loadDevices();
+   await loadAuditLog();
    
    // 🎯 REMOVED: No more server stats polling
    // Dashboard is now purely event-driven via WebSocket
@@ -1059,9 +1838,16 @@ async function init() {
 // Settings Management Functions
 async function loadAgentSettings() {
   try {
+    const templatesResult = await fetchAPI('/reminder-templates');
+    if (templatesResult.success) {
+      reminderTemplateData = templatesResult.data;
+    }
+
     const result = await fetchAPI('/reminder-settings');
     if (result.success) {
       updateSettingsTable(result.data);
+      updateTemplateEditor();
+      updateTeamTemplates(result.data);
     }
   } catch (error) {
     debugLog('Failed to load agent settings:', error.message);
@@ -1074,10 +1860,13 @@ function updateSettingsTable(settings) {
   if (!tbody) return;
 
   if (!settings || settings.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="5" class="no-data">No agents found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="9" class="no-data">No agents found</td></tr>';
     return;
   }
 
+  const languages = reminderTemplateData?.languages || [];
+  const templates = reminderTemplateData?.templates || [];
+
   const rows = settings.map(setting => {
     const statusClass = `status-${setting.agent_status || 'offline'}`;
     const statusText = (setting.agent_status || 'offline').replace('_', ' ').toUpperCase();
@@ -1115,6 +1904,30 @@ function updateSettingsTable(settings) {
             <span class="toggle-slider"></span>
           </label>
         </td>
+        <td>
+          <input type="text" class="team-input" value="${escapeAttribute(setting.team || '')}" placeholder="No team" />
+        </td>
+        <td>
+          <select class="language-select">
+            <option value="">Default</option>
+            ${languages.map(language => `<option value="${language}" ${setting.language === language ? 'selected' : ''}>${language}</option>`).join('')}
+          </select>
+        </td>
+        <td>
+          <select class="template-select">
+            <option value="">Team / default</option>
+            ${templates.filter(template => !template.builtIn).map(template => `
+              <option value="${escapeAttribute(template.id)}" ${setting.template_id === template.id ? 'selected' : ''}>${sanitizeHTML(template.name)}</option>
+            `).join('')}
+          </select>
+        </td>
+        <td>
+          <button type="button" class="schedule-toggle" title="Edit schedule">${sanitizeHTML(describeSchedule(setting.schedule))}</button>
+          ${setting.schedule && !setting.schedule_active ? '<span class="status-badge quiet-hours">Quiet now</span>' : ''}
+        </td>
+      </tr>
+      <tr class="schedule-row" data-schedule-for="${setting.agent_code}" hidden>
+        <td colspan="9">${scheduleEditorHTML(setting.schedule)}</td>
       </tr>
     `;
   }).join('');
@@ -1134,10 +1947,15 @@ async function saveAllAgentSettings() {
       const reminderCheckbox = row.querySelector('.reminder-checkbox');
       
       if (agentCode && intervalInput && reminderCheckbox) {
+        const scheduleRow = document.querySelector(`.schedule-row[data-schedule-for="${agentCode}"]`);
         settings.push({
           agentCode: agentCode,
           reminder_interval_minutes: parseInt(intervalInput.value),
-          reminders_enabled: reminderCheckbox.checked
+          reminders_enabled: reminderCheckbox.checked,
+          team: row.querySelector('.team-input')?.value.trim() || null,
+          language: row.querySelector('.language-select')?.value || null,
+          template_id: row.querySelector('.template-select')?.value || null,
+          schedule: scheduleRow ? readScheduleEditor(scheduleRow, agentCode) : undefined
         });
       }
     });
@@ -1154,6 +1972,7 @@ async function saveAllAgentSettings() {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ settings })
     });
+    if (response.status === 401) return redirectToLogin();
     
     const result = await response.json();
     
@@ -1175,6 +1994,231 @@ async function saveAllAgentSettings() {
   }
 }
 
+// Reminder schedules: active hours, weekdays and holidays (none set = reminders always on)
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function describeSchedule(schedule) {
+  if (!schedule) return 'Always';
+
+  const hours = schedule.windows.length > 0
+    ? schedule.windows.map(window => `${window.start}-${window.end}`).join(', ')
+    : 'All day';
+  const days = schedule.weekdays.length > 0 && schedule.weekdays.length < 7
+    ? schedule.weekdays.map(day => WEEKDAY_LABELS[day]).join(' ')
+    : 'Every day';
+  const holidays = schedule.holidays.length > 0 ? ` · ${schedule.holidays.length} holiday(s)` : '';
+
+  return `${hours} · ${days}${holidays}`;
+}
+
+function scheduleEditorHTML(schedule) {
+  const windows = schedule ? schedule.windows.map(window => `${window.start}-${window.end}`).join(', ') : '';
+  const weekdays = schedule && schedule.weekdays.length > 0 ? schedule.weekdays : [0, 1, 2, 3, 4, 5, 6];
+  const holidays = schedule ? schedule.holidays.join(', ') : '';
+
+  return `
+    <div class="schedule-editor">
+      <label>Hours <input type="text" class="schedule-windows" value="${windows}" placeholder="09:00-13:00, 14:00-18:00 (blank = all day)" /></label>
+      <span class="schedule-days">
+        ${WEEKDAY_LABELS.map((label, day) => `
+          <label><input type="checkbox" class="schedule-day" value="${day}" ${weekdays.includes(day) ? 'checked' : ''} />${label}</label>
+        `).join('')}
+      </span>
+      <label>Holidays <input type="text" class="schedule-holidays" value="${holidays}" placeholder="2026-12-25, 2027-01-01" /></label>
+    </div>
+  `;
+}
+
+// Schedule from an editor's inputs; null when it leaves reminders always on
+function readScheduleEditor(container, label) {
+  const split = value => value.split(',').map(part => part.trim()).filter(Boolean);
+
+  const windows = split(container.querySelector('.schedule-windows').value).map(range => {
+    const match = range.match(/^(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/);
+    if (!match) {
+      throw new Error(`${label}: hours "${range}" must look like 09:00-18:00`);
+    }
+    return { start: match[1], end: match[2] };
+  });
+  const weekdays = [...container.querySelectorAll('.schedule-day:checked')].map(checkbox => parseInt(checkbox.value));
+  const holidays = split(container.querySelector('.schedule-holidays').value);
+
+  if (weekdays.length === 0) {
+    throw new Error(`${label}: pick at least one day, or turn reminders off`);
+  }
+  if (windows.length === 0 && weekdays.length === 7 && holidays.length === 0) {
+    return null;
+  }
+
+  return { windows, weekdays: weekdays.length === 7 ? [] : weekdays, holidays };
+}
+
+function applyScheduleToAll() {
+  const bulkEditor = document.getElementById('bulkScheduleEditor');
+  if (!bulkEditor) return;
+
+  try {
+    const schedule = readScheduleEditor(bulkEditor, 'Schedule for all agents');
+    document.querySelectorAll('#settingsTableBody .schedule-row').forEach(row => {
+      row.querySelector('td').innerHTML = scheduleEditorHTML(schedule);
+      row.previousElementSibling.querySelector('.schedule-toggle').textContent = describeSchedule(schedule);
+    });
+    showToast('Schedule applied to all rows - save to keep it', 'info');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Reminder template editor
+const TEMPLATE_KIND_LABELS = {
+  automatic: 'Interval reminder',
+  firstCall: 'No call yet',
+  manual: 'Manual notify'
+};
+
+function updateTemplateEditor(selectedId = null) {
+  const select = document.getElementById('templateSelect');
+  const placeholders = document.getElementById('templatePlaceholders');
+  if (!select || !reminderTemplateData) return;
+
+  const current = selectedId || select.value || 'default';
+  select.innerHTML = `
+    ${reminderTemplateData.templates.map(template => `
+      <option value="${escapeAttribute(template.id)}">${sanitizeHTML(template.name)}${template.builtIn ? ' (built in)' : ''}</option>
+    `).join('')}
+    <option value="__new">➕ New template</option>
+  `;
+  select.value = reminderTemplateData.templates.some(template => template.id === current) || current === '__new' ? current : 'default';
+
+  if (placeholders) {
+    placeholders.textContent = `Placeholders: ${reminderTemplateData.placeholders.map(name => `{{${name}}}`).join(' ')}`;
+  }
+
+  showTemplate(select.value);
+}
+
+function showTemplate(templateId) {
+  const container = document.getElementById('templateMessages');
+  const nameInput = document.getElementById('templateName');
+  const deleteBtn = document.getElementById('deleteTemplate');
+  if (!container || !reminderTemplateData) return;
+
+  const defaultTemplate = reminderTemplateData.templates.find(template => template.builtIn);
+  const template = reminderTemplateData.templates.find(entry => entry.id === templateId);
+  const isNew = templateId === '__new';
+  const readOnly = template?.builtIn;
+
+  // A new template starts as a copy of the default messages
+  const messages = (template || defaultTemplate).messages;
+  nameInput.value = isNew ? '' : template.name;
+  nameInput.disabled = readOnly;
+  deleteBtn.disabled = readOnly || isNew;
+
+  container.innerHTML = reminderTemplateData.languages.map(language =>
+    reminderTemplateData.kinds.map(kind => `
+      <div>
+        <label>${language.toUpperCase()} · ${TEMPLATE_KIND_LABELS[kind] || kind}</label>
+        <textarea data-language="${language}" data-kind="${kind}" ${readOnly ? 'readonly' : ''}>${sanitizeHTML(messages[language]?.[kind] || '')}</textarea>
+      </div>
+    `).join('')
+  ).join('');
+}
+
+async function postJSON(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (response.status === 401) {
+    redirectToLogin();
+    throw new Error('Not signed in');
+  }
+  const result = await response.json();
+
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+async function saveReminderTemplate() {
+  try {
+    const templateId = document.getElementById('templateSelect').value;
+    const name = document.getElementById('templateName').value.trim();
+    const messages = {};
+
+    document.querySelectorAll('#templateMessages textarea').forEach(textarea => {
+      const { language, kind } = textarea.dataset;
+      if (!textarea.value.trim()) return;
+      messages[language] = messages[language] || {};
+      messages[language][kind] = textarea.value.trim();
+    });
+
+    const url = templateId === '__new' ? '/api/reminder-templates' : `/api/reminder-templates/${templateId}`;
+    const result = await postJSON(url, { name, messages });
+
+    showToast(result.message || 'Template saved', 'success');
+    await loadAgentSettings();
+    updateTemplateEditor(result.data.id);
+  } catch (error) {
+    showToast(`Failed to save template: ${error.message}`, 'error');
+  }
+}
+
+async function deleteReminderTemplate() {
+  const templateId = document.getElementById('templateSelect').value;
+  if (!confirm('Delete this template? Agents and teams using it go back to the default.')) return;
+
+  try {
+    await postJSON(`/api/reminder-templates/${templateId}/remove`, {});
+    showToast('Template deleted', 'success');
+    await loadAgentSettings();
+    updateTemplateEditor('default');
+  } catch (error) {
+    showToast(`Failed to delete template: ${error.message}`, 'error');
+  }
+}
+
+function updateTeamTemplates(settings) {
+  const container = document.getElementById('teamTemplates');
+  if (!container || !reminderTemplateData) return;
+
+  const teams = [...new Set(settings.map(setting => setting.team).filter(Boolean))].sort();
+  if (teams.length === 0) {
+    container.innerHTML = '<div class="no-data">Set a team on agents above to assign team templates</div>';
+    return;
+  }
+
+  container.innerHTML = teams.map(team => `
+    <div class="team-template-row">
+      <span>${sanitizeHTML(team)}</span>
+      <select class="team-template-select" data-team="${escapeAttribute(team)}">
+        <option value="">Default</option>
+        ${reminderTemplateData.templates.filter(template => !template.builtIn).map(template => `
+          <option value="${escapeAttribute(template.id)}" ${reminderTemplateData.assignments.teams[team] === template.id ? 'selected' : ''}>${sanitizeHTML(template.name)}</option>
+        `).join('')}
+      </select>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.team-template-select').forEach(select => {
+    select.addEventListener('change', async () => {
+      try {
+        const result = await postJSON('/api/reminder-templates/assignments', {
+          scope: 'teams',
+          key: select.dataset.team,
+          template_id: select.value || null
+        });
+        reminderTemplateData.assignments = result.data;
+        showToast(`Template updated for team ${select.dataset.team}`, 'success');
+      } catch (error) {
+        showToast(`Failed to assign template: ${error.message}`, 'error');
+      }
+    });
+  });
+}
+
 // js code for Idle Time or Gap Duration
 
 // Idle Sessions Management
@@ -1190,10 +2234,10 @@ class IdleSessionsManager {
     this.init();
   }
   
-  init() {
+  async init() {
     this.setupEventListeners();
     this.loadAgentOptions();
-    this.setDefaultDate();
+    await this.setDefaultDate();
     this.loadIdleSessions();
   }
   
@@ -1253,11 +2297,11 @@ class IdleSessionsManager {
     }
   }
   
-  setDefaultDate() {
+  async setDefaultDate() {
     const dateSelect = document.getElementById('dateSelect');
     if (!dateSelect) return;
     
-    const today = new Date().toISOString().split('T')[0];
+    const today = await getBusinessToday();
     dateSelect.value = today;
     this.currentFilters.date = today;
   }
@@ -1273,12 +2317,12 @@ class IdleSessionsManager {
     this.loadIdleSessions();
   }
   
-  clearFilters() {
+  async clearFilters() {
     const agentSelect = document.getElementById('agentSelect');
     const dateSelect = document.getElementById('dateSelect');
     
     if (agentSelect) agentSelect.value = '';
-    this.setDefaultDate();
+    await this.setDefaultDate();
     
     this.currentFilters = { 
       agentCode: '', 
@@ -1337,6 +2381,7 @@ class IdleSessionsManager {
       }
       
       const response = await fetch(`/api/idle-sessions?${params}`);
+      if (response.status === 401) return redirectToLogin();
       const data = await response.json();
       
       if (data.success) {
@@ -1408,13 +2453,15 @@ class IdleSessionsManager {
     const startTime = new Date(session.start_time).toLocaleTimeString('en-US', { 
       hour: 'numeric', 
       minute: '2-digit',
-      hour12: true 
+      hour12: true,
+      timeZone: businessDay?.timezone
     });
     
     const endTime = new Date(session.end_time).toLocaleTimeString('en-US', { 
       hour: 'numeric', 
       minute: '2-digit',
-      hour12: true 
+      hour12: true,
+      timeZone: businessDay?.timezone
     });
     
     const duration = this.formatDuration(session.idle_duration);
@@ -1564,11 +2611,11 @@ class AgentHistoryManager {
     }
   }
   
-  setDefaultDate() {
+  async setDefaultDate() {
     const startDateInput = document.getElementById('historyStartDate');
     if (!startDateInput) return;
     
-    const today = new Date().toISOString().split('T')[0];
+    const today = await getBusinessToday();
     startDateInput.value = today;
   }
   
@@ -1602,6 +2649,7 @@ class AgentHistoryManager {
       }
       
       const response = await fetch(url);
+      if (response.status === 401) return redirectToLogin();
       const data = await response.json();
       
       if (data.success) {
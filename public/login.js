@@ -0,0 +1,32 @@
+// Dashboard sign-in: the server sets an HttpOnly session cookie on success
+document.getElementById('loginForm').addEventListener('submit', async (event) => {
+  event.preventDefault();
+
+  const button = document.getElementById('loginBtn');
+  const errorBox = document.getElementById('loginError');
+  button.disabled = true;
+  errorBox.textContent = '';
+
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('username').value.trim(),
+        password: document.getElementById('password').value
+      })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      errorBox.textContent = result.error || 'Sign in failed';
+      return;
+    }
+
+    window.location.href = '/dashboard';
+  } catch (error) {
+    errorBox.textContent = 'Could not reach the server';
+  } finally {
+    button.disabled = false;
+  }
+});
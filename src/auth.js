@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const userManager = require('./services/userManager');
+const deviceManager = require('./services/deviceManager');
+const apiKeyManager = require('./services/apiKeyManager');
+const { PERMISSIONS, permissionsForRole } = require('./utils/permissions');
+
+const COOKIE_NAME = 'dashboard_session';
+const API_KEY_HEADER = 'x-api-key';
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+let generatedSecret = null;
+const loginFailures = new Map(); // `${ip}|${username}` -> { count, firstAt }
+
+/*
+ * Dashboard authentication. Sessions are HS256 JWTs ({ sub, role, ver, iat, exp })
+ * in an HttpOnly cookie, or an Authorization: Bearer header for scripts. A token
+ * only stays valid while the user exists, is enabled and has the same tokenVersion.
+ * Scripts can instead send an API key (X-API-Key), limited to the key's scopes.
+ */
+function getSecret() {
+  if (config.auth.sessionSecret) return config.auth.sessionSecret;
+
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.log('⚠️ AUTH_SESSION_SECRET not set - using a random one; sessions end on restart and aren\'t shared between instances');
+  }
+  return generatedSecret;
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+function signSessionToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64url({
+    sub: user.username,
+    role: user.role,
+    ver: user.tokenVersion,
+    iat: now,
+    exp: now + config.auth.sessionHours * 3600
+  });
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// The token's payload when the signature is good and it hasn't expired, else null
+function verifySessionToken(token) {
+  const [header, payload, signature] = (token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+function tokenFromHeaders(headers) {
+  const authorization = headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7);
+  return parseCookies(headers.cookie)[COOKIE_NAME] || null;
+}
+
+function toPrincipal(user) {
+  return { type: 'user', username: user.username, role: user.role, permissions: permissionsForRole(user.role) };
+}
+
+// Who sent these headers: a signed-in dashboard user, or null
+function resolveUser(headers) {
+  if (!config.auth.enabled) {
+    return { type: 'user', username: 'anonymous', role: 'admin', permissions: PERMISSIONS };
+  }
+
+  const user = userManager.resolveSession(verifySessionToken(tokenFromHeaders(headers)));
+  return user ? toPrincipal(user) : null;
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: config.auth.secureCookies,
+    maxAge: config.auth.sessionHours * 3600 * 1000,
+    path: '/'
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME, { path: '/' });
+}
+
+function toApiKeyPrincipal(key) {
+  return { type: 'apiKey', username: `api-key:${key.name}`, keyId: key.id, role: null, permissions: key.scopes };
+}
+
+// Express: sets req.user from an X-API-Key header or a session. A bad API key is
+// rejected outright; a missing or expired session is left to requirePermission
+function authenticate(req, res, next) {
+  const apiKey = req.headers[API_KEY_HEADER];
+
+  if (apiKey === undefined) {
+    req.user = resolveUser(req.headers);
+    return next();
+  }
+
+  const key = apiKeyManager.resolveKey(apiKey);
+  if (!key) {
+    console.log(`⚠️ Invalid API key from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+  }
+
+  req.user = toApiKeyPrincipal(key);
+  res.on('finish', () => {
+    const route = req.route ? `${req.method} ${req.route.path}` : `${req.method} (unmatched)`;
+    apiKeyManager.recordUsage(key.id, route, res.statusCode, req.ip);
+  });
+  next();
+}
+
+function hasPermission(principal, permission) {
+  return Boolean(principal && principal.permissions.includes(permission));
+}
+
+// Express: 401 without a session, 403 without the permission
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Requires ${permission} permission`
+      });
+    }
+
+    next();
+  };
+}
+
+// Socket.IO: dashboard connections (auth.client === 'dashboard') need a session,
+// agent apps a paired device token (auth.deviceToken) unless pairing isn't required
+function authenticateSocket(socket, next) {
+  const auth = socket.handshake.auth || {};
+
+  socket.user = resolveUser({
+    authorization: auth.token ? `Bearer ${auth.token}` : undefined,
+    cookie: socket.handshake.headers.cookie
+  });
+
+  if (auth.client === 'dashboard') {
+    return next(socket.user ? undefined : new Error('Authentication required'));
+  }
+
+  socket.device = null;
+  if (auth.deviceToken) {
+    socket.device = deviceManager.resolveToken(auth.deviceToken, socket.handshake.address);
+    if (!socket.device) {
+      return next(new Error('Invalid or revoked device token'));
+    }
+  } else if (config.devices.requirePairing && !socket.user) {
+    return next(new Error('Device token required'));
+  }
+
+  next();
+}
+
+// Repeated wrong passwords for one username from one address lock it out for the window
+function isLoginLocked(ip, username) {
+  const entry = loginFailures.get(`${ip}|${username}`);
+  if (!entry) return false;
+  if (Date.now() - entry.firstAt > LOGIN_WINDOW_MS) {
+    loginFailures.delete(`${ip}|${username}`);
+    return false;
+  }
+  return entry.count >= config.auth.maxLoginAttempts;
+}
+
+function recordLoginFailure(ip, username) {
+  const key = `${ip}|${username}`;
+  const entry = loginFailures.get(key);
+  if (!entry || Date.now() - entry.firstAt > LOGIN_WINDOW_MS) {
+    loginFailures.set(key, { count: 1, firstAt: Date.now() });
+  } else {
+    entry.count++;
+  }
+}
+
+function clearLoginFailures(ip, username) {
+  loginFailures.delete(`${ip}|${username}`);
+}
+
+module.exports = {
+  signSessionToken,
+  verifySessionToken,
+  resolveUser,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticate,
+  hasPermission,
+  requirePermission,
+  authenticateSocket,
+  isLoginLocked,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -1,98 +1,536 @@
+const { Pool } = require('pg');
 const config = require('../config/config');
-const agentManager = require('./services/agentManager');
+const { getBusinessDate, formatTime24 } = require('./utils/time');
+
+const CALL_TYPES = ['incoming', 'outgoing', 'missed'];
 
 class Database {
   constructor() {
-    // No more PostgreSQL pool - using NocoDB API only
-    console.log('📊 Database service: Using NocoDB API (No local PostgreSQL)');
+    this.pool = null;
+    this.isConnected = false;
     this.init();
   }
 
   async init() {
+    if (!config.database.enabled) {
+      console.log('📊 Database service: PostgreSQL disabled (DB_ENABLED=false)');
+      return;
+    }
+
     try {
-      console.log('✅ Database service initialized (NocoDB API mode)');
+      this.pool = new Pool({
+        host: config.database.host,
+        port: config.database.port,
+        database: config.database.database,
+        user: config.database.user,
+        password: config.database.password,
+        max: config.database.maxConnections,
+        idleTimeoutMillis: 30000,
+        connectionTimeoutMillis: 5000
+      });
+
+      this.pool.on('error', (error) => {
+        console.error('❌ PostgreSQL pool error:', error.message);
+        this.isConnected = false;
+      });
+
+      if (await this.ping()) {
+        console.log('✅ Database service initialized (PostgreSQL pool)');
+      } else {
+        console.log('⚠️ PostgreSQL not reachable yet - will retry on next query');
+      }
     } catch (error) {
       console.error('❌ Database service initialization error:', error.message);
+      this.isConnected = false;
+    }
+  }
+
+  async query(text, params = []) {
+    if (!this.pool) {
+      throw new Error('PostgreSQL is not configured');
     }
+
+    return await this.pool.query(text, params);
   }
 
-  // Keep only agent management methods (for JSON sync)
-  async upsertAgent(agentCode, agentName, status = 'online') {
+  // Run callback(client) inside BEGIN/COMMIT, rolling back on any error
+  async transaction(callback) {
+    if (!this.pool) {
+      throw new Error('PostgreSQL is not configured');
+    }
+
+    const client = await this.pool.connect();
     try {
-      console.log(`📊 JSON: Upserting agent ${agentCode} (${agentName}) with status ${status}`);
-      return await agentManager.upsertAgent(agentCode, agentName, status);
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
     } catch (error) {
-      console.error('❌ Error upserting agent via JSON:', error.message);
+      await client.query('ROLLBACK');
       throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Agent methods
+  async upsertAgent(agentCode, agentName, status = 'online', client = null) {
+    if (!this.pool) return null;
+
+    const query = `
+      INSERT INTO agents (agent_code, agent_name, status, last_seen)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (agent_code)
+      DO UPDATE SET
+        agent_name = EXCLUDED.agent_name,
+        status = EXCLUDED.status,
+        last_seen = EXCLUDED.last_seen
+      RETURNING *
+    `;
+
+    try {
+      const result = await (client || this.pool).query(query, [agentCode, agentName, status]);
+      return result.rows[0];
+    } catch (error) {
+      console.error(`❌ Error upserting agent ${agentCode} in PostgreSQL:`, error.message);
+      if (client) throw error;
+      return null;
     }
   }
 
   async updateAgentStatus(agentCode, status) {
+    if (!this.pool) return null;
+
+    const query = `
+      UPDATE agents
+      SET status = $2, last_seen = CURRENT_TIMESTAMP
+      WHERE agent_code = $1
+      RETURNING *
+    `;
+
     try {
-      console.log(`📊 JSON: Updating agent ${agentCode} status to ${status}`);
-      return await agentManager.updateAgentStatus(agentCode, status);
+      const result = await this.pool.query(query, [agentCode, status]);
+      return result.rows[0] || null;
     } catch (error) {
-      console.error('❌ Error updating agent status via JSON:', error.message);
-      throw error;
+      console.error(`❌ Error updating agent ${agentCode} status in PostgreSQL:`, error.message);
+      return null;
     }
   }
 
-  // Reminder settings methods (JSON-based)
-  async getEnabledAgentReminders() {
+  async getAgents() {
+    if (!this.pool) return [];
+
+    const query = `
+      SELECT agent_code, agent_name, status, last_seen
+      FROM agents
+      ORDER BY agent_code ASC
+    `;
+
     try {
-      const enabledAgents = agentManager.getEnabledReminderAgents();
-      console.log(`📊 JSON: Found ${enabledAgents.length} agents with reminders enabled`);
-      return enabledAgents;
+      const result = await this.pool.query(query);
+      return result.rows;
     } catch (error) {
-      console.error('❌ Error getting enabled agent reminders via JSON:', error.message);
-      throw error;
+      console.error('❌ Error getting agents from PostgreSQL:', error.message);
+      return [];
+    }
+  }
+
+  async getAgentsWithSettings() {
+    if (!this.pool) return [];
+
+    const query = `
+      SELECT a.agent_code, a.agent_name, a.status, a.last_seen, a.created_at, a.updated_at,
+             a.team, a.preferred_language,
+             r.reminder_interval_minutes, r.reminders_enabled, r.schedule AS reminder_schedule
+      FROM agents a
+      LEFT JOIN agent_reminder_settings r ON r.agent_code = a.agent_code
+      WHERE a.status != 'removed'
+      ORDER BY a.agent_code ASC
+    `;
+
+    const result = await this.pool.query(query);
+    return result.rows;
+  }
+
+  // Call methods
+  async insertCall(callData) {
+    if (!this.pool) return null;
+
+    const callType = (callData.callType || '').toLowerCase();
+    if (!CALL_TYPES.includes(callType)) {
+      console.log(`⚠️ Skipping PostgreSQL insert for ${callData.agentCode}: unsupported call type "${callData.callType}"`);
+      return null;
+    }
+
+    try {
+      return await this.transaction(async (client) => {
+        // calls.agent_code references agents, so make sure the agent row exists first
+        await client.query(
+          `INSERT INTO agents (agent_code, agent_name, status)
+           VALUES ($1, $2, 'online')
+           ON CONFLICT (agent_code) DO NOTHING`,
+          [callData.agentCode, callData.agentName || callData.agentCode]
+        );
+
+        const result = await client.query(
+          `INSERT INTO calls (
+             agent_code, phone_number, contact_name, call_type,
+             talk_duration, total_duration, call_date, start_time, end_time
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            callData.agentCode,
+            callData.phoneNumber || null,
+            callData.contactName || null,
+            callType,
+            Math.max(parseInt(callData.talkDuration) || 0, 0),
+            Math.max(parseInt(callData.totalDuration) || 0, 0),
+            callData.callDate,
+            this.toSqlTime(callData.startTime),
+            this.toSqlTime(callData.endTime)
+          ]
+        );
+
+        console.log(`💾 PostgreSQL: Stored call ${result.rows[0].id} for ${callData.agentCode}`);
+        return result.rows[0];
+      });
+    } catch (error) {
+      console.error(`❌ Error inserting call for ${callData.agentCode} into PostgreSQL:`, error.message);
+      return null;
     }
   }
 
-  async getAgentReminderSettings(agentCode) {
+  async getCalls(agentCode = null, startDate = null, endDate = null, limit = 50, offset = 0) {
+    if (!this.pool) return { rows: [], total: 0 };
+
+    const conditions = [];
+    const values = [];
+
+    if (agentCode) {
+      values.push(agentCode);
+      conditions.push(`agent_code = $${values.length}`);
+    }
+    if (startDate) {
+      values.push(startDate);
+      conditions.push(`call_date >= $${values.length}`);
+    }
+    if (endDate) {
+      values.push(endDate);
+      conditions.push(`call_date <= $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
     try {
-      const agent = agentManager.getAgent(agentCode);
-      return agent ? {
-        agent_code: agent.agentCode,
-        reminder_interval_minutes: agent.reminderSettings.intervalMinutes,
-        reminders_enabled: agent.reminderSettings.enabled
-      } : null;
+      const countResult = await this.pool.query(`SELECT COUNT(*) FROM calls ${whereClause}`, values);
+      const result = await this.pool.query(
+        `SELECT * FROM calls ${whereClause}
+         ORDER BY created_at DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return { rows: result.rows, total: parseInt(countResult.rows[0].count) };
     } catch (error) {
-      console.error('❌ Error getting agent reminder settings via JSON:', error.message);
-      throw error;
+      console.error('❌ Error getting calls from PostgreSQL:', error.message);
+      return { rows: [], total: 0 };
+    }
+  }
+
+  async searchCallsByPhone(phoneNumber) {
+    if (!this.pool) return [];
+
+    const query = `
+      SELECT c.*, a.agent_name
+      FROM calls c
+      LEFT JOIN agents a ON a.agent_code = c.agent_code
+      WHERE c.phone_number LIKE $1 ESCAPE '\\'
+      ORDER BY c.created_at DESC
+      LIMIT 200
+    `;
+
+    // Numbers ending with the search digits; % and _ in the input match literally
+    const pattern = `%${String(phoneNumber).replace(/[\\%_]/g, '\\$&')}`;
+    const result = await this.pool.query(query, [pattern]);
+    return result.rows;
+  }
+
+  // Per-agent totals for one business date (the today_stats view uses the database's CURRENT_DATE)
+  async getTodayStats(date = getBusinessDate()) {
+    if (!this.pool) return [];
+
+    try {
+      const result = await this.pool.query(
+        `SELECT a.agent_code, a.agent_name, a.status,
+                COALESCE(SUM(c.talk_duration), 0) AS today_talk_time,
+                COUNT(c.id) AS today_calls,
+                MAX(c.created_at) AS last_call_time
+         FROM agents a
+         LEFT JOIN calls c ON a.agent_code = c.agent_code AND c.call_date = $1
+         WHERE a.status != 'removed'
+         GROUP BY a.agent_code, a.agent_name, a.status
+         ORDER BY a.agent_code`,
+        [date]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('❌ Error getting today stats from PostgreSQL:', error.message);
+      return [];
+    }
+  }
+
+  // Idle session methods
+  async insertIdleSession(agentCode, agentName, startTime, endTime, idleDurationSeconds, sessionDate) {
+    if (!this.pool) return null;
+
+    try {
+      return await this.transaction(async (client) => {
+        await client.query(
+          `INSERT INTO agents (agent_code, agent_name, status)
+           VALUES ($1, $2, 'online')
+           ON CONFLICT (agent_code) DO NOTHING`,
+          [agentCode, agentName || agentCode]
+        );
+
+        const result = await client.query(
+          `INSERT INTO idle_sessions (agent_code, agent_name, start_time, end_time, idle_duration, session_date)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [agentCode, agentName, startTime, endTime, idleDurationSeconds, sessionDate]
+        );
+
+        return result.rows[0];
+      });
+    } catch (error) {
+      console.error(`❌ Error inserting idle session for ${agentCode} into PostgreSQL:`, error.message);
+      return null;
+    }
+  }
+
+  async getIdleSessions(agentCode = null, date = null, limit = 25, offset = 0) {
+    if (!this.pool) return { rows: [], total: 0 };
+
+    const conditions = [];
+    const values = [];
+
+    if (agentCode) {
+      values.push(agentCode);
+      conditions.push(`agent_code = $${values.length}`);
+    }
+    if (date) {
+      values.push(date);
+      conditions.push(`session_date = $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await this.pool.query(`SELECT COUNT(*) FROM idle_sessions ${whereClause}`, values);
+    const result = await this.pool.query(
+      `SELECT * FROM idle_sessions ${whereClause}
+       ORDER BY id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return { rows: result.rows, total: parseInt(countResult.rows[0].count) };
+  }
+
+  // Daily talk time methods
+  async upsertDailyTalktime(agentCode, agentName, date, talktimeSeconds, totalCalls) {
+    if (!this.pool) return null;
+
+    return await this.transaction(async (client) => {
+      await client.query(
+        `INSERT INTO agents (agent_code, agent_name, status)
+         VALUES ($1, $2, 'offline')
+         ON CONFLICT (agent_code) DO NOTHING`,
+        [agentCode, agentName || agentCode]
+      );
+
+      const result = await client.query(
+        `INSERT INTO daily_talktime (agent_code, agent_name, talk_date, talk_time, total_calls)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (agent_code, talk_date)
+         DO UPDATE SET
+           agent_name = EXCLUDED.agent_name,
+           talk_time = EXCLUDED.talk_time,
+           total_calls = EXCLUDED.total_calls
+         RETURNING *`,
+        [agentCode, agentName, date, talktimeSeconds, totalCalls]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  async getDailyTalktime(agentCode = null, startDate = null, endDate = null, limit = 25, offset = 0) {
+    if (!this.pool) return { rows: [], total: 0 };
+
+    const conditions = [];
+    const values = [];
+
+    if (agentCode) {
+      values.push(agentCode);
+      conditions.push(`agent_code = $${values.length}`);
+    }
+    if (startDate && endDate) {
+      values.push(startDate, endDate);
+      conditions.push(`talk_date BETWEEN $${values.length - 1} AND $${values.length}`);
+    } else if (startDate) {
+      values.push(startDate);
+      conditions.push(`talk_date = $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await this.pool.query(`SELECT COUNT(*) FROM daily_talktime ${whereClause}`, values);
+    const result = await this.pool.query(
+      `SELECT * FROM daily_talktime ${whereClause}
+       ORDER BY talk_time DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+
+    return { rows: result.rows, total: parseInt(countResult.rows[0].count) };
+  }
+
+  // Reminder settings methods
+  async updateAgentProfile(agentCode, team, language, client = null) {
+    if (!this.pool) return null;
+
+    try {
+      const result = await (client || this.pool).query(
+        `UPDATE agents SET team = $2, preferred_language = $3 WHERE agent_code = $1 RETURNING *`,
+        [agentCode, team || null, language || null]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error(`❌ Error updating profile for ${agentCode} in PostgreSQL:`, error.message);
+      if (client) throw error;
+      return null;
+    }
+  }
+
+  async upsertAgentReminderSettings(agentCode, intervalMinutes, enabled, client = null, schedule = null) {
+    if (!this.pool) return null;
+
+    const query = `
+      INSERT INTO agent_reminder_settings (agent_code, reminder_interval_minutes, reminders_enabled, schedule)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (agent_code)
+      DO UPDATE SET
+        reminder_interval_minutes = EXCLUDED.reminder_interval_minutes,
+        reminders_enabled = EXCLUDED.reminders_enabled,
+        schedule = EXCLUDED.schedule
+      RETURNING *
+    `;
+
+    try {
+      const result = await (client || this.pool).query(query, [
+        agentCode, intervalMinutes, enabled, schedule ? JSON.stringify(schedule) : null
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error(`❌ Error upserting reminder settings for ${agentCode} in PostgreSQL:`, error.message);
+      if (client) throw error;
+      return null;
     }
   }
 
   async getAllAgentReminderSettings() {
+    if (!this.pool) return [];
+
+    const query = `
+      SELECT a.agent_code, a.agent_name, a.status AS agent_status,
+             r.reminder_interval_minutes, r.reminders_enabled
+      FROM agents a
+      LEFT JOIN agent_reminder_settings r ON r.agent_code = a.agent_code
+      WHERE a.status != 'removed'
+      ORDER BY a.agent_code ASC
+    `;
+
     try {
-      const agents = agentManager.getAllAgents();
-      return agents.map(agent => ({
-        agent_code: agent.agentCode,
-        agent_name: agent.agentName,
-        reminder_interval_minutes: agent.reminderSettings.intervalMinutes,
-        reminders_enabled: agent.reminderSettings.enabled,
-        agent_status: agent.status
-      }));
+      const result = await this.pool.query(query);
+      return result.rows;
     } catch (error) {
-      console.error('❌ Error getting all agent reminder settings via JSON:', error.message);
-      throw error;
+      console.error('❌ Error getting reminder settings from PostgreSQL:', error.message);
+      return [];
     }
   }
 
-  async upsertAgentReminderSettings(agentCode, intervalMinutes, enabled) {
+  // Write an agent row and its reminder settings together
+  async syncAgent(agent) {
+    if (!this.pool) return null;
+
     try {
-      console.log(`📊 JSON: Updating reminder settings for ${agentCode}: ${intervalMinutes}min, enabled: ${enabled}`);
-      return await agentManager.updateReminderSettings(agentCode, intervalMinutes, enabled);
+      return await this.transaction(async (client) => {
+        const row = await this.upsertAgent(agent.agentCode, agent.agentName, agent.status, client);
+        await this.updateAgentProfile(agent.agentCode, agent.team, agent.language, client);
+
+        if (agent.reminderSettings) {
+          await this.upsertAgentReminderSettings(
+            agent.agentCode,
+            agent.reminderSettings.intervalMinutes,
+            agent.reminderSettings.enabled,
+            client,
+            agent.reminderSettings.schedule || null
+          );
+        }
+
+        return row;
+      });
     } catch (error) {
-      console.error('❌ Error upserting agent reminder settings via JSON:', error.message);
-      throw error;
+      console.error(`❌ Error syncing agent ${agent.agentCode} to PostgreSQL:`, error.message);
+      return null;
+    }
+  }
+
+  // Accepts "HH:MM", "HH:MM:SS", "h:mm am/pm" (already wall clock times) or any Date-parsable
+  // value such as an ISO timestamp or epoch milliseconds, read in the business timezone
+  toSqlTime(value) {
+    if (!value) return null;
+
+    const text = String(value).trim();
+    const clock = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+
+    if (clock) {
+      let hours = parseInt(clock[1]);
+      const meridiem = clock[4] ? clock[4].toLowerCase()[0] : null;
+
+      if (meridiem === 'p' && hours < 12) hours += 12;
+      if (meridiem === 'a' && hours === 12) hours = 0;
+
+      return `${String(hours).padStart(2, '0')}:${clock[2]}:${clock[3] || '00'}`;
+    }
+
+    const parsed = new Date(isNaN(text) ? text : Number(text));
+    if (isNaN(parsed.getTime())) return null;
+
+    return formatTime24(parsed);
+  }
+
+  // Health check
+  async ping() {
+    if (!this.pool) return false;
+
+    try {
+      await this.pool.query('SELECT 1');
+      this.isConnected = true;
+      return true;
+    } catch (error) {
+      this.isConnected = false;
+      return false;
     }
   }
 
-  // Dummy cleanup method
   async cleanup() {
-    console.log('✅ Database cleanup completed (No connections to close)');
+    if (this.pool) {
+      await this.pool.end();
+      this.isConnected = false;
+      console.log('✅ PostgreSQL pool closed');
+    }
   }
 }
 
-module.exports = new Database();
\ No newline at end of file
+module.exports = new Database();
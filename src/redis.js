@@ -1,5 +1,39 @@
 const redis = require('redis');
 const config = require('../config/config');
+const { getBusinessDate } = require('./utils/time');
+
+/*
+ * Claims the reminder due for an idle stretch. reminder:<agentCode> keeps the
+ * stretch's idleSince, the interval and the next due time (epoch ms). A new
+ * stretch is first due one interval after it began; a changed interval is next
+ * due at its next multiple. When due, the next due time moves to the first
+ * multiple after now, so a late tick still sends and downtime doesn't cause a
+ * burst. Runs atomically, so only one server instance gets each reminder.
+ * ARGV: idleSince, intervalMs, now
+ */
+const CLAIM_REMINDER_SCRIPT = `
+local stored = redis.call('HMGET', KEYS[1], 'idleSince', 'intervalMs', 'nextDueAt')
+local idleSince = tonumber(ARGV[1])
+local interval = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local nextDue = tonumber(stored[3])
+
+if stored[1] ~= ARGV[1] or not nextDue then
+  nextDue = idleSince + interval
+elseif stored[2] ~= ARGV[2] then
+  nextDue = idleSince + interval * (math.floor((now - idleSince) / interval) + 1)
+end
+
+local claimed = 0
+if now >= nextDue then
+  claimed = 1
+  nextDue = idleSince + interval * (math.floor((now - idleSince) / interval) + 1)
+end
+
+redis.call('HSET', KEYS[1], 'idleSince', ARGV[1], 'intervalMs', ARGV[2], 'nextDueAt', string.format('%d', nextDue))
+redis.call('EXPIRE', KEYS[1], 86400)
+return claimed
+`;
 
 class RedisManager {
   constructor() {
@@ -111,9 +145,15 @@ class RedisManager {
     if (!this.isConnected) return false;
 
     const key = `today_talk:${agentCode}`;
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const today = getBusinessDate(); // YYYY-MM-DD
 
     try {
+      // Start over when the stored total belongs to an earlier business day
+      const storedDate = await this.client.hGet(key, 'date');
+      if (storedDate && storedDate !== today) {
+        await this.client.del(key);
+      }
+
       await this.client.hIncrBy(key, 'seconds', additionalSeconds);
       await this.client.hSet(key, 'date', today);
       await this.client.expire(key, 86400); // Expire at end of day
@@ -128,7 +168,9 @@ class RedisManager {
     if (!this.isConnected) return 0;
 
     try {
-      const seconds = await this.client.hGet(`today_talk:${agentCode}`, 'seconds');
+      const { seconds, date } = await this.client.hGetAll(`today_talk:${agentCode}`);
+      // A total left over from the previous business day doesn't count
+      if (date !== getBusinessDate()) return 0;
       return parseInt(seconds) || 0;
     } catch (error) {
       console.error('❌ Error getting today talk time:', error.message);
@@ -223,6 +265,26 @@ async setLastReminderSent(agentCode, timestamp) {
   }
 }
 
+// True when this caller should send the agent's reminder now
+async claimDueReminder(agentCode, idleSince, intervalMinutes, now = new Date()) {
+  if (!this.isConnected) return false;
+
+  try {
+    const claimed = await this.client.eval(CLAIM_REMINDER_SCRIPT, {
+      keys: [`reminder:${agentCode}`],
+      arguments: [
+        String(new Date(idleSince).getTime()),
+        String(intervalMinutes * 60 * 1000),
+        String(now.getTime())
+      ]
+    });
+    return claimed === 1;
+  } catch (error) {
+    console.error('❌ Error claiming reminder:', error.message);
+    return false;
+  }
+}
+
 async getLastReminderSent(agentCode) {
   if (!this.isConnected) return null;
 
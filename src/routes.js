@@ -1,147 +1,1033 @@
 const express = require('express');
+const config = require('../config/config');
+const storage = require('./storage');
 const redis = require('./redis');
 const agentManager = require('./services/agentManager');
 const dailyTalkTimeManager = require('./services/dailyTalkTimeManager');
-const nocodbService = require('./services/nocodbService');
+const idleSessionQueue = require('./services/idleSessionQueue');
+const dailyStatsUploader = require('./services/dailyStatsUploader');
+const agentStateLog = require('./services/agentStateLog');
+const agentSessions = require('./services/agentSessions');
+const agentMetrics = require('./services/agentMetrics');
+const reminderEscalation = require('./services/reminderEscalation');
+const reminderLog = require('./services/reminderLog');
+const reminderTemplates = require('./services/reminderTemplates');
+const announcements = require('./services/announcements');
+const dashboardService = require('./services/dashboardService');
+const dailyStatsScheduler = require('./services/dailyStatsScheduler');
+const { formatTimestamp, getBusinessDate, getBusinessDayInfo } = require('./utils/time');
+const { normalizeSchedule, isScheduleActive } = require('./utils/reminderSchedule');
+const { validate, validationFailure, validateBody } = require('./utils/validation');
+const { requests: schemas } = require('./schemas');
+const userManager = require('./services/userManager');
+const deviceManager = require('./services/deviceManager');
+const apiKeyManager = require('./services/apiKeyManager');
+const auditLog = require('./services/auditLog');
+const {
+  authenticate,
+  requirePermission,
+  signSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  isLoginLocked,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('./auth');
 const router = express.Router();
 
+// Every route below /health requires a permission; this only works out who is asking
+router.use(authenticate);
+
+// Records an administrative action against whoever made the request
+function audit(req, entry) {
+  return auditLog.record(req.user, req.ip, entry);
+}
+
+// The reminder settings an audit entry compares before and after a change
+function reminderSettingsSnapshot(agent) {
+  const settings = agent.reminderSettings || {};
+  return {
+    enabled: settings.enabled ?? null,
+    intervalMinutes: settings.intervalMinutes ?? null,
+    schedule: settings.schedule ? JSON.parse(JSON.stringify(settings.schedule)) : null,
+    team: agent.team || null,
+    language: agent.language || null,
+    templateId: reminderTemplates.assignments.agents[agent.agentCode] || null
+  };
+}
+
+// A reminder template's text as an audit entry's before/after
+function reminderTemplateSnapshot(template) {
+  return { name: template.name, messages: JSON.parse(JSON.stringify(template.messages)) };
+}
 
 // Health check endpoint
 router.get('/health', async (req, res) => {
   try {
     const redisHealth = await redis.ping();
+    const storageHealth = await storage.ping();
     
     res.json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      services: {
-        redis: redisHealth ? 'connected' : 'disconnected',
-        nocodb: 'external-api'
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      services: {
+        redis: redisHealth ? 'connected' : 'disconnected',
+        storage: {
+          backend: storage.name,
+          status: storageHealth ? 'connected' : 'disconnected'
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'unhealthy',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Dashboard login - sets the session cookie and also returns the token for scripts
+router.post('/auth/login', validateBody(schemas.login), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (isLoginLocked(req.ip, username)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed logins - try again in 15 minutes'
+      });
+    }
+
+    const user = await userManager.checkCredentials(username, password);
+    if (!user) {
+      recordLoginFailure(req.ip, username);
+      console.log(`⚠️ Failed dashboard login for ${username} from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
+
+    clearLoginFailures(req.ip, username);
+    const token = signSessionToken(user);
+    setSessionCookie(res, token);
+    console.log(`🔐 Dashboard login: ${username} (${user.role})`);
+
+    res.json({
+      success: true,
+      data: {
+        user: userManager.toPublic(user),
+        token
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error logging in:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+});
+
+router.post('/auth/logout', (req, res) => {
+  clearSessionCookie(res);
+  res.json({
+    success: true,
+    message: 'Logged out'
+  });
+});
+
+// Who is signed in, with their permissions - the dashboard hides what they can't use
+router.get('/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Any signed-in user can change their own password; other sessions end
+router.post('/auth/password', requirePermission('read:analytics'), validateBody(schemas.changePassword), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (req.user.type !== 'user') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only dashboard users have a password'
+      });
+    }
+
+    if (!await userManager.checkCredentials(req.user.username, current_password)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    const user = await userManager.updateUser(req.user.username, { password: new_password });
+    setSessionCookie(res, signSessionToken(userManager.getUser(req.user.username)));
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'Password changed'
+    });
+  } catch (error) {
+    console.error('❌ Error changing password:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password'
+    });
+  }
+});
+
+// Dashboard user management (admins)
+router.get('/users', requirePermission('admin:system'), (req, res) => {
+  res.json({
+    success: true,
+    data: userManager.listUsers()
+  });
+});
+
+router.post('/users', requirePermission('admin:system'), validateBody(schemas.createUser), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    if (userManager.getUser(username)) {
+      return res.status(409).json({
+        success: false,
+        error: `User ${username} already exists`
+      });
+    }
+
+    const user = await userManager.createUser(username, password, role);
+    await audit(req, { action: 'user.create', targetType: 'user', targetId: username, after: { role } });
+
+    res.json({
+      success: true,
+      data: user,
+      message: `User ${username} created`
+    });
+  } catch (error) {
+    console.error('❌ Error creating user:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user'
+    });
+  }
+});
+
+// Any of password, role, disabled; the user's sessions end
+router.post('/users/:username', requirePermission('admin:system'), validateBody(schemas.updateUser), async (req, res) => {
+  try {
+    const { password, role, disabled } = req.body;
+
+    const existing = userManager.getUser(req.params.username);
+    const before = existing ? { role: existing.role, disabled: existing.disabled } : null;
+
+    let user;
+    try {
+      user = await userManager.updateUser(req.params.username, { password, role, disabled });
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await audit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: req.params.username,
+      before,
+      after: { role: user.role, disabled: user.disabled },
+      details: { passwordChanged: password !== undefined }
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: `User ${req.params.username} updated`
+    });
+  } catch (error) {
+    console.error('❌ Error updating user:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user'
+    });
+  }
+});
+
+router.post('/users/:username/remove', requirePermission('admin:system'), async (req, res) => {
+  try {
+    if (req.params.username === req.user.username) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove yourself'
+      });
+    }
+
+    const existing = userManager.getUser(req.params.username);
+
+    let removed;
+    try {
+      removed = await userManager.removeUser(req.params.username);
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await audit(req, {
+      action: 'user.remove',
+      targetType: 'user',
+      targetId: req.params.username,
+      before: { role: existing.role, disabled: existing.disabled }
+    });
+
+    res.json({
+      success: true,
+      message: `User ${req.params.username} removed`
+    });
+  } catch (error) {
+    console.error('❌ Error removing user:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove user'
+    });
+  }
+});
+
+// API keys for scripts and integrations (admins)
+router.get('/api-keys', requirePermission('admin:system'), (req, res) => {
+  res.json({
+    success: true,
+    data: apiKeyManager.listKeys()
+  });
+});
+
+router.get('/api-keys/:id', requirePermission('admin:system'), (req, res) => {
+  const key = apiKeyManager.getKey(req.params.id);
+
+  if (!key) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: key
+  });
+});
+
+// The key is only in this response - store it now
+router.post('/api-keys', requirePermission('admin:system'), validateBody(schemas.createApiKey), async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const created = await apiKeyManager.createKey(name, scopes, req.user.username);
+    await audit(req, {
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: created.key.id,
+      after: { name: created.key.name, scopes: created.key.scopes }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...created.key,
+        key: created.secret
+      },
+      message: `API key ${created.key.name} created`
+    });
+  } catch (error) {
+    console.error('❌ Error creating API key:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// Replaces the key's secret; the old one stops working immediately
+router.post('/api-keys/:id/rotate', requirePermission('admin:system'), async (req, res) => {
+  try {
+    const previousHint = apiKeyManager.getKey(req.params.id)?.hint || null;
+    const rotated = await apiKeyManager.rotateKey(req.params.id, req.user.username);
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active API key not found'
+      });
+    }
+
+    await audit(req, {
+      action: 'api_key.rotate',
+      targetType: 'api_key',
+      targetId: rotated.key.id,
+      before: { hint: previousHint },
+      after: { hint: rotated.key.hint }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...rotated.key,
+        key: rotated.secret
+      },
+      message: `API key ${rotated.key.name} rotated`
+    });
+  } catch (error) {
+    console.error('❌ Error rotating API key:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+router.post('/api-keys/:id/revoke', requirePermission('admin:system'), async (req, res) => {
+  try {
+    const wasRevoked = Boolean(apiKeyManager.getKey(req.params.id)?.revokedAt);
+    const key = await apiKeyManager.revokeKey(req.params.id, req.user.username);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!wasRevoked) {
+      await audit(req, {
+        action: 'api_key.revoke',
+        targetType: 'api_key',
+        targetId: key.id,
+        before: { name: key.name, scopes: key.scopes, revokedAt: null },
+        after: { revokedAt: key.revokedAt }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: key,
+      message: `API key ${key.name} revoked`
+    });
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+// Agent app pairing: no session - the one-time code is the credential
+router.post('/devices/pair', validateBody(schemas.pairDevice), async (req, res) => {
+  try {
+    const { code, device_name } = req.body;
+
+    if (isLoginLocked(req.ip, 'device-pairing')) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed pairing attempts - try again in 15 minutes'
+      });
+    }
+
+    const paired = await deviceManager.pairDevice(code, device_name && device_name.trim(), req.ip);
+    if (!paired) {
+      recordLoginFailure(req.ip, 'device-pairing');
+      console.log(`⚠️ Failed device pairing from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired pairing code'
+      });
+    }
+
+    clearLoginFailures(req.ip, 'device-pairing');
+
+    res.json({
+      success: true,
+      data: {
+        deviceId: paired.device.id,
+        agentCode: paired.device.agentCode,
+        token: paired.token
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error pairing device:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pair device'
+    });
+  }
+});
+
+// Paired devices and unused pairing codes, optionally for one agent
+router.get('/devices', requirePermission('admin:agents'), (req, res) => {
+  const agentCode = req.query.agent_code || null;
+
+  res.json({
+    success: true,
+    data: {
+      devices: deviceManager.listDevices({ agentCode }),
+      pendingCodes: deviceManager.listPendingCodes().filter(pairing => !agentCode || pairing.agentCode === agentCode)
+    }
+  });
+});
+
+router.post('/devices/pairing-codes', requirePermission('admin:agents'), validateBody(schemas.createPairingCode), async (req, res) => {
+  try {
+    const { agent_code } = req.body;
+
+    const pairing = await deviceManager.createPairingCode(agent_code.trim(), req.user.username);
+    await audit(req, {
+      action: 'device.pairing_code',
+      targetType: 'agent',
+      targetId: pairing.agentCode,
+      after: { expiresAt: pairing.expiresAt }
+    });
+
+    res.json({
+      success: true,
+      data: pairing,
+      message: `Pairing code for ${pairing.agentCode} valid until ${pairing.expiresAt}`
+    });
+  } catch (error) {
+    console.error('❌ Error creating pairing code:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create pairing code'
+    });
+  }
+});
+
+// Revoking disconnects the device if it's online; it has to be paired again
+router.post('/devices/:id/revoke', requirePermission('admin:agents'), async (req, res) => {
+  try {
+    const wasRevoked = Boolean(deviceManager.listDevices().find(device => device.id === req.params.id)?.revokedAt);
+    const device = await deviceManager.revokeDevice(req.params.id, req.user.username);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    if (!wasRevoked) {
+      await audit(req, {
+        action: 'device.revoke',
+        targetType: 'device',
+        targetId: device.id,
+        before: { agentCode: device.agentCode, deviceName: device.deviceName, revokedAt: null },
+        after: { revokedAt: device.revokedAt }
+      });
+    }
+
+    const wsManager = req.app.locals.wsManager;
+    const disconnected = wsManager ? wsManager.disconnectDevice(device.id) : 0;
+
+    res.json({
+      success: true,
+      data: device,
+      disconnected,
+      message: `Device ${device.deviceName} for ${device.agentCode} revoked`
+    });
+  } catch (error) {
+    console.error('❌ Error revoking device:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke device'
+    });
+  }
+});
+
+// Audit log of administrative actions, newest first
+router.get('/audit', requirePermission('admin:system'), async (req, res) => {
+  try {
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date, actor, action, target_type, target_id } = req.query;
+    const limit = req.query.limit === undefined ? 200 : parseInt(req.query.limit);
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    if (action && !auditLog.actions.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `action must be one of ${auditLog.actions.join(', ')}`
+      });
+    }
+
+    if (isNaN(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be between 1 and 1000'
+      });
+    }
+
+    const entries = await auditLog.query({
+      startDate: start_date,
+      endDate: end_date,
+      actor: actor || null,
+      action: action || null,
+      targetType: target_type || null,
+      targetId: target_id || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        startDate: start_date,
+        endDate: end_date,
+        actions: auditLog.actions,
+        entries
+      },
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('❌ Error getting audit log:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get audit log'
+    });
+  }
+});
+
+// Current business date, timezone and day-start hour - the dashboard uses it for "today"
+router.get('/business-day', requirePermission('read:analytics'), (req, res) => {
+  res.json({
+    success: true,
+    data: getBusinessDayInfo()
+  });
+});
+
+// Break reason codes the agent app may send with break_started
+router.get('/break-reasons', requirePermission('read:analytics'), (req, res) => {
+  res.json({
+    success: true,
+    data: config.breaks.reasonCodes
+  });
+});
+
+// Get live dashboard data (talk time, calls, idle agents, breaks and today's metrics)
+router.get('/dashboard/live', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await dashboardService.getLiveData()
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting live dashboard data:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Utilization, occupancy, AHT and average idle gap per agent per business date
+router.get('/metrics', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date, agent_code } = req.query;
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    const metrics = await agentMetrics.getMetrics(start_date, end_date, agent_code || null);
+
+    res.json({
+      success: true,
+      data: {
+        startDate: start_date,
+        endDate: end_date,
+        metrics
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting agent metrics:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get agent history (Now from JSON storage)
+router.get('/agent/:agentCode/history', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const { agentCode } = req.params;
+    const { start_date, end_date } = req.query;
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date are required'
+      });
+    }
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    // Served from the local talk time archive, so it works without NocoDB
+    const history = await dailyTalkTimeManager.getAgentHistory(agentCode, start_date, end_date);
+
+    res.json({
+      success: true,
+      data: {
+        agentCode,
+        startDate: start_date,
+        endDate: end_date,
+        history: history
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting agent history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Time spent online, on call and offline per business date (defaults to today)
+router.get('/agent/:agentCode/state-time', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const { agentCode } = req.params;
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date } = req.query;
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    const stateTime = await agentStateLog.getStateTime(agentCode, start_date, end_date);
+
+    res.json({
+      success: true,
+      data: {
+        ...stateTime,
+        currentState: agentStateLog.getCurrentState(agentCode)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting agent state time:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Raw state transitions for an agent (defaults to today)
+router.get('/agent/:agentCode/state-events', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const { agentCode } = req.params;
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date } = req.query;
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    const events = await agentStateLog.getEvents(agentCode, start_date, end_date);
+
+    res.json({
+      success: true,
+      data: {
+        agentCode,
+        startDate: start_date,
+        endDate: end_date,
+        events
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting agent state events:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Attendance per agent per business date: first login, last logout, logged-in time, sessions
+// ?format=csv downloads the same rows as a spreadsheet
+router.get('/attendance', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date, agent_code, format = 'json' } = req.query;
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    const attendance = await agentSessions.getAttendance(start_date, end_date, agent_code || null);
+
+    if (format === 'csv') {
+      const csv = toCsv(attendance.map(row => ({
+        ...row,
+        firstLogin: row.firstLogin ? formatTimestamp(row.firstLogin) : '',
+        lastLogout: row.lastLogout ? formatTimestamp(row.lastLogout) : '',
+        loggedInTime: formatDuration(row.loggedInSeconds)
+      })), [
+        ['date', 'Date'],
+        ['agentCode', 'Agent Code'],
+        ['agentName', 'Agent Name'],
+        ['firstLogin', 'First Login'],
+        ['lastLogout', 'Last Logout'],
+        ['loggedInSeconds', 'Logged In (s)'],
+        ['loggedInTime', 'Logged In'],
+        ['sessionCount', 'Sessions'],
+        ['disconnectCount', 'Disconnects'],
+        ['stillLoggedIn', 'Still Logged In']
+      ]);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="attendance-${start_date}-to-${end_date}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        startDate: start_date,
+        endDate: end_date,
+        attendance: attendance.map(row => ({
+          ...row,
+          formattedLoggedInTime: formatDuration(row.loggedInSeconds)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting attendance:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Individual login sessions with their end reasons (defaults to today)
+router.get('/attendance/sessions', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date, agent_code } = req.query;
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    const sessions = await agentSessions.getSessions(start_date, end_date, agent_code || null);
+
+    res.json({
+      success: true,
+      data: {
+        startDate: start_date,
+        endDate: end_date,
+        sessions
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting login sessions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Supervisor alerts raised by the reminder escalation ladder, newest first
+router.get('/escalations', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date, agent_code } = req.query;
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    const escalations = await reminderEscalation.getEscalations(start_date, end_date, agent_code || null);
+
+    res.json({
+      success: true,
+      data: {
+        startDate: start_date,
+        endDate: end_date,
+        policies: reminderEscalation.getPolicies(),
+        escalations
       }
     });
   } catch (error) {
+    console.error('❌ Error getting escalations:', error.message);
     res.status(500).json({
-      status: 'unhealthy',
-      error: error.message,
-      timestamp: new Date().toISOString()
+      success: false,
+      error: 'Failed to get escalations'
     });
   }
 });
 
-// Get live dashboard data (New: JSON-based talk time)
-router.get('/dashboard/live', async (req, res) => {
+// Supervisor announcements with per-agent delivery and read receipts, newest first
+router.get('/announcements', requirePermission('read:analytics'), async (req, res) => {
   try {
-    // 🎯 NEW: Get today's talk time directly from JSON storage
-    const agentsTalkTime = dailyTalkTimeManager.getTodayTalkTime();
-    console.log(`📊 Dashboard: Found ${agentsTalkTime.length} agents with talk time data`);
-    
-    // Get active calls from Redis
-    const activeCalls = await redis.getAllActiveCalls();
-    
-    // Get all agents status from Redis
-    const agentsStatus = await redis.getAllAgentsStatus();
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
 
-    // Format agents on call (simplified, no timers)
-    const agentsOnCall = Object.entries(activeCalls).map(([agentCode, callData]) => ({
-      agentCode,
-      agentName: callData.agentName || 'Unknown',
-      phoneNumber: callData.phoneNumber,
-      callStartTime: callData.startTime,
-      callType: callData.callType
-    }));
-
-    // Calculate idle times for agents not on call
-    const agentsIdleTime = [];
-    const now = new Date();
-
-    for (const agent of agentsTalkTime) {
-      // Skip if agent is currently on call
-      if (activeCalls[agent.agentCode]) continue;
-
-      const agentStatus = agentsStatus[agent.agentCode];
-      if (agentStatus && agentStatus.status === 'online' && agentStatus.lastCallEnd) {
-        const lastCallEnd = new Date(agentStatus.lastCallEnd);
-        const minutesSinceLastCall = Math.floor((now - lastCallEnd) / (1000 * 60));
-        
-        if (minutesSinceLastCall >= 0) {
-          agentsIdleTime.push({
-            agentCode: agent.agentCode,
-            agentName: agent.agentName,
-            minutesSinceLastCall,
-            lastCallEnd: agentStatus.lastCallEnd
-          });
-        }
-      }
+    if (isNaN(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be between 1 and 200'
+      });
     }
 
     res.json({
       success: true,
-      data: {
-        agentsTalkTime: agentsTalkTime.sort((a, b) => a.agentCode.localeCompare(b.agentCode)),
-        agentsOnCall,
-        agentsIdleTime: agentsIdleTime.sort((a, b) => b.minutesSinceLastCall - a.minutesSinceLastCall),
-        lastUpdated: new Date().toISOString()
-      }
+      data: announcements.list(limit).map(announcement => announcements.summarize(announcement))
+    });
+  } catch (error) {
+    console.error('❌ Error getting announcements:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get announcements'
     });
+  }
+});
+
+router.get('/announcements/:id', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const announcement = announcements.get(req.params.id);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Announcement not found'
+      });
+    }
 
+    res.json({
+      success: true,
+      data: announcements.summarize(announcement)
+    });
   } catch (error) {
-    console.error('❌ Error getting live dashboard data:', error.message);
+    console.error('❌ Error getting announcement:', error.message);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to get announcement'
     });
   }
 });
 
-// Get agent history (Now from JSON storage)
-router.get('/agent/:agentCode/history', async (req, res) => {
+// target: { type: 'all' } | { type: 'team', team } | { type: 'agents', agentCodes: [] }
+router.post('/announcements', requirePermission('message:agents'), validateBody(schemas.announcement), async (req, res) => {
   try {
-    const { agentCode } = req.params;
-    const { start_date, end_date } = req.query;
+    const { message, target } = req.body;
 
-    if (!start_date || !end_date) {
+    let announcement;
+    try {
+      announcement = await announcements.create({ message, target, sentBy: req.user.username });
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        error: 'start_date and end_date are required'
+        error: error.message
       });
     }
 
-    // 🎯 NEW: Get history from JSON storage instead of PostgreSQL
-    const history = dailyTalkTimeManager.getAgentHistory(agentCode, start_date, end_date);
+    // Agents connected elsewhere or offline get it when they next come online
+    const wsManager = req.app.locals.wsManager;
+    const data = wsManager ? await wsManager.sendAnnouncement(announcement) : announcements.summarize(announcement);
 
     res.json({
       success: true,
-      data: {
-        agentCode,
-        startDate: start_date,
-        endDate: end_date,
-        history: history
-      }
+      data,
+      message: `Announcement sent to ${data.totals.sent} of ${data.totals.recipients} agent(s) now`
     });
-
   } catch (error) {
-    console.error('❌ Error getting agent history:', error.message);
+    console.error('❌ Error sending announcement:', error.message);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to send announcement'
     });
   }
 });
 
 // Get all agents list
-router.get('/agents', async (req, res) => {
+router.get('/agents', requirePermission('read:analytics'), async (req, res) => {
   try {
-    const query = `
-      SELECT agent_code, agent_name, status, last_seen 
-      FROM agents 
-      ORDER BY agent_code ASC
-    `;
-    
-    // const result = await database.pool.query(query);
+    const agents = agentManager.getAllAgents()
+      .sort((a, b) => a.agentCode.localeCompare(b.agentCode))
+      .map(agent => ({
+        agent_code: agent.agentCode,
+        agent_name: agent.agentName,
+        status: agent.status,
+        team: agent.team || null,
+        last_seen: agent.lastSeen
+      }));
     
     res.json({
       success: true,
-      data: result.rows
+      data: agents
     });
 
   } catch (error) {
@@ -153,8 +1039,8 @@ router.get('/agents', async (req, res) => {
   }
 });
 
-// 🎯 ENHANCED: Search calls by phone number using NocoDB
-router.get('/search/phone/:phoneNumber', async (req, res) => {
+// 🎯 ENHANCED: Search calls by phone number through the storage backend
+router.get('/search/phone/:phoneNumber', requirePermission('read:analytics'), async (req, res) => {
   try {
     const { phoneNumber } = req.params;
 
@@ -177,19 +1063,7 @@ router.get('/search/phone/:phoneNumber', async (req, res) => {
     }
 
     console.log(`🔍 Searching for phone number: ${cleanPhoneNumber}`);
-    const result = await nocodbService.searchCallsByPhone(cleanPhoneNumber);
-    
-    // Handle different NocoDB response formats
-    let calls = [];
-    if (Array.isArray(result)) {
-      calls = result;
-    } else if (result && result.list) {
-      calls = result.list;
-    } else if (result && result[0] && result[0].list) {
-      calls = result[0].list;
-    } else if (result && result.data) {
-      calls = result.data;
-    }
+    const calls = await storage.searchCallsByPhone(cleanPhoneNumber);
 
     console.log(`📞 Found ${calls.length} calls for ${cleanPhoneNumber}`);
 
@@ -199,25 +1073,315 @@ router.get('/search/phone/:phoneNumber', async (req, res) => {
         phoneNumber: cleanPhoneNumber,
         totalResults: calls.length,
         calls: calls.map(call => ({
-          id: call.Id,
-          agentCode: call['Agent Code'],
-          agentName: call['Agent Name'] || 'Unknown',
-          phoneNumber: call.Mobile,
-          contactName: call['Contact Name'],
-          callType: call['Call Type'],
-          talkDuration: parseInt(call['Talk Duration'] || 0),
-          formattedTalkDuration: formatDuration(parseInt(call['Talk Duration'] || 0)),
-          totalDuration: parseInt(call['Total Duration'] || 0),
-          callDate: call.Date,
-          startTime: call['Start Time'],
-          endTime: call['End Time'],
-          timestamp: formatHumanReadableTimestamp(call.Timestamp)
+          ...call,
+          formattedTalkDuration: formatDuration(call.talkDuration),
+          timestamp: formatHumanReadableTimestamp(call.timestamp)
         }))
       }
     });
 
   } catch (error) {
-    console.error('❌ Error searching calls by phone number:', error.message);
+    console.error('❌ Error searching calls by phone number:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 🎯 NEW: Get idle sessions for analytics
+// 🎯 ENHANCED: Get idle sessions for analytics with pagination and sorting
+// 🎯 ENHANCED: Get idle sessions from storage with filtering
+router.get('/idle-sessions', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const { 
+      agent_code, 
+      date, 
+      limit = 20, 
+      offset = 0
+    } = req.query;
+    
+    const { records: sessions, totalRecords } = await storage.getIdleSessions(
+      agent_code, 
+      date, 
+      parseInt(limit), 
+      parseInt(offset)
+    );
+
+    const pageSize = parseInt(limit);
+    const currentPage = Math.floor(parseInt(offset) / pageSize) + 1;
+    const totalPages = Math.ceil(totalRecords / pageSize);
+
+    res.json({
+      success: true,
+      data: {
+        idleSessions: sessions.map(session => ({
+          ...session,
+          formattedIdleDuration: formatDuration(session.idleDuration)
+        })),
+        totalRecords,
+        totalPages,
+        currentPage,
+        recordsPerPage: pageSize
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting idle sessions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 🎯 NEW: Get agent call history from Daily Talktime
+router.get('/agent-history', requirePermission('read:analytics'), async (req, res) => {
+  try {
+    const { 
+      agent_code, 
+      start_date, 
+      end_date,
+      limit = 50, 
+      offset = 0 
+    } = req.query;
+    
+    if (!agent_code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Agent code is required'
+      });
+    }
+    
+    if (!start_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date is required'
+      });
+    }
+    
+    let history;
+    let totalRecords;
+    let source = storage.name;
+
+    try {
+      ({ records: history, totalRecords } = await storage.getDailyTalktime(
+        agent_code,
+        start_date,
+        end_date,
+        parseInt(limit),
+        parseInt(offset)
+      ));
+    } catch (storageError) {
+      // Storage unreachable - fall back to the local talk time archive
+      console.error(`⚠️ ${storage.name} history unavailable, using local archive:`, storageError.message);
+
+      const archived = await dailyTalkTimeManager.getAgentHistory(agent_code, start_date, end_date || start_date);
+      history = archived.slice(parseInt(offset), parseInt(offset) + parseInt(limit)).map(record => ({
+        id: null,
+        date: record.date,
+        agentName: record.agentName,
+        talktime: record.totalTalkTime,
+        totalCalls: record.callCount
+      }));
+      totalRecords = archived.length;
+      source = 'local-archive';
+    }
+
+    res.json({
+      success: true,
+      data: {
+        agentCode: agent_code,
+        startDate: start_date,
+        endDate: end_date,
+        source,
+        history: history.map(record => ({
+          id: record.id,
+          date: record.date,
+          agentName: record.agentName,
+          talktime: record.talktime,
+          formattedTalktime: formatDuration(record.talktime),
+          totalCalls: record.totalCalls
+        })),
+        totalRecords
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting agent history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Utility functions
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+}
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainingSeconds = seconds % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m ${remainingSeconds}s`;
+  } else if (minutes > 0) {
+    return `${minutes}m ${remainingSeconds}s`;
+  } else {
+    return `${remainingSeconds}s`;
+  }
+}
+
+// Reminder message templates, their agent/team assignments and the supported placeholders
+router.get('/reminder-templates', requirePermission('read:analytics'), (req, res) => {
+  res.json({
+    success: true,
+    data: reminderTemplates.getAll()
+  });
+});
+
+router.post('/reminder-templates', requirePermission('write:settings'), validateBody(schemas.reminderTemplate), async (req, res) => {
+  try {
+    const { name, messages } = req.body;
+
+    const template = await reminderTemplates.createTemplate(name.trim(), messages);
+    await audit(req, {
+      action: 'reminder_template.create',
+      targetType: 'reminder_template',
+      targetId: template.id,
+      after: reminderTemplateSnapshot(template)
+    });
+
+    res.json({
+      success: true,
+      data: template,
+      message: `Template "${template.name}" created`
+    });
+  } catch (error) {
+    console.error('❌ Error creating reminder template:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Assign a template to an agent or team; template_id null goes back to the default
+router.post('/reminder-templates/assignments', requirePermission('write:settings'), validateBody(schemas.templateAssignment), async (req, res) => {
+  try {
+    const { scope, key, template_id } = req.body;
+
+    if (template_id && !reminderTemplates.getTemplate(template_id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Template ${template_id} not found`
+      });
+    }
+
+    const before = reminderTemplates.assignments[scope][key] || null;
+    await reminderTemplates.assign(scope, key, template_id || null);
+    await audit(req, {
+      action: 'reminder_template.assign',
+      targetType: scope === 'teams' ? 'team' : 'agent',
+      targetId: key,
+      before: { templateId: before },
+      after: { templateId: template_id || null }
+    });
+
+    res.json({
+      success: true,
+      data: reminderTemplates.assignments
+    });
+  } catch (error) {
+    console.error('❌ Error assigning reminder template:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/reminder-templates/:id', requirePermission('write:settings'), validateBody(schemas.reminderTemplate), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, messages } = req.body;
+
+    if (id === 'default') {
+      return res.status(400).json({
+        success: false,
+        error: 'The default template is built in - create a new template instead'
+      });
+    }
+
+    const existing = reminderTemplates.getTemplate(id);
+    const before = existing ? reminderTemplateSnapshot(existing) : null;
+
+    const template = await reminderTemplates.updateTemplate(id, name.trim(), messages);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Template ${id} not found`
+      });
+    }
+
+    await audit(req, {
+      action: 'reminder_template.update',
+      targetType: 'reminder_template',
+      targetId: id,
+      before,
+      after: reminderTemplateSnapshot(template)
+    });
+
+    res.json({
+      success: true,
+      data: template,
+      message: `Template "${template.name}" updated`
+    });
+  } catch (error) {
+    console.error('❌ Error updating reminder template:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/reminder-templates/:id/remove', requirePermission('write:settings'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = reminderTemplates.getTemplate(id);
+    // Who was using it, since removing it sends them back to the default
+    const assignedTo = {};
+    for (const scope of ['agents', 'teams']) {
+      assignedTo[scope] = Object.keys(reminderTemplates.assignments[scope])
+        .filter(key => reminderTemplates.assignments[scope][key] === id);
+    }
+
+    const removed = await reminderTemplates.removeTemplate(id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Template ${id} not found`
+      });
+    }
+
+    await audit(req, {
+      action: 'reminder_template.remove',
+      targetType: 'reminder_template',
+      targetId: id,
+      before: reminderTemplateSnapshot(existing),
+      details: { unassigned: assignedTo }
+    });
+
+    res.json({
+      success: true,
+      message: 'Template removed; its agents and teams now use the default'
+    });
+  } catch (error) {
+    console.error('❌ Error removing reminder template:', error.message);
     res.status(500).json({
       success: false,
       error: error.message
@@ -225,139 +1389,82 @@ router.get('/search/phone/:phoneNumber', async (req, res) => {
   }
 });
 
-// 🎯 NEW: Get idle sessions for analytics
-// 🎯 ENHANCED: Get idle sessions for analytics with pagination and sorting
-// 🎯 ENHANCED: Get idle sessions from NocoDB with filtering
-router.get('/idle-sessions', async (req, res) => {
+// Reminder acknowledgment rate, median response time and calls started soon after, per agent
+router.get('/reminders/analytics', requirePermission('read:analytics'), async (req, res) => {
   try {
-    const { 
-      agent_code, 
-      date, 
-      limit = 20, 
-      offset = 0
-    } = req.query;
-    
-    const result = await nocodbService.getIdleSessions(
-      agent_code, 
-      date, 
-      parseInt(limit), 
-      parseInt(offset)
-    );
-    
-    const sessions = result[0]?.list || [];
-    const totalRecords = result[0]?.pageInfo?.totalRows || 0;
-    const pageSize = parseInt(limit);
-    const currentPage = Math.floor(parseInt(offset) / pageSize) + 1;
-    const totalPages = Math.ceil(totalRecords / pageSize);
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date, agent_code, within_minutes } = req.query;
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
+      });
+    }
+
+    const callWithinMinutes = within_minutes === undefined ? config.reminders.callWithinMinutes : parseInt(within_minutes);
+    if (!callWithinMinutes || callWithinMinutes < 1 || callWithinMinutes > 240) {
+      return res.status(400).json({
+        success: false,
+        error: 'within_minutes must be between 1-240'
+      });
+    }
+
+    const analytics = await reminderLog.getAnalytics(start_date, end_date, agent_code || null, callWithinMinutes);
 
     res.json({
       success: true,
-      data: {
-        idleSessions: sessions.map(session => ({
-          id: session.Id,
-          date: session.Date,
-          agentCode: session['Agent Code'],
-          agentName: session['Agent Name'],
-          startTime: session['Start Time'],
-          idleDuration: parseInt(session['Idle Duration']),
-          formattedIdleDuration: formatDuration(parseInt(session['Idle Duration']))
-        })),
-        totalRecords,
-        totalPages,
-        currentPage,
-        recordsPerPage: pageSize
-      }
+      data: analytics
     });
-
   } catch (error) {
-    console.error('❌ Error getting idle sessions:', error.message);
+    console.error('❌ Error getting reminder analytics:', error.message);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to get reminder analytics'
     });
   }
 });
 
-// 🎯 NEW: Get agent call history from Daily Talktime
-router.get('/agent-history', async (req, res) => {
+// Individual reminders with delivery status and acknowledgment (defaults to today)
+router.get('/reminders', requirePermission('read:analytics'), async (req, res) => {
   try {
-    const { 
-      agent_code, 
-      start_date, 
-      end_date,
-      limit = 50, 
-      offset = 0 
-    } = req.query;
-    
-    if (!agent_code) {
-      return res.status(400).json({
-        success: false,
-        error: 'Agent code is required'
-      });
-    }
-    
-    if (!start_date) {
+    const today = getBusinessDate();
+    const { start_date = today, end_date = start_date, agent_code } = req.query;
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
       return res.status(400).json({
         success: false,
-        error: 'Start date is required'
+        error: 'start_date and end_date must be YYYY-MM-DD with start_date <= end_date'
       });
     }
-    
-    const result = await nocodbService.getDailyTalktime(
-      agent_code,
-      start_date,
-      end_date,
-      parseInt(limit),
-      parseInt(offset)
-    );
-    
-    const history = result[0]?.list || [];
-    const totalRecords = result[0]?.pageInfo?.totalRows || 0;
+
+    const reminders = await reminderLog.getReminders(start_date, end_date, agent_code || null);
 
     res.json({
       success: true,
       data: {
-        agentCode: agent_code,
         startDate: start_date,
         endDate: end_date,
-        history: history.map(record => ({
-          id: record.Id,
-          date: record.Date,
-          agentName: record['Agent Name'],
-          talktime: parseInt(record.Talktime || 0),
-          formattedTalktime: formatDuration(parseInt(record.Talktime || 0)),
-          totalCalls: parseInt(record['Total Calls'] || 0)
-        })),
-        totalRecords
+        reminders
       }
     });
-
   } catch (error) {
-    console.error('❌ Error getting agent history:', error.message);
+    console.error('❌ Error getting reminders:', error.message);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to get reminders'
     });
   }
 });
 
-// Utility function
-function formatDuration(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const remainingSeconds = seconds % 60;
-
-  if (hours > 0) {
-    return `${hours}h ${minutes}m ${remainingSeconds}s`;
-  } else if (minutes > 0) {
-    return `${minutes}m ${remainingSeconds}s`;
-  } else {
-    return `${remainingSeconds}s`;
-  }
+// Sends the agent's updated profile to their app if it's connected to this server
+async function pushAgentSettings(req, agentCode) {
+  const wsManager = req.app.locals.wsManager;
+  return wsManager ? await wsManager.pushAgentSettings(agentCode) : false;
 }
 
 // Agent reminder settings routes
-router.get('/reminder-settings', async (req, res) => {
+router.get('/reminder-settings', requirePermission('read:analytics'), async (req, res) => {
   try {
     const allAgents = agentManager.getAllAgents();
     const settings = allAgents.map(agent => {
@@ -368,7 +1475,12 @@ router.get('/reminder-settings', async (req, res) => {
         agent_name: agent.agentName,
         reminder_interval_minutes: reminderSettings.intervalMinutes,
         reminders_enabled: reminderSettings.enabled,
-        agent_status: agent.status || 'offline'
+        agent_status: agent.status || 'offline',
+        team: agent.team || null,
+        language: agent.language || null,
+        template_id: reminderTemplates.assignments.agents[agent.agentCode] || null,
+        schedule: reminderSettings.schedule || null,
+        schedule_active: isScheduleActive(reminderSettings.schedule)
       };
     });
     
@@ -389,7 +1501,7 @@ router.get('/reminder-settings', async (req, res) => {
   }
 });
 
-router.get('/reminder-settings/:agentCode', async (req, res) => {
+router.get('/reminder-settings/:agentCode', requirePermission('read:analytics'), async (req, res) => {
   try {
     const { agentCode } = req.params;
     const agent = agentManager.getAgent(agentCode);
@@ -406,7 +1518,9 @@ router.get('/reminder-settings/:agentCode', async (req, res) => {
       agent_name: agent.agentName,
       reminder_interval_minutes: agent.reminderSettings?.intervalMinutes || 5,
       reminders_enabled: agent.reminderSettings?.enabled !== false,
-      agent_status: agent.status || 'offline'
+      agent_status: agent.status || 'offline',
+      schedule: agent.reminderSettings?.schedule || null,
+      schedule_active: isScheduleActive(agent.reminderSettings?.schedule)
     };
 
     res.json({
@@ -423,30 +1537,20 @@ router.get('/reminder-settings/:agentCode', async (req, res) => {
   }
 });
 
-router.post('/reminder-settings/:agentCode', async (req, res) => {
+// schedule is optional: omitted keeps the current schedule, null clears it
+router.post('/reminder-settings/:agentCode', requirePermission('write:settings'), validateBody(schemas.reminderSettings), async (req, res) => {
   try {
     const { agentCode } = req.params;
-    const { reminder_interval_minutes, reminders_enabled } = req.body;
-
-    // Validation
-    if (!reminder_interval_minutes || reminder_interval_minutes < 1 || reminder_interval_minutes > 60) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid reminder interval. Must be between 1-60 minutes.'
-      });
-    }
+    const { reminder_interval_minutes, reminders_enabled, schedule } = req.body;
 
-    if (typeof reminders_enabled !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'reminders_enabled must be a boolean value'
-      });
-    }
+    const existingAgent = agentManager.getAgent(agentCode);
+    const before = existingAgent ? reminderSettingsSnapshot(existingAgent) : null;
 
     const updatedAgent = await agentManager.updateReminderSettings(
       agentCode,
-      parseInt(reminder_interval_minutes),
-      reminders_enabled
+      reminder_interval_minutes,
+      reminders_enabled,
+      schedule === undefined ? undefined : normalizeSchedule(schedule)
     );
 
     if (!updatedAgent) {
@@ -456,11 +1560,21 @@ router.post('/reminder-settings/:agentCode', async (req, res) => {
       });
     }
 
+    await audit(req, {
+      action: 'reminder_settings.update',
+      targetType: 'agent',
+      targetId: agentCode,
+      before,
+      after: reminderSettingsSnapshot(updatedAgent)
+    });
+
     const responseData = {
       agent_code: updatedAgent.agentCode,
       agent_name: updatedAgent.agentName,
       reminder_interval_minutes: updatedAgent.reminderSettings.intervalMinutes,
-      reminders_enabled: updatedAgent.reminderSettings.enabled
+      reminders_enabled: updatedAgent.reminderSettings.enabled,
+      schedule: updatedAgent.reminderSettings.schedule || null,
+      pushed_to_app: await pushAgentSettings(req, agentCode)
     };
 
     res.json({
@@ -480,54 +1594,57 @@ router.post('/reminder-settings/:agentCode', async (req, res) => {
 
 // Bulk update reminder settings
 // Bulk update reminder settings (JSON-based)
-router.post('/reminder-settings-bulk', async (req, res) => {
+router.post('/reminder-settings-bulk', requirePermission('write:settings'), validateBody(schemas.reminderSettingsBulk), async (req, res) => {
   try {
     const { settings } = req.body;
 
-    if (!Array.isArray(settings)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Settings must be an array'
-      });
-    }
-
     console.log(`📊 Bulk update request for ${settings.length} agents`);
     const results = [];
 
-    for (const setting of settings) {
-      const { agentCode, reminder_interval_minutes, reminders_enabled } = setting;
-      
-      // Validation
-      const intervalInt = parseInt(reminder_interval_minutes);
-      if (isNaN(intervalInt) || intervalInt < 1 || intervalInt > 60) {
-        results.push({ 
-          success: false, 
-          agentCode, 
-          error: `Invalid interval: ${reminder_interval_minutes}. Must be 1-60 minutes.` 
-        });
+    for (const [index, setting] of settings.entries()) {
+      const { agentCode, reminder_interval_minutes: intervalInt, reminders_enabled } = setting;
+
+      const errors = validate(schemas.reminderSettingsBulkEntry, setting, `settings[${index}]`);
+      if (errors.length > 0) {
+        results.push({ ...validationFailure(errors), agentCode });
         continue;
       }
 
-      if (typeof reminders_enabled !== 'boolean') {
-        results.push({ 
-          success: false, 
-          agentCode, 
-          error: 'reminders_enabled must be boolean' 
-        });
+      // Optional: team, preferred language, reminder template and schedule
+      const { team, language, template_id, schedule } = setting;
+      if (template_id && !reminderTemplates.getTemplate(template_id)) {
+        results.push({ success: false, agentCode, error: `Unknown template: ${template_id}` });
         continue;
       }
       
       try {
         console.log(`📊 Updating ${agentCode}: ${intervalInt} minutes, enabled: ${reminders_enabled}`);
+        const existingAgent = agentManager.getAgent(agentCode);
+        const before = existingAgent ? reminderSettingsSnapshot(existingAgent) : null;
         
-        const result = await agentManager.updateReminderSettings(
+        let result = await agentManager.updateReminderSettings(
           agentCode,
           intervalInt,
-          reminders_enabled
+          reminders_enabled,
+          schedule === undefined ? undefined : normalizeSchedule(schedule)
         );
+
+        if (result && (team !== undefined || language !== undefined)) {
+          result = await agentManager.updateAgentProfile(agentCode, { team, language });
+        }
+        if (result && template_id !== undefined) {
+          await reminderTemplates.assign('agents', agentCode, template_id || null);
+        }
         
         if (result) {
-          results.push({ success: true, agentCode, data: result });
+          await audit(req, {
+            action: 'reminder_settings.bulk_update',
+            targetType: 'agent',
+            targetId: agentCode,
+            before,
+            after: reminderSettingsSnapshot(result)
+          });
+          results.push({ success: true, agentCode, data: result, pushedToApp: await pushAgentSettings(req, agentCode) });
           console.log(`✅ Updated ${agentCode} settings successfully`);
         } else {
           results.push({ success: false, agentCode, error: 'Agent not found' });
@@ -556,7 +1673,7 @@ router.post('/reminder-settings-bulk', async (req, res) => {
   }
 });
 
-router.post('/agents/:agentCode/remove', async (req, res) => {
+router.post('/agents/:agentCode/remove', requirePermission('admin:agents'), async (req, res) => {
   try {
     const { agentCode } = req.params;
 
@@ -567,7 +1684,8 @@ router.post('/agents/:agentCode/remove', async (req, res) => {
       });
     }
 
-    // 🎯 NEW: Remove agent from JSON instead of database
+    const existingAgent = agentManager.getAgent(agentCode);
+    const before = existingAgent ? JSON.parse(JSON.stringify(existingAgent)) : null;
     const removed = await agentManager.removeAgent(agentCode);
     
     if (!removed) {
@@ -576,6 +1694,8 @@ router.post('/agents/:agentCode/remove', async (req, res) => {
         error: `Agent ${agentCode} not found`
       });
     }
+
+    await audit(req, { action: 'agent.remove', targetType: 'agent', targetId: agentCode, before });
     
     // Remove from Redis active agents
     await redis.setAgentStatus(agentCode, 'removed');
@@ -583,7 +1703,7 @@ router.post('/agents/:agentCode/remove', async (req, res) => {
     // Clear any active call data
     await redis.setCallEnd(agentCode);
 
-    console.log(`🗑️ Agent ${agentCode} removed from JSON and Redis`);
+    console.log(`🗑️ Agent ${agentCode} removed from ${storage.name} storage and Redis`);
 
     res.json({
       success: true,
@@ -601,7 +1721,7 @@ router.post('/agents/:agentCode/remove', async (req, res) => {
 });
 
 // 🎯 NEW: Get all agents from JSON
-router.get('/agents/json', async (req, res) => {
+router.get('/agents/json', requirePermission('read:analytics'), async (req, res) => {
   try {
     const agents = agentManager.getAllAgents();
     
@@ -621,7 +1741,7 @@ router.get('/agents/json', async (req, res) => {
 });
 
 // NEW: Reset/restore agent
-router.post('/agents/:agentCode/restore', async (req, res) => {
+router.post('/agents/:agentCode/restore', requirePermission('admin:agents'), async (req, res) => {
   try {
     const { agentCode } = req.params;
 
@@ -633,7 +1753,23 @@ router.post('/agents/:agentCode/restore', async (req, res) => {
     }
 
     // Restore agent to offline status (will be online when they connect)
-    await database.updateAgentStatus(agentCode, 'offline');
+    const previousStatus = agentManager.getAgent(agentCode)?.status || null;
+    const restored = await agentManager.updateAgentStatus(agentCode, 'offline');
+    
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: `Agent ${agentCode} not found`
+      });
+    }
+
+    await audit(req, {
+      action: 'agent.restore',
+      targetType: 'agent',
+      targetId: agentCode,
+      before: { status: previousStatus },
+      after: { status: 'offline' }
+    });
     
     console.log(`♻️ Agent ${agentCode} restored to dashboard`);
 
@@ -653,17 +1789,10 @@ router.post('/agents/:agentCode/restore', async (req, res) => {
 });
 
 // Bulk update reminder settings (JSON-based)
-router.post('/reminder-settings-bulk', async (req, res) => {
+router.post('/reminder-settings-bulk', requirePermission('write:settings'), validateBody(schemas.reminderSettingsBulk), async (req, res) => {
   try {
     const { settings } = req.body;
 
-    if (!Array.isArray(settings)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Settings must be an array'
-      });
-    }
-
     const results = [];
 
     for (const setting of settings) {
@@ -696,26 +1825,203 @@ router.post('/reminder-settings-bulk', async (req, res) => {
   }
 });
 
-// Helper function to format human readable timestamp
+// Idle session upload queue administration
+router.get('/admin/idle-queue', requirePermission('admin:system'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: idleSessionQueue.getStatus()
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting idle session queue:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/admin/idle-queue/dead-letter/replay', requirePermission('admin:system'), async (req, res) => {
+  try {
+    const replayed = await idleSessionQueue.replayDeadLetter();
+
+    res.json({
+      success: true,
+      message: `${replayed} dead-lettered idle session(s) queued for replay`,
+      replayed
+    });
+
+  } catch (error) {
+    console.error('❌ Error replaying dead-lettered idle sessions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/admin/idle-queue/dead-letter/:id/replay', requirePermission('admin:system'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const replayed = await idleSessionQueue.replayDeadLetter(id);
+
+    if (!replayed) {
+      return res.status(404).json({
+        success: false,
+        error: `Dead-lettered idle session ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Idle session ${id} queued for replay`
+    });
+
+  } catch (error) {
+    console.error('❌ Error replaying dead-lettered idle session:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/admin/idle-queue/dead-letter/:id/discard', requirePermission('admin:system'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const discarded = await idleSessionQueue.discardDeadLetter(id);
+
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        error: `Dead-lettered idle session ${id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Idle session ${id} discarded`,
+      data: discarded
+    });
+
+  } catch (error) {
+    console.error('❌ Error discarding dead-lettered idle session:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Scheduler state: last successful end-of-day run and the most recent attempt
+router.get('/admin/daily-stats/status', requirePermission('admin:system'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: dailyStatsScheduler.getStatus()
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting daily stats status:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Upload every missed date from the local archive now
+router.post('/admin/daily-stats/catch-up', requirePermission('admin:system'), async (req, res) => {
+  try {
+    const results = await dailyStatsScheduler.catchUp();
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('❌ Error running daily stats catch-up:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Daily talk time upload ledger, optionally for one date
+router.get('/admin/daily-stats/ledger', requirePermission('admin:system'), async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (date && !isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await dailyStatsUploader.getLedger(date || null)
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting daily upload ledger:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Re-run the upload for a date; only failed or changed agents are sent unless force is set
+router.post('/admin/daily-stats/upload', requirePermission('admin:system'), validateBody(schemas.dailyStatsUpload), async (req, res) => {
+  try {
+    const { date, force = false } = req.body;
+
+    const summary = await dailyStatsUploader.uploadDate(date, { force: force === true });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('❌ Error uploading daily stats:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Helper function to format human readable timestamp in the business timezone
 function formatHumanReadableTimestamp(timestamp) {
   if (!timestamp) return 'Unknown';
   
   try {
-    const date = new Date(timestamp);
-    return date.toLocaleString('en-IN', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      timeZone: 'Asia/Kolkata'
-    });
+    return formatTimestamp(timestamp);
   } catch (error) {
     return timestamp;
   }
 }
 
+// Rows to CSV with a header line; columns are [field, header] pairs
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(([, header]) => escape(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([field]) => escape(row[field])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
 // Utility function (keep existing)
 function formatDuration(seconds) {
   const hours = Math.floor(seconds / 3600);
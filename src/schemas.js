@@ -0,0 +1,284 @@
+const config = require('../config/config');
+const reminderTemplates = require('./services/reminderTemplates');
+const { ROLES, API_KEY_SCOPES } = require('./utils/permissions');
+const { SCHEDULE_SCHEMA } = require('./utils/reminderSchedule');
+
+/*
+ * What every inbound socket event and REST body may contain (see utils/validation
+ * for the schema keywords). Socket handlers and routes can rely on these shapes;
+ * checks that need server state (does the agent exist, is the code valid) stay
+ * in the handlers.
+ */
+const AGENT_CODE = { type: 'string', notBlank: true, maxLength: 50 };
+const AGENT_NAME = { type: 'string', notBlank: true, maxLength: 100 };
+const TIMESTAMP = { type: ['string', 'number'], format: 'timestamp' };
+// Seconds; nothing a single day can exceed
+const DAY_SECONDS = { type: 'integer', minimum: 0, maximum: 86400 };
+const CALL_TYPES = ['incoming', 'outgoing', 'missed'];
+const ANNOUNCEMENT_TARGETS = ['all', 'team', 'agents'];
+
+// Agents address a supervisor, supervisors an agent
+const CHAT_PARTY = {
+  agentCode: AGENT_CODE,
+  supervisor: { type: 'string', notBlank: true, maxLength: 50 }
+};
+
+const ANNOUNCEMENT_RECEIPT = {
+  type: 'object',
+  required: ['announcementId'],
+  properties: {
+    agentCode: AGENT_CODE,
+    announcementId: { type: 'string', notBlank: true, maxLength: 100 },
+    timestamp: TIMESTAMP
+  }
+};
+
+const REMINDER_SETTINGS_FIELDS = {
+  reminder_interval_minutes: { type: 'integer', minimum: 1, maximum: 60 },
+  reminders_enabled: { type: 'boolean' },
+  schedule: SCHEDULE_SCHEMA
+};
+
+const REMINDER_TEMPLATE = {
+  type: 'object',
+  required: ['name', 'messages'],
+  properties: {
+    name: { type: 'string', notBlank: true, maxLength: 100 },
+    messages: { type: 'object', check: messages => reminderTemplates.validateMessages(messages) }
+  }
+};
+
+const socketEvents = {
+  agent_online: {
+    type: 'object',
+    required: ['agentCode', 'agentName'],
+    properties: { agentCode: AGENT_CODE, agentName: AGENT_NAME }
+  },
+  agent_offline: {
+    type: 'object',
+    properties: { agentCode: AGENT_CODE }
+  },
+  call_started: {
+    type: 'object',
+    required: ['agentCode'],
+    properties: {
+      agentCode: AGENT_CODE,
+      agentName: AGENT_NAME,
+      phoneNumber: { type: 'string', maxLength: 50 },
+      callType: { type: 'string', enum: CALL_TYPES }
+    }
+  },
+  call_ended: {
+    type: 'object',
+    required: ['agentCode', 'callData'],
+    properties: {
+      agentCode: AGENT_CODE,
+      todayTotalTalkTime: DAY_SECONDS,
+      callData: {
+        type: 'object',
+        required: ['callType', 'talkDuration'],
+        properties: {
+          agentName: AGENT_NAME,
+          phoneNumber: { type: 'string', maxLength: 50 },
+          contactName: { type: 'string', nullable: true, maxLength: 100 },
+          callType: { type: 'string', enum: CALL_TYPES },
+          talkDuration: DAY_SECONDS,
+          totalDuration: DAY_SECONDS,
+          callDate: { type: 'string', format: 'date' },
+          startTime: { type: ['string', 'number'], nullable: true },
+          endTime: { type: ['string', 'number'], nullable: true }
+        },
+        check: callData => (callData.totalDuration !== undefined && callData.talkDuration > callData.totalDuration
+          ? ['callData.talkDuration must not be more than callData.totalDuration']
+          : [])
+      }
+    }
+  },
+  break_started: {
+    type: 'object',
+    required: ['reasonCode'],
+    properties: {
+      agentCode: AGENT_CODE,
+      agentName: AGENT_NAME,
+      reasonCode: { type: 'string', notBlank: true, maxLength: 50 }
+    }
+  },
+  break_ended: {
+    type: 'object',
+    properties: { agentCode: AGENT_CODE }
+  },
+  reminder_acknowledged: {
+    type: 'object',
+    properties: {
+      agentCode: AGENT_CODE,
+      timestamp: TIMESTAMP,
+      action: { type: 'string', maxLength: 50 },
+      reminderId: { type: 'string', maxLength: 100 }
+    }
+  },
+  announcement_delivered: ANNOUNCEMENT_RECEIPT,
+  announcement_read: ANNOUNCEMENT_RECEIPT,
+  chat_send: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      ...CHAT_PARTY,
+      text: { type: 'string', notBlank: true, maxLength: config.chat.maxLength }
+    }
+  },
+  chat_history: {
+    type: 'object',
+    properties: {
+      ...CHAT_PARTY,
+      before: { type: 'string', format: 'timestamp' },
+      limit: { type: 'integer', minimum: 1, maximum: 200 }
+    }
+  },
+  chat_read: {
+    type: 'object',
+    properties: CHAT_PARTY
+  },
+  chat_typing: {
+    type: 'object',
+    properties: { ...CHAT_PARTY, typing: { type: 'boolean' } }
+  },
+  get_agent_profile: {
+    type: 'object',
+    properties: { agentCode: AGENT_CODE }
+  },
+  send_manual_reminder: {
+    type: 'object',
+    required: ['agentCode', 'agentName'],
+    properties: { agentCode: AGENT_CODE, agentName: AGENT_NAME }
+  }
+};
+
+// REST request bodies, by route
+const requests = {
+  login: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string', notBlank: true, maxLength: 50 },
+      password: { type: 'string', minLength: 1, maxLength: 200 }
+    }
+  },
+  changePassword: {
+    type: 'object',
+    required: ['current_password', 'new_password'],
+    properties: {
+      current_password: { type: 'string', maxLength: 200 },
+      new_password: { type: 'string', minLength: config.auth.minPasswordLength, maxLength: 200 }
+    }
+  },
+  createUser: {
+    type: 'object',
+    required: ['username', 'password', 'role'],
+    properties: {
+      username: {
+        type: 'string',
+        pattern: /^[a-zA-Z0-9._-]{3,50}$/,
+        patternDescription: '3-50 letters, digits, dots, dashes or underscores'
+      },
+      password: { type: 'string', minLength: config.auth.minPasswordLength, maxLength: 200 },
+      role: { type: 'string', enum: ROLES }
+    }
+  },
+  updateUser: {
+    type: 'object',
+    properties: {
+      password: { type: 'string', minLength: config.auth.minPasswordLength, maxLength: 200 },
+      role: { type: 'string', enum: ROLES },
+      disabled: { type: 'boolean' }
+    }
+  },
+  createApiKey: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string', notBlank: true, maxLength: 100 },
+      scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_KEY_SCOPES } }
+    }
+  },
+  pairDevice: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', notBlank: true, maxLength: 20 },
+      device_name: { type: 'string', maxLength: 100 }
+    }
+  },
+  createPairingCode: {
+    type: 'object',
+    required: ['agent_code'],
+    properties: { agent_code: AGENT_CODE }
+  },
+  announcement: {
+    type: 'object',
+    required: ['message', 'target'],
+    properties: {
+      message: { type: 'string', notBlank: true, maxLength: config.announcements.maxLength },
+      target: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string', enum: ANNOUNCEMENT_TARGETS },
+          team: { type: 'string', notBlank: true, maxLength: 50 },
+          agentCodes: { type: 'array', minItems: 1, items: AGENT_CODE }
+        },
+        check: target => {
+          if (target.type === 'team' && target.team === undefined) return ['target.team is required for a team announcement'];
+          if (target.type === 'agents' && target.agentCodes === undefined) return ['target.agentCodes is required for an agents announcement'];
+          return [];
+        }
+      }
+    }
+  },
+  reminderTemplate: REMINDER_TEMPLATE,
+  templateAssignment: {
+    type: 'object',
+    required: ['scope', 'key'],
+    properties: {
+      scope: { type: 'string', enum: ['agents', 'teams'] },
+      key: { type: 'string', notBlank: true, maxLength: 50 },
+      template_id: { type: 'string', nullable: true, maxLength: 100 }
+    }
+  },
+  reminderSettings: {
+    type: 'object',
+    required: ['reminder_interval_minutes', 'reminders_enabled'],
+    properties: REMINDER_SETTINGS_FIELDS
+  },
+  // Each entry is checked on its own so one bad row doesn't fail the rest
+  reminderSettingsBulk: {
+    type: 'object',
+    required: ['settings'],
+    properties: {
+      settings: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  reminderSettingsBulkEntry: {
+    type: 'object',
+    required: ['agentCode', 'reminder_interval_minutes', 'reminders_enabled'],
+    properties: {
+      ...REMINDER_SETTINGS_FIELDS,
+      agentCode: AGENT_CODE,
+      team: { type: 'string', nullable: true, maxLength: 50 },
+      language: { type: 'string', nullable: true, enum: config.reminders.languages },
+      template_id: { type: 'string', nullable: true, maxLength: 100 }
+    }
+  },
+  dailyStatsUpload: {
+    type: 'object',
+    required: ['date'],
+    properties: {
+      date: { type: 'string', format: 'date' },
+      force: { type: 'boolean' }
+    }
+  }
+};
+
+module.exports = {
+  socketEvents,
+  requests
+};
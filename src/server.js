@@ -6,11 +6,27 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 
 const config = require('../config/config');
-const database = require('./database');
+const storage = require('./storage');
 const redis = require('./redis');
 const routes = require('./routes');
 const WebSocketManager = require('./websocket');
+const { resolveUser, authenticateSocket } = require('./auth');
+const userManager = require('./services/userManager');
+const deviceManager = require('./services/deviceManager');
+const apiKeyManager = require('./services/apiKeyManager');
+const auditLog = require('./services/auditLog');
 const dailyTalkTimeManager = require('./services/dailyTalkTimeManager');
+const agentManager = require('./services/agentManager');
+const idleSessionQueue = require('./services/idleSessionQueue');
+const agentStateLog = require('./services/agentStateLog');
+const agentSessions = require('./services/agentSessions');
+const reminderEscalation = require('./services/reminderEscalation');
+const reminderLog = require('./services/reminderLog');
+const reminderTemplates = require('./services/reminderTemplates');
+const announcements = require('./services/announcements');
+const chat = require('./services/chat');
+const dailyStatsUploader = require('./services/dailyStatsUploader');
+const dailyStatsScheduler = require('./services/dailyStatsScheduler');
 
 class CallAnalyticsServer {
   constructor() {
@@ -24,7 +40,6 @@ class CallAnalyticsServer {
     });
     
     this.wsManager = null;
-    this.dailyStatsScheduler = null;  // ADD THIS LINE
     this.init();
   }
 
@@ -71,6 +86,14 @@ class CallAnalyticsServer {
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true }));
 
+    // The dashboard page needs a session; its scripts and styles don't
+    this.app.get(['/dashboard', '/dashboard.html'], (req, res, next) => {
+      if (!resolveUser(req.headers)) {
+        return res.redirect('/login');
+      }
+      next();
+    });
+
     // Static files (for dashboard)
     this.app.use(express.static('public'));
   }
@@ -84,6 +107,10 @@ class CallAnalyticsServer {
         res.sendFile('dashboard.html', { root: 'public' });
     });
 
+    this.app.get('/login', (req, res) => {
+        res.sendFile('login.html', { root: 'public' });
+    });
+
     // Root endpoint
     this.app.get('/', (req, res) => {
         res.json({
@@ -114,13 +141,27 @@ class CallAnalyticsServer {
   }
 
   setupWebSocket() {
+    // Dashboard sockets need a session; agent apps connect without one
+    this.io.use(authenticateSocket);
     this.wsManager = new WebSocketManager(this.io);
+    // Routes push settings changes to connected agent apps through it
+    this.app.locals.wsManager = this.wsManager;
     console.log('✅ WebSocket manager initialized');
   }
 
   setupErrorHandling() {
     // Global error handler
     this.app.use((error, req, res, next) => {
+      // Malformed JSON never reaches the request schemas; answer in the same shape
+      if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({
+          success: false,
+          error: 'Request body is not valid JSON',
+          code: 'INVALID_JSON',
+          errors: [{ path: '', code: 'invalid_json', message: error.message }]
+        });
+      }
+
       console.error('❌ Global error handler:', error);
       
       res.status(error.status || 500).json({
@@ -156,18 +197,45 @@ class CallAnalyticsServer {
 
 async start() {
   try {
-    // Wait for database and redis to be ready
-    console.log('🔄 Waiting for database and redis connections...');
+    // Wait for storage and redis to be ready
+    console.log('🔄 Waiting for storage and redis connections...');
     await this.waitForConnections();
 
+    // Dashboard users (creates the first admin on a fresh install)
+    await userManager.init();
+    await deviceManager.init();
+    await apiKeyManager.init();
+    await auditLog.init();
+
+    // Load agents from the configured storage backend
+    console.log('🔄 Loading agents...');
+    await agentManager.init();
+
+    // Restore each agent's last known state from the state history log
+    await agentStateLog.init();
+
+    // Close login sessions left open by a crash
+    await agentSessions.init();
+    await reminderEscalation.init();
+    await reminderLog.init();
+    await reminderTemplates.init();
+    await announcements.init();
+    await chat.init();
+
+    // Restore idle sessions that were waiting for upload before the last shutdown
+    console.log('🔄 Restoring idle session queue...');
+    await idleSessionQueue.init();
+
     // Initialize daily talk time manager
     console.log('🔄 Initializing daily talk time manager...');
     await dailyTalkTimeManager.init();
 
-    
+    // Load which agents each date's talk time was already uploaded for
+    await dailyStatsUploader.init();
+
+    // Start the end-of-day upload and catch up on any dates missed while down
+    await dailyStatsScheduler.start();
 
- // Start daily stats scheduler
-    this.startDailyStatsScheduler();  // ADD THIS LINE
     // Start the server
     this.server.listen(config.server.port, '0.0.0.0', () => {
         console.log('🚀 Call Analytics Server Started');
@@ -189,11 +257,11 @@ async start() {
     
     while (attempts < maxAttempts) {
       try {
-        // Test redis connection only (no PostgreSQL)
         const redisHealthy = await redis.ping();
+        const storageHealthy = await storage.ping();
         
-        if (redisHealthy) {
-          console.log('✅ All connections ready (Redis only)');
+        if (redisHealthy && storageHealthy) {
+          console.log(`✅ All connections ready (Redis + ${storage.name} storage)`);
           return;
         }
       } catch (error) {
@@ -207,99 +275,35 @@ async start() {
     throw new Error('Failed to establish connections after maximum attempts');
   }
 
-  // Daily stats scheduler - runs at 11:55 PM IST
-  startDailyStatsScheduler() {
-    const scheduleNextRun = () => {
-      const now = new Date();
-      
-      // Convert to IST
-      const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC+5:30
-      const istNow = new Date(now.getTime() + istOffset);
-      
-      // Set target time to 11:55 PM IST today
-      const targetTime = new Date(istNow);
-      targetTime.setHours(23, 55, 0, 0);
-      
-      // If target time has already passed today, schedule for tomorrow
-      if (istNow > targetTime) {
-        targetTime.setDate(targetTime.getDate() + 1);
-      }
-      
-      // Convert back to UTC for setTimeout
-      const targetTimeUTC = new Date(targetTime.getTime() - istOffset);
-      const msUntilRun = targetTimeUTC.getTime() - now.getTime();
-      
-      console.log(`📅 Daily stats scheduled for: ${targetTime.toISOString()} IST (in ${Math.round(msUntilRun / 1000 / 60)} minutes)`);
-      
-      this.dailyStatsScheduler = setTimeout(async () => {
-        await this.saveDailyStatsToNocoDB();
-        scheduleNextRun(); // Schedule next day
-      }, msUntilRun);
-    };
-    
-    scheduleNextRun();
-    console.log('✅ Daily stats scheduler started');
-  }
-
-  async saveDailyStatsToNocoDB() {
-    try {
-      console.log('🔄 Starting daily stats save to NocoDB...');
-      
-      const nocodbService = require('./services/nocodbService');
-      const todayTalkTime = dailyTalkTimeManager.getTodayTalkTime();
-      
-      if (todayTalkTime.length === 0) {
-        console.log('⚠️ No talk time data to save today');
-        return;
-      }
-      
-      const today = nocodbService.formatDate(new Date());
-      let savedCount = 0;
-      let errorCount = 0;
-      
-      for (const agent of todayTalkTime) {
-        try {
-          // Only save if agent has some talk time or calls
-          if (agent.totalTalkTime > 0 || agent.callCount > 0) {
-            await nocodbService.addDailyTalktime(
-              agent.agentCode,
-              agent.agentName,
-              today,
-              agent.totalTalkTime,
-              agent.callCount || 0
-            );
-            
-            savedCount++;
-            console.log(`✅ Saved daily stats: ${agent.agentCode} - ${agent.formattedTalkTime}`);
-            
-            // Small delay to prevent rate limiting
-            await new Promise(resolve => setTimeout(resolve, 200));
-          }
-        } catch (error) {
-          errorCount++;
-          console.error(`❌ Failed to save daily stats for ${agent.agentCode}:`, error.message);
-        }
-      }
-      
-      console.log(`📊 Daily stats save completed: ${savedCount} saved, ${errorCount} errors`);
-      
-      // Reset daily talk time for next day (optional - depends on your preference)
-      // await dailyTalkTimeManager.resetForNewDay();
-      
-    } catch (error) {
-      console.error('❌ Error in daily stats save:', error.message);
-    }
-  }
-
   async gracefulShutdown() {
     console.log('🔄 Starting graceful shutdown...');
     
     try {
       // Clear daily stats scheduler
-      if (this.dailyStatsScheduler) {
-        clearTimeout(this.dailyStatsScheduler);
-        console.log('✅ Daily stats scheduler cleared');
-      }
+      await dailyStatsScheduler.stop();
+      console.log('✅ Daily stats scheduler cleared');
+
+      // Stop idle session retries (queue stays on disk)
+      await idleSessionQueue.stop();
+      console.log('✅ Idle session queue stopped');
+
+      // Log connected agents as offline so the downtime isn't counted as online
+      await agentStateLog.stop();
+      console.log('✅ Agent state log closed');
+
+      await agentSessions.stop();
+      await reminderEscalation.stop();
+      await reminderLog.stop();
+      await announcements.stop();
+      await chat.stop();
+      await userManager.stop();
+      await deviceManager.stop();
+      await apiKeyManager.stop();
+      await auditLog.stop();
+      console.log('✅ Login sessions closed');
+
+      // Let an in-flight daily stats upload finish its ledger writes
+      await dailyStatsUploader.stop();
 
       // Close HTTP server
       this.server.close(() => {
@@ -313,8 +317,8 @@ async start() {
         });
       }
 
-      // Close database connections
-      await database.cleanup();
+      // Close storage connections
+      await storage.cleanup();
 
       // Close Redis connections
       await redis.cleanup();
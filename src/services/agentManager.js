@@ -1,67 +1,31 @@
-const fs = require('fs').promises;
-const path = require('path');
+const storage = require('../storage');
 
 class AgentManager {
   constructor() {
-    this.filePath = path.join(__dirname, '../../data/agents.json');
     this.agents = {};
-    this.metadata = {};
-    this.init();
   }
 
+  // Called by the server once storage connections are ready
   async init() {
     try {
       await this.loadAgents();
-      console.log('✅ AgentManager initialized with JSON storage');
+      console.log(`✅ AgentManager initialized with ${storage.name} storage`);
     } catch (error) {
       console.error('❌ AgentManager initialization failed:', error.message);
-      await this.createDefaultFile();
+      this.agents = {};
     }
   }
 
   async loadAgents() {
-    try {
-      const data = await fs.readFile(this.filePath, 'utf8');
-      const parsed = JSON.parse(data);
-      this.agents = parsed.agents || {};
-      this.metadata = parsed.metadata || { version: "1.0", totalAgents: 0 };
-      console.log(`📊 Loaded ${Object.keys(this.agents).length} agents from JSON`);
-    } catch (error) {
-      console.log('📄 Creating new agents.json file');
-      await this.createDefaultFile();
-    }
-  }
-
-  async createDefaultFile() {
-    const defaultData = {
-      agents: {},
-      metadata: {
-        version: "1.0",
-        lastUpdated: new Date().toISOString(),
-        totalAgents: 0
-      }
-    };
-    
-    await this.saveToFile(defaultData);
-    this.agents = {};
-    this.metadata = defaultData.metadata;
+    this.agents = await storage.loadAgents();
+    console.log(`📊 Loaded ${Object.keys(this.agents).length} agents from ${storage.name}`);
   }
 
-  async saveToFile(data = null) {
+  async saveAgent(agentCode) {
     try {
-      const dataToSave = data || {
-        agents: this.agents,
-        metadata: {
-          ...this.metadata,
-          lastUpdated: new Date().toISOString(),
-          totalAgents: Object.keys(this.agents).length
-        }
-      };
-
-      await fs.writeFile(this.filePath, JSON.stringify(dataToSave, null, 2), 'utf8');
-      console.log(`💾 Saved ${Object.keys(this.agents).length} agents to JSON`);
+      await storage.saveAgent(this.agents[agentCode]);
     } catch (error) {
-      console.error('❌ Error saving agents to JSON:', error.message);
+      console.error(`❌ Error saving agent ${agentCode} to ${storage.name}:`, error.message);
       throw error;
     }
   }
@@ -81,11 +45,13 @@ class AgentManager {
           enabled: true,
           intervalMinutes: 5
         },
+        team: this.agents[agentCode]?.team || null,
+        language: this.agents[agentCode]?.language || null,
         createdAt: this.agents[agentCode]?.createdAt || now,
         updatedAt: now
       };
 
-      await this.saveToFile();
+      await this.saveAgent(agentCode);
       
       if (isNewAgent) {
         console.log(`➕ Added new agent: ${agentCode} (${agentName})`);
@@ -112,7 +78,7 @@ class AgentManager {
       this.agents[agentCode].lastSeen = new Date().toISOString();
       this.agents[agentCode].updatedAt = new Date().toISOString();
 
-      await this.saveToFile();
+      await this.saveAgent(agentCode);
       console.log(`📊 Updated ${agentCode} status to: ${status}`);
       
       return this.agents[agentCode];
@@ -122,8 +88,7 @@ class AgentManager {
     }
   }
 
-  // Remove agent completely
-  // Remove agent completely from JSON (but keep PostgreSQL call history)
+  // Remove agent completely (storage keeps call history where it has one)
 async removeAgent(agentCode) {
   try {
     if (!this.agents[agentCode]) {
@@ -133,14 +98,10 @@ async removeAgent(agentCode) {
 
     const agentName = this.agents[agentCode].agentName;
     
-    // Remove from JSON completely
     delete this.agents[agentCode];
     
-    await this.saveToFile();
-    console.log(`🗑️ Completely removed agent: ${agentCode} (${agentName}) from JSON`);
-    
-    // Note: PostgreSQL call history is preserved for analytics
-    console.log(`📊 Call history for ${agentCode} preserved in PostgreSQL`);
+    await storage.removeAgent(agentCode);
+    console.log(`🗑️ Completely removed agent: ${agentCode} (${agentName}) from ${storage.name}`);
     
     return true;
   } catch (error) {
@@ -172,21 +133,23 @@ async removeAgent(agentCode) {
     );
   }
 
-  // Update reminder settings
-  async updateReminderSettings(agentCode, intervalMinutes, enabled) {
+  // Update reminder settings; schedule (see utils/reminderSchedule) is kept when undefined, cleared by null
+  async updateReminderSettings(agentCode, intervalMinutes, enabled, schedule = undefined) {
     try {
       if (!this.agents[agentCode]) {
         console.log(`⚠️ Agent ${agentCode} not found for reminder settings update`);
         return null;
       }
 
+      const previousSchedule = this.agents[agentCode].reminderSettings?.schedule || null;
       this.agents[agentCode].reminderSettings = {
         enabled: enabled,
-        intervalMinutes: parseInt(intervalMinutes)
+        intervalMinutes: parseInt(intervalMinutes),
+        schedule: schedule === undefined ? previousSchedule : schedule
       };
       this.agents[agentCode].updatedAt = new Date().toISOString();
 
-      await this.saveToFile();
+      await this.saveAgent(agentCode);
       console.log(`⚙️ Updated reminder settings for ${agentCode}: ${intervalMinutes}min, enabled: ${enabled}`);
       
       return this.agents[agentCode];
@@ -196,138 +159,36 @@ async removeAgent(agentCode) {
     }
   }
 
-  // Get agent count
-  getAgentCount() {
-    return Object.keys(this.agents).length;
-  }
-
-  // Check if agent exists
-  agentExists(agentCode) {
-    return this.agents.hasOwnProperty(agentCode);
-  }
-
-  // Auto-sync methods for PostgreSQL integration
-  async syncAgentToPostgreSQL(agentCode) {
-    try {
-      const agent = this.agents[agentCode];
-      if (!agent) {
-        console.log(`⚠️ Agent ${agentCode} not found in JSON for PostgreSQL sync`);
-        return false;
-      }
-
-      const database = require('../database');
-      
-      // Upsert agent in PostgreSQL
-      const query = `
-        INSERT INTO agents (agent_code, agent_name, status, last_seen, updated_at)
-        VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT (agent_code) 
-        DO UPDATE SET 
-          agent_name = EXCLUDED.agent_name,
-          status = EXCLUDED.status,
-          last_seen = EXCLUDED.last_seen,
-          updated_at = EXCLUDED.updated_at
-        RETURNING *
-      `;
-      
-      const values = [
-        agent.agentCode,
-        agent.agentName,
-        agent.status,
-        agent.lastSeen,
-        agent.updatedAt
-      ];
-
-      const result = await database.pool.query(query, values);
-      console.log(`🔄 Synced agent ${agentCode} to PostgreSQL`);
-      
-      return result.rows[0];
-    } catch (error) {
-      console.error(`❌ Error syncing agent ${agentCode} to PostgreSQL:`, error.message);
-      return false;
-    }
-  }
-
-  async syncAllAgentsToPostgreSQL() {
+  // Team and preferred language pick the agent's reminder template and its language
+  async updateAgentProfile(agentCode, { team, language }) {
     try {
-      console.log(`🔄 Starting bulk sync of ${Object.keys(this.agents).length} agents to PostgreSQL`);
-      
-      const syncResults = [];
-      for (const agentCode of Object.keys(this.agents)) {
-        const result = await this.syncAgentToPostgreSQL(agentCode);
-        syncResults.push({ agentCode, success: !!result });
+      if (!this.agents[agentCode]) {
+        console.log(`⚠️ Agent ${agentCode} not found for profile update`);
+        return null;
       }
-      
-      const successCount = syncResults.filter(r => r.success).length;
-      console.log(`✅ Bulk sync completed: ${successCount}/${syncResults.length} agents synced`);
-      
-      return syncResults;
-    } catch (error) {
-      console.error('❌ Error in bulk sync to PostgreSQL:', error.message);
-      return [];
-    }
-  }
-
-  // Add or update agent
-  async upsertAgent(agentCode, agentName, status = 'online') {
-    try {
-      const now = new Date().toISOString();
-      const isNewAgent = !this.agents[agentCode];
 
-      this.agents[agentCode] = {
-        agentCode,
-        agentName,
-        status,
-        lastSeen: now,
-        reminderSettings: this.agents[agentCode]?.reminderSettings || {
-          enabled: true,
-          intervalMinutes: 5
-        },
-        createdAt: this.agents[agentCode]?.createdAt || now,
-        updatedAt: now
-      };
+      if (team !== undefined) this.agents[agentCode].team = team || null;
+      if (language !== undefined) this.agents[agentCode].language = language || null;
+      this.agents[agentCode].updatedAt = new Date().toISOString();
 
-      await this.saveToFile();
-      
-      if (isNewAgent) {
-        console.log(`➕ Added new agent: ${agentCode} (${agentName})`);
-      } else {
-        console.log(`🔄 Updated agent: ${agentCode} (${agentName}) - Status: ${status}`);
-      }
+      await this.saveAgent(agentCode);
+      console.log(`⚙️ Updated profile for ${agentCode}: team ${this.agents[agentCode].team || '-'}, language ${this.agents[agentCode].language || '-'}`);
 
       return this.agents[agentCode];
     } catch (error) {
-      console.error('❌ Error upserting agent:', error.message);
+      console.error('❌ Error updating agent profile:', error.message);
       throw error;
     }
   }
 
-  // Enhanced reminder settings update with auto-sync
-  async updateReminderSettings(agentCode, intervalMinutes, enabled) {
-    try {
-      if (!this.agents[agentCode]) {
-        console.log(`⚠️ Agent ${agentCode} not found for reminder settings update`);
-        return null;
-      }
-
-      this.agents[agentCode].reminderSettings = {
-        enabled: enabled,
-        intervalMinutes: parseInt(intervalMinutes)
-      };
-      this.agents[agentCode].updatedAt = new Date().toISOString();
+  // Get agent count
+  getAgentCount() {
+    return Object.keys(this.agents).length;
+  }
 
-      await this.saveToFile();
-      
-      // Auto-sync to PostgreSQL (agent basic info might have changed)
-      await this.syncAgentToPostgreSQL(agentCode);
-      
-      console.log(`⚙️ Updated reminder settings for ${agentCode}: ${intervalMinutes}min, enabled: ${enabled} + synced to PostgreSQL`);
-      
-      return this.agents[agentCode];
-    } catch (error) {
-      console.error('❌ Error updating reminder settings:', error.message);
-      throw error;
-    }
+  // Check if agent exists
+  agentExists(agentCode) {
+    return this.agents.hasOwnProperty(agentCode);
   }
 }
 
@@ -0,0 +1,123 @@
+const agentStateLog = require('./agentStateLog');
+const agentSessions = require('./agentSessions');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const { getBusinessDate, addDays } = require('../utils/time');
+
+/*
+ * Per agent, per business day:
+ *   utilization      talk time / logged-in time (login sessions)
+ *   occupancy        on-call time / (on-call + available online time); breaks count for neither
+ *   averageHandleTime  on-call seconds per call_started
+ *   averageIdleGap   seconds from a call ending to the next one starting in the same login
+ * Ratios are percentages with one decimal, or null when the denominator is zero.
+ */
+function percent(numerator, denominator) {
+  if (!denominator) return null;
+  return Math.round((numerator / denominator) * 1000) / 10;
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+// Gaps from call_ended (or break_ended) to the next call_started, filed under the date the next call began
+function collectIdleGaps(events) {
+  const gapsByDate = {};
+  let lastCallEnd = null;
+
+  for (const event of events) {
+    if (event.source === 'call_ended' || event.source === 'break_ended') {
+      lastCallEnd = event.timestamp;
+    } else if (event.source === 'call_started' && lastCallEnd) {
+      const date = getBusinessDate(new Date(event.timestamp));
+      const gap = (new Date(event.timestamp) - new Date(lastCallEnd)) / 1000;
+      (gapsByDate[date] = gapsByDate[date] || []).push(gap);
+      lastCallEnd = null;
+    } else if (event.state === 'offline' || event.state === 'on_break') {
+      lastCallEnd = null; // Logged out or on break in between - not an idle gap
+    }
+  }
+
+  return gapsByDate;
+}
+
+class AgentMetrics {
+  async getMetrics(startDate, endDate, agentCode = null) {
+    const { events, initialStates } = await agentStateLog.getRangeData(startDate, endDate);
+    const attendance = await agentSessions.getAttendance(startDate, endDate, agentCode);
+
+    const attendanceByKey = new Map(attendance.map(row => [`${row.date}|${row.agentCode}`, row]));
+    const talkTimeByKey = new Map();
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      for (const entry of await dailyTalkTimeManager.getDateTalkTime(date)) {
+        talkTimeByKey.set(`${date}|${entry.agentCode}`, entry);
+      }
+    }
+
+    const eventsByAgent = new Map();
+    for (const event of events) {
+      if (agentCode && event.agentCode !== agentCode) continue;
+      if (!eventsByAgent.has(event.agentCode)) eventsByAgent.set(event.agentCode, []);
+      eventsByAgent.get(event.agentCode).push(event);
+    }
+
+    const agentCodes = new Set([
+      ...eventsByAgent.keys(),
+      ...attendance.map(row => row.agentCode),
+      ...[...talkTimeByKey.values()].map(entry => entry.agentCode),
+      ...[...initialStates].filter(([, initial]) => initial.state !== 'offline').map(([code]) => code)
+    ]);
+
+    const rows = [];
+    for (const code of agentCodes) {
+      if (agentCode && code !== agentCode) continue;
+
+      const agentEvents = eventsByAgent.get(code) || [];
+      const { days } = agentStateLog.computeStateTime(agentEvents, initialStates.get(code), startDate, endDate);
+      const gapsByDate = collectIdleGaps(agentEvents);
+
+      for (const { date, states, breakReasons } of days) {
+        const session = attendanceByKey.get(`${date}|${code}`);
+        const talk = talkTimeByKey.get(`${date}|${code}`);
+        const callCount = agentEvents.filter(event =>
+          event.state === 'on_call' && getBusinessDate(new Date(event.timestamp)) === date
+        ).length;
+
+        const loggedInSeconds = session ? session.loggedInSeconds : 0;
+        const talkTimeSeconds = talk ? talk.totalTalkTime : 0;
+        const handleSeconds = states.on_call || 0;
+        const availableSeconds = states.online || 0;
+        const breakSeconds = states.on_break || 0;
+
+        if (!loggedInSeconds && !talkTimeSeconds && !handleSeconds && !availableSeconds && !breakSeconds) continue;
+
+        rows.push({
+          date,
+          agentCode: code,
+          agentName: session?.agentName || talk?.agentName || agentEvents[agentEvents.length - 1]?.agentName || code,
+          loggedInSeconds,
+          talkTimeSeconds,
+          handleSeconds,
+          availableSeconds,
+          breakSeconds,
+          breakReasons,
+          callCount,
+          utilization: percent(talkTimeSeconds, loggedInSeconds),
+          occupancy: percent(handleSeconds, handleSeconds + availableSeconds),
+          averageHandleTime: callCount ? Math.round(handleSeconds / callCount) : null,
+          averageIdleGap: average(gapsByDate[date] || [])
+        });
+      }
+    }
+
+    return rows.sort((a, b) => a.date.localeCompare(b.date) || a.agentCode.localeCompare(b.agentCode));
+  }
+
+  async getTodayMetrics() {
+    const today = getBusinessDate();
+    return await this.getMetrics(today, today);
+  }
+}
+
+module.exports = new AgentMetrics();
@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const DailyLog = require('../utils/dailyLog');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const { getBusinessDate, getBusinessDayBounds, addDays } = require('../utils/time');
+
+// End reasons that are not the agent dropping off
+const PLANNED_END_REASONS = ['logout', 'server_shutdown', 'server_restart'];
+
+/*
+ * Login sessions: one per agent_online until agent_offline ('logout') or the
+ * socket disconnecting (Socket.IO's reason, e.g. 'transport close', 'ping timeout').
+ * Finished sessions go to data/agent-sessions/YYYY-MM-DD.jsonl, a copy under every
+ * business date they cover so a range query never has to look further back;
+ * open ones are kept in data/open-sessions.json so a crash can be closed out
+ * at the agent's last activity on the next start.
+ */
+class AgentSessions {
+  constructor() {
+    this.log = new DailyLog('agent-sessions', config.stateLog.retentionDays);
+    this.openFilePath = path.join(__dirname, '../../data/open-sessions.json');
+    this.openSessions = new Map(); // agentCode -> session
+    this.saveChain = Promise.resolve();
+  }
+
+  async init() {
+    await this.log.init();
+
+    let restored = [];
+    try {
+      restored = JSON.parse(await fs.readFile(this.openFilePath, 'utf8')).sessions || [];
+    } catch (error) {
+      // No sessions were open
+    }
+
+    for (const session of restored) {
+      this.openSessions.set(session.agentCode, session);
+      await this.endSession(session.agentCode, 'server_restart', session.lastActivityAt);
+    }
+
+    if (restored.length > 0) {
+      console.log(`🔚 Closed ${restored.length} login session(s) left open by the last shutdown`);
+    }
+
+    dailyTalkTimeManager.onDayChange(() => this.log.prune());
+    console.log('✅ Agent session tracking initialized');
+  }
+
+  saveOpenSessions() {
+    this.saveChain = this.saveChain.then(async () => {
+      const tempPath = `${this.openFilePath}.tmp`;
+      const sessions = [...this.openSessions.values()];
+      await fs.writeFile(tempPath, JSON.stringify({ sessions }, null, 2), 'utf8');
+      await fs.rename(tempPath, this.openFilePath);
+    }).catch(error => {
+      console.error('❌ Error saving open sessions:', error.message);
+    });
+
+    return this.saveChain;
+  }
+
+  // A repeated agent_online (app resume, reconnect) keeps the running session
+  async startSession(agentCode, agentName, socketId) {
+    const existing = this.openSessions.get(agentCode);
+    if (existing) {
+      existing.socketId = socketId;
+      existing.agentName = agentName;
+      existing.lastActivityAt = new Date().toISOString();
+      await this.saveOpenSessions();
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      sessionId: crypto.randomUUID(),
+      agentCode,
+      agentName,
+      socketId,
+      startTime: now,
+      lastActivityAt: now
+    };
+
+    this.openSessions.set(agentCode, session);
+    await this.saveOpenSessions();
+    console.log(`🟢 Login session started: ${agentCode}`);
+
+    return session;
+  }
+
+  touch(agentCode) {
+    const session = this.openSessions.get(agentCode);
+    if (!session) return;
+
+    session.lastActivityAt = new Date().toISOString();
+    this.saveOpenSessions();
+  }
+
+  // socketId guards against a stale socket closing the session of its replacement
+  async endSession(agentCode, reason, endTime = null, socketId = null) {
+    const session = this.openSessions.get(agentCode);
+    if (!session) return null;
+    if (socketId && session.socketId && session.socketId !== socketId) return null;
+
+    const end = endTime || new Date().toISOString();
+    const record = {
+      sessionId: session.sessionId,
+      agentCode,
+      agentName: session.agentName,
+      startTime: session.startTime,
+      endTime: end,
+      durationSeconds: Math.max(0, Math.round((new Date(end) - new Date(session.startTime)) / 1000)),
+      endReason: reason
+    };
+
+    this.openSessions.delete(agentCode);
+    const lastDate = getBusinessDate(new Date(end));
+    for (let date = getBusinessDate(new Date(session.startTime)); date <= lastDate; date = addDays(date, 1)) {
+      await this.log.append(date, record);
+    }
+    await this.saveOpenSessions();
+    console.log(`🔴 Login session ended: ${agentCode} (${reason}, ${record.durationSeconds}s)`);
+
+    return record;
+  }
+
+  // Sessions overlapping a date range, oldest first; open sessions have endTime null
+  async getSessions(startDate, endDate, agentCode = null) {
+    const rangeStart = getBusinessDayBounds(startDate).start;
+    const rangeEnd = getBusinessDayBounds(endDate).end;
+
+    // A session is filed under each day it covers; the copies are the same record
+    const finished = [...new Map((await this.log.readRange(startDate, endDate))
+      .map(session => [session.sessionId, session])).values()];
+    const open = [...this.openSessions.values()].map(session => ({
+      sessionId: session.sessionId,
+      agentCode: session.agentCode,
+      agentName: session.agentName,
+      startTime: session.startTime,
+      endTime: null,
+      durationSeconds: Math.round((Date.now() - new Date(session.startTime)) / 1000),
+      endReason: null
+    }));
+
+    return [...finished, ...open]
+      .filter(session => !agentCode || session.agentCode === agentCode)
+      .filter(session => new Date(session.startTime) < rangeEnd &&
+        (!session.endTime || new Date(session.endTime) > rangeStart))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  // One row per agent per business date with at least one session
+  async getAttendance(startDate, endDate, agentCode = null) {
+    const sessions = await this.getSessions(startDate, endDate, agentCode);
+    const rows = [];
+
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      const { start, end } = getBusinessDayBounds(date);
+      const byAgent = new Map();
+
+      for (const session of sessions) {
+        const sessionStart = new Date(session.startTime);
+        const sessionEnd = session.endTime ? new Date(session.endTime) : new Date();
+        if (sessionStart >= end || sessionEnd <= start) continue;
+
+        if (!byAgent.has(session.agentCode)) {
+          byAgent.set(session.agentCode, {
+            date,
+            agentCode: session.agentCode,
+            agentName: session.agentName,
+            firstLogin: null,
+            lastLogout: null,
+            loggedInSeconds: 0,
+            sessionCount: 0,
+            disconnectCount: 0,
+            stillLoggedIn: false
+          });
+        }
+
+        const row = byAgent.get(session.agentCode);
+        const clippedStart = sessionStart < start ? start : sessionStart;
+        const clippedEnd = sessionEnd > end ? end : sessionEnd;
+
+        row.loggedInSeconds += Math.round((clippedEnd - clippedStart) / 1000);
+        row.sessionCount++;
+
+        if (!row.firstLogin || clippedStart < new Date(row.firstLogin)) {
+          row.firstLogin = clippedStart.toISOString();
+        }
+
+        if (!session.endTime) {
+          row.stillLoggedIn = true;
+        } else if (sessionEnd <= end) {
+          if (!row.lastLogout || sessionEnd > new Date(row.lastLogout)) {
+            row.lastLogout = session.endTime;
+          }
+          if (!PLANNED_END_REASONS.includes(session.endReason)) {
+            row.disconnectCount++;
+          }
+        }
+      }
+
+      rows.push(...[...byAgent.values()].sort((a, b) => a.agentCode.localeCompare(b.agentCode)));
+    }
+
+    return rows;
+  }
+
+  async stop() {
+    for (const agentCode of [...this.openSessions.keys()]) {
+      await this.endSession(agentCode, 'server_shutdown');
+    }
+    await this.log.flush();
+    await this.saveChain;
+  }
+}
+
+module.exports = new AgentSessions();
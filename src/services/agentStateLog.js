@@ -0,0 +1,237 @@
+const config = require('../../config/config');
+const DailyLog = require('../utils/dailyLog');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const { getBusinessDate, getBusinessDayBounds, addDays } = require('../utils/time');
+
+const STATES = ['online', 'on_call', 'on_break', 'offline'];
+const OFFLINE = { state: 'offline', reason: null };
+
+// Seconds in each state (and each break reason) per business date for one agent's events, oldest first
+function computeStateTime(events, initial, startDate, endDate) {
+  let { state, reason } = initial;
+  let index = 0;
+
+  const now = Date.now();
+  const emptyTotals = () => Object.fromEntries(STATES.map(name => [name, 0]));
+  const totals = emptyTotals();
+  const days = [];
+
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    const bounds = getBusinessDayBounds(date);
+    if (bounds.start.getTime() >= now) break;
+
+    const dayEnd = Math.min(bounds.end.getTime(), now);
+    const seconds = emptyTotals();
+    const breakReasons = {};
+    let cursor = bounds.start.getTime();
+
+    const addTime = (until) => {
+      const elapsed = (until - cursor) / 1000;
+      seconds[state] = (seconds[state] || 0) + elapsed;
+      if (state === 'on_break') {
+        const key = reason || 'unknown';
+        breakReasons[key] = (breakReasons[key] || 0) + elapsed;
+      }
+      cursor = until;
+    };
+
+    while (index < events.length && new Date(events[index].timestamp).getTime() < dayEnd) {
+      addTime(Math.max(new Date(events[index].timestamp).getTime(), cursor));
+      state = events[index].state;
+      reason = events[index].reason || null;
+      index++;
+    }
+    addTime(dayEnd);
+
+    for (const name of Object.keys(seconds)) {
+      seconds[name] = Math.round(seconds[name]);
+      totals[name] = (totals[name] || 0) + seconds[name];
+    }
+    for (const key of Object.keys(breakReasons)) {
+      breakReasons[key] = Math.round(breakReasons[key]);
+    }
+    days.push({ date, states: seconds, breakReasons });
+  }
+
+  return { totals, days };
+}
+
+/*
+ * Every agent status change is appended to data/agent-states/YYYY-MM-DD.jsonl as
+ * { timestamp, agentCode, agentName, state, previousState, source, reason? }. Time spent
+ * in each state is worked out from these events, so nothing depends on the
+ * status fields in agents.json or Redis, which only hold the latest value.
+ */
+class AgentStateLog {
+  constructor() {
+    this.log = new DailyLog('agent-states', config.stateLog.retentionDays);
+    this.currentStates = new Map(); // agentCode -> { state, reason, since, agentName }
+
+    // Today's events stay in memory for the live dashboard
+    this.today = null;
+    this.dayStartStates = new Map(); // agentCode -> { state, reason } when today began
+    this.todayEvents = [];
+  }
+
+  async init() {
+    await this.log.init();
+    await this.restoreCurrentStates();
+
+    // Agents still online in the log were connected when the server last stopped
+    for (const [agentCode, current] of this.currentStates) {
+      if (current.state !== 'offline') {
+        await this.recordTransition(agentCode, current.agentName, 'offline', 'server_restart');
+      }
+    }
+
+    dailyTalkTimeManager.onDayChange(() => this.log.prune());
+    console.log(`✅ Agent state log initialized (${this.currentStates.size} agents known)`);
+  }
+
+  async restoreCurrentStates() {
+    const today = getBusinessDate();
+
+    for (const date of await this.log.listDates()) {
+      if (date >= today) break;
+      for (const event of await this.log.read(date)) {
+        this.setCurrentState(event);
+      }
+    }
+
+    this.rollDay(today);
+    for (const event of await this.log.read(today)) {
+      this.setCurrentState(event);
+      this.todayEvents.push(event);
+    }
+  }
+
+  setCurrentState(event) {
+    this.currentStates.set(event.agentCode, {
+      state: event.state,
+      reason: event.reason || null,
+      since: event.timestamp,
+      agentName: event.agentName
+    });
+  }
+
+  rollDay(date) {
+    this.today = date;
+    this.dayStartStates = new Map([...this.currentStates].map(([agentCode, current]) =>
+      [agentCode, { state: current.state, reason: current.reason }]
+    ));
+    this.todayEvents = [];
+  }
+
+  // Repeated states (e.g. agent_offline followed by disconnect) are not logged twice.
+  // reason is the break reason code for on_break.
+  async recordTransition(agentCode, agentName, state, source, reason = null) {
+    const current = this.currentStates.get(agentCode);
+    if (current && current.state === state && current.reason === reason) return null;
+
+    const now = new Date();
+    const event = {
+      timestamp: now.toISOString(),
+      agentCode,
+      agentName: agentName || current?.agentName || 'Unknown',
+      state,
+      previousState: current ? current.state : null,
+      source
+    };
+
+    if (reason) {
+      event.reason = reason;
+    }
+
+    const date = getBusinessDate(now);
+    if (date !== this.today) {
+      this.rollDay(date);
+    }
+
+    this.setCurrentState(event);
+    this.todayEvents.push(event);
+    await this.log.append(date, event);
+
+    return event;
+  }
+
+  // Whether today's log has an event for the agent from one of these sources (e.g. 'call_started')
+  hasEventToday(agentCode, sources) {
+    if (this.today !== getBusinessDate()) return false;
+    return this.todayEvents.some(event => event.agentCode === agentCode && sources.includes(event.source));
+  }
+
+  getCurrentState(agentCode) {
+    return this.currentStates.get(agentCode) || null;
+  }
+
+  async getEvents(agentCode, startDate, endDate) {
+    const { events } = await this.getRangeData(startDate, endDate);
+    return events.filter(event => event.agentCode === agentCode);
+  }
+
+  // State each agent was in when a date began (offline if nothing was logged before it)
+  async getStatesAtStartOf(date, agentCodes) {
+    const states = new Map();
+    const unresolved = new Set(agentCodes);
+    const earlierDates = (await this.log.listDates()).filter(logDate => logDate < date).reverse();
+
+    for (const logDate of earlierDates) {
+      if (unresolved.size === 0) break;
+
+      const events = await this.log.read(logDate);
+      for (let i = events.length - 1; i >= 0; i--) {
+        if (unresolved.delete(events[i].agentCode)) {
+          states.set(events[i].agentCode, { state: events[i].state, reason: events[i].reason || null });
+        }
+      }
+    }
+
+    for (const agentCode of unresolved) {
+      states.set(agentCode, OFFLINE);
+    }
+    return states;
+  }
+
+  // All events in a range plus every known agent's state when it began
+  async getRangeData(startDate, endDate) {
+    const today = getBusinessDate();
+    if (today !== this.today) {
+      this.rollDay(today);
+    }
+
+    if (startDate === today && endDate === today) {
+      return { events: [...this.todayEvents], initialStates: new Map(this.dayStartStates) };
+    }
+
+    const events = await this.log.readRange(startDate, endDate);
+    const agentCodes = new Set([...this.currentStates.keys(), ...events.map(event => event.agentCode)]);
+    const initialStates = await this.getStatesAtStartOf(startDate, agentCodes);
+
+    return { events, initialStates };
+  }
+
+  computeStateTime(events, initial, startDate, endDate) {
+    return computeStateTime(events, initial || OFFLINE, startDate, endDate);
+  }
+
+  // Seconds spent in each state per business date, plus totals for the range
+  async getStateTime(agentCode, startDate, endDate) {
+    const { events, initialStates } = await this.getRangeData(startDate, endDate);
+    const agentEvents = events.filter(event => event.agentCode === agentCode);
+    const { totals, days } = computeStateTime(agentEvents, initialStates.get(agentCode) || OFFLINE, startDate, endDate);
+
+    return { agentCode, startDate, endDate, totals, days };
+  }
+
+  // Close out connected agents so downtime isn't counted as online
+  async stop() {
+    for (const [agentCode, current] of this.currentStates) {
+      if (current.state !== 'offline') {
+        await this.recordTransition(agentCode, current.agentName, 'offline', 'server_shutdown');
+      }
+    }
+    await this.log.flush();
+  }
+}
+
+module.exports = new AgentStateLog();
@@ -0,0 +1,195 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const agentManager = require('./agentManager');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+
+/*
+ * Supervisor announcements in data/announcements.json. Recipients are fixed when
+ * an announcement is created, each with their own receipt:
+ *   sentAt       emitted to the agent's socket (may repeat on reconnect)
+ *   deliveredAt  the app confirmed it arrived (announcement_delivered)
+ *   readAt       the agent opened it (announcement_read)
+ * Anything not yet delivered is sent again when the agent next comes online.
+ */
+class Announcements {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/announcements.json');
+    this.announcements = new Map();
+    this.saveChain = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const announcement of parsed.announcements || []) {
+        this.announcements.set(announcement.id, announcement);
+      }
+      console.log(`📥 Announcements restored: ${this.announcements.size}`);
+    } catch (error) {
+      console.log('📄 Starting fresh - no announcements');
+    }
+
+    await this.prune();
+    dailyTalkTimeManager.onDayChange(() => this.prune());
+  }
+
+  save() {
+    this.saveChain = this.saveChain.then(async () => {
+      const dataToSave = {
+        metadata: {
+          version: "1.0",
+          lastUpdated: new Date().toISOString()
+        },
+        announcements: [...this.announcements.values()]
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error saving announcements:', error.message);
+    });
+
+    return this.saveChain;
+  }
+
+  // Announcements older than the retention period are dropped, delivered or not
+  async prune() {
+    const cutoff = Date.now() - config.announcements.retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const [id, announcement] of this.announcements) {
+      if (new Date(announcement.createdAt).getTime() < cutoff) {
+        this.announcements.delete(id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Pruned ${removed} old announcement(s)`);
+      await this.save();
+    }
+  }
+
+  resolveRecipients(target) {
+    const agents = agentManager.getAllAgents().filter(agent => agent.status !== 'removed');
+
+    if (target.type === 'team') {
+      return agents.filter(agent => agent.team === target.team);
+    }
+    if (target.type === 'agents') {
+      const codes = new Set(target.agentCodes);
+      return agents.filter(agent => codes.has(agent.agentCode));
+    }
+    return agents;
+  }
+
+  // Throws when the target matches no agents
+  async create({ message, target, sentBy = null }) {
+    const recipients = this.resolveRecipients(target);
+    if (recipients.length === 0) {
+      throw new Error('No agents match this announcement target');
+    }
+
+    const announcement = {
+      id: crypto.randomUUID(),
+      message: message.trim(),
+      target: {
+        type: target.type,
+        team: target.type === 'team' ? target.team : null,
+        agentCodes: target.type === 'agents' ? recipients.map(agent => agent.agentCode) : null
+      },
+      sentBy,
+      createdAt: new Date().toISOString(),
+      recipients: Object.fromEntries(recipients.map(agent => [agent.agentCode, {
+        agentName: agent.agentName,
+        sentAt: null,
+        deliveredAt: null,
+        readAt: null
+      }]))
+    };
+
+    this.announcements.set(announcement.id, announcement);
+    await this.save();
+    console.log(`📢 Announcement created for ${recipients.length} agent(s) (${target.type})`);
+
+    return announcement;
+  }
+
+  get(id) {
+    return this.announcements.get(id) || null;
+  }
+
+  // Newest first
+  list(limit = 20) {
+    return [...this.announcements.values()]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Oldest first, so the app shows them in the order they were written
+  getUndelivered(agentCode) {
+    return [...this.announcements.values()]
+      .filter(announcement => announcement.recipients[agentCode] && !announcement.recipients[agentCode].deliveredAt)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // receipt: 'sentAt', 'deliveredAt' or 'readAt'; a read also counts as delivered.
+  // Returns the announcement, or null when the agent isn't one of its recipients.
+  async recordReceipt(id, agentCode, receipt, at = new Date()) {
+    const announcement = this.announcements.get(id);
+    const recipient = announcement && announcement.recipients[agentCode];
+    if (!recipient) return null;
+
+    const timestamp = at.toISOString();
+    if (receipt === 'sentAt') {
+      recipient.sentAt = timestamp;
+    } else if (!recipient[receipt]) {
+      recipient[receipt] = timestamp;
+      if (receipt === 'readAt' && !recipient.deliveredAt) {
+        recipient.deliveredAt = timestamp;
+      }
+    }
+
+    await this.save();
+    return announcement;
+  }
+
+  // Announcement as the dashboard shows it: receipts plus counts
+  summarize(announcement) {
+    const recipients = Object.entries(announcement.recipients).map(([agentCode, recipient]) => ({
+      agentCode,
+      ...recipient
+    }));
+
+    return {
+      ...announcement,
+      recipients,
+      totals: {
+        recipients: recipients.length,
+        sent: recipients.filter(recipient => recipient.sentAt).length,
+        delivered: recipients.filter(recipient => recipient.deliveredAt).length,
+        read: recipients.filter(recipient => recipient.readAt).length
+      }
+    };
+  }
+
+  // What the agent app receives
+  toAgentPayload(announcement) {
+    return {
+      announcementId: announcement.id,
+      message: announcement.message,
+      sentBy: announcement.sentBy,
+      createdAt: announcement.createdAt,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async stop() {
+    await this.saveChain;
+  }
+}
+
+module.exports = new Announcements();
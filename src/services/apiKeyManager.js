@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'cak_';
+const USAGE_SAVE_DELAY_MS = 10000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/*
+ * API keys for scripts and integrations in data/api-keys.json. A key carries
+ * scopes from the same vocabulary as dashboard roles and is sent in the X-API-Key
+ * header. Only a hash is stored; the key itself is shown once, when created or rotated.
+ *   { id, name, scopes, keyHash, hint, createdBy, createdAt, rotatedAt, revokedAt, revokedBy,
+ *     usage: { requests, errors, lastUsedAt, lastIp, routes: { 'GET /agent-history': n } } }
+ */
+class ApiKeyManager {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/api-keys.json');
+    this.keys = new Map(); // id -> key record
+    this.saveChain = Promise.resolve();
+    this.usageTimer = null;
+  }
+
+  async init() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const key of parsed.keys || []) {
+        this.keys.set(key.id, key);
+      }
+      console.log(`📥 API keys restored: ${this.keys.size}`);
+    } catch (error) {
+      console.log('📄 Starting fresh - no API keys');
+    }
+  }
+
+  save() {
+    this.saveChain = this.saveChain.then(async () => {
+      const dataToSave = {
+        metadata: {
+          version: "1.0",
+          lastUpdated: new Date().toISOString()
+        },
+        keys: [...this.keys.values()]
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error saving API keys:', error.message);
+    });
+
+    return this.saveChain;
+  }
+
+  // Usage changes on every request; batch those writes
+  scheduleUsageSave() {
+    if (this.usageTimer) return;
+
+    this.usageTimer = setTimeout(() => {
+      this.usageTimer = null;
+      this.save();
+    }, USAGE_SAVE_DELAY_MS);
+    this.usageTimer.unref();
+  }
+
+  // Safe to return from the API - no key hash
+  toPublic(key) {
+    const { keyHash, ...publicKey } = key;
+    return publicKey;
+  }
+
+  listKeys() {
+    return [...this.keys.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(key => this.toPublic(key));
+  }
+
+  getKey(id) {
+    const key = this.keys.get(id);
+    return key ? this.toPublic(key) : null;
+  }
+
+  generateSecret(key) {
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    key.keyHash = hashKey(secret);
+    key.hint = `${secret.slice(0, KEY_PREFIX.length + 4)}...${secret.slice(-4)}`;
+    return secret;
+  }
+
+  // { key, secret }; the secret can't be shown again
+  async createKey(name, scopes, createdBy) {
+    const key = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      keyHash: null,
+      hint: null,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null,
+      revokedBy: null,
+      usage: { requests: 0, errors: 0, lastUsedAt: null, lastIp: null, routes: {} }
+    };
+    const secret = this.generateSecret(key);
+
+    this.keys.set(key.id, key);
+    await this.save();
+    console.log(`🔑 API key created: ${key.name} [${key.scopes.join(', ')}] by ${createdBy}`);
+
+    return { key: this.toPublic(key), secret };
+  }
+
+  // New secret, same id, scopes and usage; the old secret stops working at once.
+  // { key, secret }, or null if there's no active key with this id
+  async rotateKey(id, rotatedBy) {
+    const key = this.keys.get(id);
+    if (!key || key.revokedAt) return null;
+
+    const secret = this.generateSecret(key);
+    key.rotatedAt = new Date().toISOString();
+
+    await this.save();
+    console.log(`🔑 API key rotated: ${key.name} by ${rotatedBy}`);
+
+    return { key: this.toPublic(key), secret };
+  }
+
+  async revokeKey(id, revokedBy) {
+    const key = this.keys.get(id);
+    if (!key) return null;
+
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      key.revokedBy = revokedBy;
+      await this.save();
+      console.log(`🚫 API key revoked: ${key.name} by ${revokedBy}`);
+    }
+
+    return this.toPublic(key);
+  }
+
+  // The active key record for a secret, else null
+  resolveKey(secret) {
+    if (typeof secret !== 'string' || !secret.startsWith(KEY_PREFIX)) return null;
+
+    const keyHash = hashKey(secret);
+    const key = [...this.keys.values()].find(candidate => candidate.keyHash === keyHash);
+    return key && !key.revokedAt ? key : null;
+  }
+
+  // route: 'METHOD /path' as declared in routes.js, so parameters don't split the counts
+  recordUsage(id, route, statusCode, ip) {
+    const key = this.keys.get(id);
+    if (!key) return;
+
+    key.usage.requests++;
+    if (statusCode >= 400) key.usage.errors++;
+    key.usage.lastUsedAt = new Date().toISOString();
+    key.usage.lastIp = ip;
+    key.usage.routes[route] = (key.usage.routes[route] || 0) + 1;
+
+    this.scheduleUsageSave();
+  }
+
+  async stop() {
+    if (this.usageTimer) {
+      clearTimeout(this.usageTimer);
+      this.usageTimer = null;
+      this.save();
+    }
+    await this.saveChain;
+  }
+}
+
+module.exports = new ApiKeyManager();
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const DailyLog = require('../utils/dailyLog');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const { getBusinessDate } = require('../utils/time');
+
+// Everything that gets recorded; the dashboard offers these as a filter
+const ACTIONS = [
+  'agent.remove',
+  'agent.restore',
+  'reminder_settings.update',
+  'reminder_settings.bulk_update',
+  'reminder.manual',
+  'reminder_template.create',
+  'reminder_template.update',
+  'reminder_template.remove',
+  'reminder_template.assign',
+  'user.create',
+  'user.update',
+  'user.remove',
+  'api_key.create',
+  'api_key.rotate',
+  'api_key.revoke',
+  'device.pairing_code',
+  'device.revoke'
+];
+
+/*
+ * Administrative actions, appended to data/audit/YYYY-MM-DD.jsonl and never rewritten:
+ *   { id, at, actor, actorType, ip, action, targetType, targetId, before, after, details }
+ * actor is the dashboard username or api-key:<name>; before/after hold the values
+ * the action changed (null when there was nothing before or after). Secrets such as
+ * passwords and keys are never recorded.
+ */
+class AuditLog {
+  constructor() {
+    this.log = new DailyLog('audit', config.audit.retentionDays);
+    this.actions = ACTIONS;
+  }
+
+  async init() {
+    await this.log.init();
+    dailyTalkTimeManager.onDayChange(() => this.log.prune());
+    console.log('✅ Audit log initialized');
+  }
+
+  // principal: req.user or socket.user
+  async record(principal, ip, { action, targetType, targetId, before = null, after = null, details = null }) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown audit action ${action}`);
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      actor: principal ? principal.username : 'unknown',
+      actorType: principal ? principal.type : null,
+      ip: ip || null,
+      action,
+      targetType,
+      targetId: targetId === undefined || targetId === null ? null : String(targetId),
+      before,
+      after,
+      details
+    };
+
+    await this.log.append(getBusinessDate(new Date(entry.at)), entry);
+    console.log(`📝 Audit: ${entry.actor} ${action} ${targetType}:${entry.targetId}`);
+    return entry;
+  }
+
+  // Entries between two business dates (inclusive), newest first
+  async query({ startDate, endDate, actor = null, action = null, targetType = null, targetId = null, limit = 500 }) {
+    const entries = (await this.log.readRange(startDate, endDate)).filter(entry =>
+      (!actor || entry.actor === actor) &&
+      (!action || entry.action === action) &&
+      (!targetType || entry.targetType === targetType) &&
+      (!targetId || entry.targetId === targetId)
+    );
+
+    return entries.reverse().slice(0, limit);
+  }
+
+  async stop() {
+    await this.log.flush();
+  }
+}
+
+module.exports = new AuditLog();
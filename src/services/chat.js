@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const DailyLog = require('../utils/dailyLog');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const { getBusinessDate, addDays } = require('../utils/time');
+
+const SIDES = ['supervisor', 'agent'];
+
+function threadIdFor(supervisor, agentCode) {
+  return `${supervisor}::${agentCode}`;
+}
+
+/*
+ * One-to-one chat threads between a dashboard user (supervisor) and an agent.
+ * Everything is appended to data/chat/YYYY-MM-DD.jsonl and replayed on startup:
+ *   { event: 'message', id, threadId, supervisor, agentCode, agentName, from, text, sentAt }
+ *   { event: 'delivered', messageIds, threadId, at }
+ *   { event: 'read', threadId, reader, at }     - reader has read everything sent to them so far
+ * Messages keep deliveredAt/readAt in memory; undelivered ones go out when the
+ * recipient next connects.
+ */
+class Chat {
+  constructor() {
+    this.log = new DailyLog('chat', config.chat.retentionDays);
+    this.threads = new Map(); // threadId -> { threadId, supervisor, agentCode, agentName, messages: [] }
+  }
+
+  async init() {
+    await this.log.init();
+
+    const messagesById = new Map();
+    const records = await this.log.readRange(addDays(getBusinessDate(), -config.chat.retentionDays), getBusinessDate());
+
+    for (const record of records) {
+      if (record.event === 'message') {
+        const { event, ...message } = record;
+        const stored = { ...message, deliveredAt: null, readAt: null };
+        this.getThread(message.supervisor, message.agentCode, message.agentName).messages.push(stored);
+        messagesById.set(stored.id, stored);
+      } else if (record.event === 'delivered') {
+        for (const id of record.messageIds) {
+          const message = messagesById.get(id);
+          if (message && !message.deliveredAt) message.deliveredAt = record.at;
+        }
+      } else if (record.event === 'read') {
+        this.applyRead(this.threads.get(record.threadId), record.reader, record.at);
+      }
+    }
+
+    dailyTalkTimeManager.onDayChange(() => this.log.prune());
+    console.log(`✅ Chat initialized (${this.threads.size} threads)`);
+  }
+
+  findThread(supervisor, agentCode) {
+    return this.threads.get(threadIdFor(supervisor, agentCode)) || null;
+  }
+
+  getThread(supervisor, agentCode, agentName = null) {
+    const threadId = threadIdFor(supervisor, agentCode);
+    let thread = this.threads.get(threadId);
+    if (!thread) {
+      thread = { threadId, supervisor, agentCode, agentName, messages: [] };
+      this.threads.set(threadId, thread);
+    }
+    if (agentName) thread.agentName = agentName;
+    return thread;
+  }
+
+  // from: 'supervisor' or 'agent'
+  async addMessage({ supervisor, agentCode, agentName = null, from, text }) {
+    if (!SIDES.includes(from)) {
+      throw new Error(`Unknown sender side ${from}`);
+    }
+
+    const thread = this.getThread(supervisor, agentCode, agentName);
+    const message = {
+      id: crypto.randomUUID(),
+      threadId: thread.threadId,
+      supervisor,
+      agentCode,
+      agentName: thread.agentName,
+      from,
+      text: text.trim(),
+      sentAt: new Date().toISOString()
+    };
+
+    thread.messages.push({ ...message, deliveredAt: null, readAt: null });
+    await this.log.append(getBusinessDate(new Date(message.sentAt)), { event: 'message', ...message });
+
+    return thread.messages[thread.messages.length - 1];
+  }
+
+  async markDelivered(threadId, messageIds) {
+    const thread = this.threads.get(threadId);
+    if (!thread || messageIds.length === 0) return;
+
+    const at = new Date().toISOString();
+    const ids = new Set(messageIds);
+    for (const message of thread.messages) {
+      if (ids.has(message.id) && !message.deliveredAt) message.deliveredAt = at;
+    }
+
+    await this.log.append(getBusinessDate(), { event: 'delivered', threadId, messageIds, at });
+  }
+
+  // reader: 'supervisor' or 'agent'; returns how many messages became read
+  async markRead(threadId, reader) {
+    const thread = this.threads.get(threadId);
+    if (!thread) return 0;
+
+    const at = new Date().toISOString();
+    const count = this.applyRead(thread, reader, at);
+    if (count > 0) {
+      await this.log.append(getBusinessDate(), { event: 'read', threadId, reader, at });
+    }
+    return count;
+  }
+
+  applyRead(thread, reader, at) {
+    if (!thread) return 0;
+
+    let count = 0;
+    for (const message of thread.messages) {
+      if (message.from !== reader && !message.readAt && message.sentAt <= at) {
+        message.readAt = at;
+        if (!message.deliveredAt) message.deliveredAt = at;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Messages to one side of a thread not yet delivered, oldest first
+  getUndelivered(thread, recipient) {
+    return thread.messages.filter(message => message.from !== recipient && !message.deliveredAt);
+  }
+
+  // side: whose unread count - 'supervisor' or 'agent'
+  summarize(thread, side) {
+    const last = thread.messages[thread.messages.length - 1] || null;
+    return {
+      threadId: thread.threadId,
+      supervisor: thread.supervisor,
+      agentCode: thread.agentCode,
+      agentName: thread.agentName,
+      unread: thread.messages.filter(message => message.from !== side && !message.readAt).length,
+      lastMessage: last,
+      lastMessageAt: last ? last.sentAt : null
+    };
+  }
+
+  // A supervisor's threads, or an agent's, most recent first
+  getThreads({ supervisor = null, agentCode = null }) {
+    return [...this.threads.values()]
+      .filter(thread => (!supervisor || thread.supervisor === supervisor) && (!agentCode || thread.agentCode === agentCode))
+      .sort((a, b) => (b.messages[b.messages.length - 1]?.sentAt || '').localeCompare(a.messages[a.messages.length - 1]?.sentAt || ''));
+  }
+
+  // Up to limit messages, oldest first, optionally only those sent before a timestamp
+  getHistory(threadId, { before = null, limit = config.chat.historyLimit } = {}) {
+    const thread = this.threads.get(threadId);
+    if (!thread) return [];
+
+    const messages = before ? thread.messages.filter(message => message.sentAt < before) : thread.messages;
+    return messages.slice(-limit);
+  }
+
+  async stop() {
+    await this.log.flush();
+  }
+}
+
+module.exports = new Chat();
@@ -0,0 +1,191 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/config');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const dailyStatsUploader = require('./dailyStatsUploader');
+const { getBusinessDate, addDays, getNextOccurrence } = require('../utils/time');
+
+/*
+ * Runs the end-of-day talk time upload at config.dailyStats.runAt (business timezone) and
+ * remembers the last date that uploaded cleanly in data/daily-stats-scheduler.json.
+ * On startup, and whenever the talk time manager rolls over to a new day, every
+ * archived date since then is uploaded again; the ledger skips agents already done.
+ */
+class DailyStatsScheduler {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/daily-stats-scheduler.json');
+    this.state = {
+      lastSuccessfulRun: null, // { date, completedAt }
+      lastRun: null            // { date, startedAt, completedAt, uploaded, skipped, failed, error }
+    };
+    this.dailyTimer = null;
+    this.retryTimer = null;
+    this.catchUpRunning = null;
+  }
+
+  async start() {
+    await this.loadState();
+
+    dailyTalkTimeManager.onDayChange(async (previousDay) => {
+      console.log(`🌅 Uploading final talk time totals for ${previousDay}`);
+      await this.catchUp();
+    });
+
+    this.scheduleNextRun();
+    console.log('✅ Daily stats scheduler started');
+
+    // Don't hold up startup on NocoDB - missed days upload in the background
+    this.catchUp();
+  }
+
+  async loadState() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      this.state = { ...this.state, ...JSON.parse(data) };
+
+      if (this.state.lastSuccessfulRun) {
+        console.log(`📅 Last successful daily stats run: ${this.state.lastSuccessfulRun.date} at ${this.state.lastSuccessfulRun.completedAt}`);
+      }
+    } catch (error) {
+      console.log('📄 Starting fresh - no daily stats scheduler state');
+    }
+  }
+
+  async saveState() {
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(this.state, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      console.error('❌ Error saving daily stats scheduler state:', error.message);
+    }
+  }
+
+  // Daily stats scheduler - runs at config.dailyStats.runAt in the business timezone
+  scheduleNextRun() {
+    const targetTime = getNextOccurrence(config.dailyStats.runAt);
+    const msUntilRun = targetTime.getTime() - Date.now();
+
+    console.log(`📅 Daily stats scheduled for: ${targetTime.toISOString()} (in ${Math.round(msUntilRun / 1000 / 60)} minutes)`);
+
+    this.dailyTimer = setTimeout(async () => {
+      this.dailyTimer = null;
+      // The business date the run falls in - the previous calendar day when runAt is before dayStartHour
+      await this.runDate(getBusinessDate());
+      this.scheduleNextRun(); // Schedule next day
+    }, msUntilRun);
+  }
+
+  // Upload one date and record the outcome
+  async runDate(date) {
+    const startedAt = new Date().toISOString();
+
+    try {
+      const summary = await dailyStatsUploader.uploadDate(date);
+
+      this.state.lastRun = { ...summary, startedAt, completedAt: new Date().toISOString(), error: null };
+      if (summary.failed === 0 && (!this.state.lastSuccessfulRun || date >= this.state.lastSuccessfulRun.date)) {
+        this.state.lastSuccessfulRun = { date, completedAt: this.state.lastRun.completedAt };
+      }
+      await this.saveState();
+
+      if (summary.failed > 0) {
+        this.scheduleRetry();
+      }
+      return summary;
+
+    } catch (error) {
+      console.error(`❌ Error in daily stats run for ${date}:`, error.message);
+      this.state.lastRun = { date, startedAt, completedAt: new Date().toISOString(), error: error.message };
+      await this.saveState();
+      this.scheduleRetry();
+      return null;
+    }
+  }
+
+  // Archived dates that may still need uploading, oldest first
+  async getCatchUpDates() {
+    const cutoffDate = addDays(dailyTalkTimeManager.today, -config.dailyStats.catchUpDays);
+
+    // The last successful date is included again - it may have gained calls after its run
+    const since = this.state.lastSuccessfulRun?.date;
+    const earliest = since && since > cutoffDate ? since : cutoffDate;
+    const ledger = await dailyStatsUploader.getLedger();
+
+    const today = dailyTalkTimeManager.today;
+
+    return (await dailyTalkTimeManager.listArchivedDates())
+      .filter(date => date >= cutoffDate)
+      .filter(date => {
+        // Today is only retried after a failed scheduled run
+        if (date === today) return !!ledger[date] && !ledger[date].complete;
+        return date < today && (date >= earliest || !ledger[date]?.complete);
+      });
+  }
+
+  async catchUp() {
+    if (this.catchUpRunning) return this.catchUpRunning;
+
+    this.catchUpRunning = (async () => {
+      try {
+        const dates = await this.getCatchUpDates();
+        if (dates.length === 0) return [];
+
+        console.log(`⏪ Daily stats catch-up for ${dates.length} date(s): ${dates.join(', ')}`);
+
+        const results = [];
+        for (const date of dates) {
+          results.push(await this.runDate(date));
+        }
+        return results;
+
+      } catch (error) {
+        console.error('❌ Error in daily stats catch-up:', error.message);
+        this.scheduleRetry();
+        return [];
+      } finally {
+        this.catchUpRunning = null;
+      }
+    })();
+
+    return this.catchUpRunning;
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer) return;
+
+    const delay = config.dailyStats.retryMinutes * 60 * 1000;
+    console.log(`🔁 Daily stats upload will retry failed agents in ${config.dailyStats.retryMinutes} minutes`);
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.catchUp();
+    }, delay);
+  }
+
+  getStatus() {
+    return {
+      runAt: config.dailyStats.runAt,
+      catchUpDays: config.dailyStats.catchUpDays,
+      lastSuccessfulRun: this.state.lastSuccessfulRun,
+      lastRun: this.state.lastRun,
+      retryPending: !!this.retryTimer
+    };
+  }
+
+  async stop() {
+    if (this.dailyTimer) {
+      clearTimeout(this.dailyTimer);
+      this.dailyTimer = null;
+    }
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    if (this.catchUpRunning) {
+      await this.catchUpRunning;
+    }
+  }
+}
+
+module.exports = new DailyStatsScheduler();
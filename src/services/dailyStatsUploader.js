@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/config');
+const storage = require('../storage');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const { getBusinessDate, addDays } = require('../utils/time');
+
+/*
+ * Uploads a day's talk time totals to the storage backend. Every backend
+ * upserts on (agent code, date), and data/daily-upload-ledger.json records what
+ * was sent per agent, so re-running a date only uploads agents that failed or
+ * whose totals changed since the last successful upload.
+ */
+class DailyStatsUploader {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/daily-upload-ledger.json');
+    this.ledger = {};
+    this.running = null;
+    this.saveChain = Promise.resolve();
+    this.loaded = false;
+  }
+
+  async init() {
+    if (this.loaded) return;
+
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      this.ledger = JSON.parse(data).dates || {};
+      console.log(`📒 Daily upload ledger loaded: ${Object.keys(this.ledger).length} date(s)`);
+    } catch (error) {
+      console.log('📄 Starting fresh - no existing daily upload ledger');
+      this.ledger = {};
+    }
+
+    this.loaded = true;
+    this.prune();
+  }
+
+  // Writes are chained so concurrent saves never interleave
+  save() {
+    this.saveChain = this.saveChain.then(async () => {
+      const dataToSave = {
+        metadata: {
+          version: "1.0",
+          lastUpdated: new Date().toISOString()
+        },
+        dates: this.ledger
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error saving daily upload ledger:', error.message);
+    });
+
+    return this.saveChain;
+  }
+
+  // Ledger entries follow the talk time archive's retention window
+  prune() {
+    const cutoffDate = addDays(getBusinessDate(), -config.talkTime.retentionDays);
+
+    for (const date of Object.keys(this.ledger)) {
+      if (date < cutoffDate) {
+        delete this.ledger[date];
+      }
+    }
+  }
+
+  isUpToDate(entry, agent) {
+    return !!entry &&
+      entry.status === 'uploaded' &&
+      entry.talkTime === agent.totalTalkTime &&
+      entry.callCount === agent.callCount;
+  }
+
+  // Only one upload runs at a time; a second caller waits for it and then runs its own date
+  async uploadDate(date, { force = false } = {}) {
+    while (this.running) {
+      await this.running.catch(() => {});
+    }
+
+    this.running = this.runUpload(date, force);
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async runUpload(date, force) {
+    await this.init();
+    console.log(`🔄 Starting daily stats upload for ${date} to ${storage.name}${force ? ' (forced)' : ''}...`);
+
+    const agents = (await dailyTalkTimeManager.getDateTalkTime(date))
+      .filter(agent => agent.totalTalkTime > 0 || agent.callCount > 0);
+
+    const dayLedger = this.ledger[date] || { agents: {} };
+    this.ledger[date] = dayLedger;
+
+    const summary = { date, uploaded: 0, skipped: 0, failed: 0, total: agents.length };
+
+    for (const agent of agents) {
+      const entry = dayLedger.agents[agent.agentCode];
+
+      if (!force && this.isUpToDate(entry, agent)) {
+        summary.skipped++;
+        continue;
+      }
+
+      const attempts = (entry?.attempts || 0) + 1;
+
+      try {
+        await storage.upsertDailyTalktime({
+          agentCode: agent.agentCode,
+          agentName: agent.agentName,
+          date,
+          talkTime: agent.totalTalkTime,
+          totalCalls: agent.callCount || 0
+        });
+
+        dayLedger.agents[agent.agentCode] = {
+          status: 'uploaded',
+          talkTime: agent.totalTalkTime,
+          callCount: agent.callCount,
+          attempts,
+          uploadedAt: new Date().toISOString(),
+          lastError: null
+        };
+
+        summary.uploaded++;
+        console.log(`✅ Saved daily stats: ${agent.agentCode} - ${agent.formattedTalkTime}`);
+
+        // Small delay to prevent rate limiting
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+      } catch (error) {
+        dayLedger.agents[agent.agentCode] = {
+          ...entry,
+          status: 'failed',
+          attempts,
+          failedAt: new Date().toISOString(),
+          lastError: error.message
+        };
+
+        summary.failed++;
+        console.error(`❌ Failed to save daily stats for ${agent.agentCode}:`, error.message);
+      }
+
+      await this.save();
+    }
+
+    dayLedger.lastRunAt = new Date().toISOString();
+    dayLedger.complete = summary.failed === 0;
+    await this.save();
+
+    console.log(`📊 Daily stats upload for ${date} completed: ${summary.uploaded} uploaded, ${summary.skipped} unchanged, ${summary.failed} failed`);
+    return summary;
+  }
+
+  async getLedger(date = null) {
+    await this.init();
+
+    if (date) {
+      return this.ledger[date] || null;
+    }
+    return this.ledger;
+  }
+
+  async stop() {
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+    await this.saveChain;
+  }
+}
+
+module.exports = new DailyStatsUploader();
@@ -1,63 +1,133 @@
 const fs = require('fs').promises;
 const path = require('path');
+const config = require('../../config/config');
+const { getBusinessDate, addDays } = require('../utils/time');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 class DailyTalkTimeManager {
   constructor() {
-    this.filePath = path.join(__dirname, '../../data/daily-talk-time.json');
-    this.todayData = {}; // Store only today's data in memory
-    this.today = new Date().toISOString().split('T')[0];
+    this.legacyFilePath = path.join(__dirname, '../../data/daily-talk-time.json');
+    this.archiveDir = path.join(__dirname, '../../data/talk-time');
+    this.retentionDays = config.talkTime.retentionDays;
+    this.todayData = {}; // Today's data stays in memory, earlier days are read from the archive
+    this.today = getBusinessDate();
+    this.dayResetInterval = null;
+    this.dayChangeListeners = [];
+    this.initPromise = null;
     this.init();
   }
 
-  async init() {
+  // Safe to call more than once - the server awaits the same load the constructor started
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.initialize();
+    }
+    return this.initPromise;
+  }
+
+  async initialize() {
     try {
+      await fs.mkdir(this.archiveDir, { recursive: true });
+      await this.migrateLegacyFile();
       await this.loadTodayData();
+      await this.pruneArchive();
       this.startDayResetChecker();
-      console.log('✅ DailyTalkTimeManager initialized (memory-based for today only)');
+      console.log(`✅ DailyTalkTimeManager initialized (daily archive, ${this.retentionDays} day retention)`);
     } catch (error) {
       console.error('❌ DailyTalkTimeManager initialization failed:', error.message);
       this.todayData = {};
     }
   }
 
-  async loadTodayData() {
+  getDateFilePath(date) {
+    return path.join(this.archiveDir, `${date}.json`);
+  }
+
+  // Split the old single-file format ({ dailyData: { date: {...} } }) into per-date files
+  async migrateLegacyFile() {
+    let parsed;
     try {
-      // Check if file exists and load only today's data
-      const data = await fs.readFile(this.filePath, 'utf8');
-      const parsed = JSON.parse(data);
-      
-      // Only keep today's data in memory
-      const today = new Date().toISOString().split('T')[0];
-      this.todayData = parsed.dailyData?.[today] || {};
-      this.today = today;
-      
-      console.log(`📊 Loaded today's talk time data for ${Object.keys(this.todayData).length} agents`);
+      parsed = JSON.parse(await fs.readFile(this.legacyFilePath, 'utf8'));
     } catch (error) {
-      console.log('📄 Starting fresh - no existing daily talk time data');
-      this.todayData = {};
+      return; // Nothing to migrate
+    }
+
+    const dates = Object.keys(parsed.dailyData || {}).filter(date => DATE_PATTERN.test(date));
+    for (const date of dates) {
+      const existing = await this.readDateFile(date);
+      await this.writeDateFile(date, { ...parsed.dailyData[date], ...existing });
+    }
+
+    await fs.rename(this.legacyFilePath, `${this.legacyFilePath}.migrated`);
+    console.log(`📦 Migrated ${dates.length} day(s) from daily-talk-time.json into the archive`);
+  }
+
+  async readDateFile(date) {
+    try {
+      const data = await fs.readFile(this.getDateFilePath(date), 'utf8');
+      return JSON.parse(data).agents || {};
+    } catch (error) {
+      return {};
     }
   }
 
+  async writeDateFile(date, agents) {
+    const dataToSave = {
+      metadata: {
+        version: "3.0",
+        lastUpdated: new Date().toISOString(),
+        date
+      },
+      agents
+    };
+
+    await fs.writeFile(this.getDateFilePath(date), JSON.stringify(dataToSave, null, 2), 'utf8');
+  }
+
+  async loadTodayData() {
+    const today = getBusinessDate();
+    this.todayData = await this.readDateFile(today);
+    this.today = today;
+
+    console.log(`📊 Loaded today's talk time data for ${Object.keys(this.todayData).length} agents`);
+  }
+
   async saveTodayData() {
     try {
-      // Save only today's data to file (backup)
-      const dataToSave = {
-        metadata: {
-          version: "2.0",
-          lastUpdated: new Date().toISOString(),
-          date: this.today
-        },
-        dailyData: {
-          [this.today]: this.todayData
-        }
-      };
-
-      await fs.writeFile(this.filePath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      await this.writeDateFile(this.today, this.todayData);
     } catch (error) {
       console.error('❌ Error saving today talk time data:', error.message);
     }
   }
 
+  // Dates present in the archive, oldest first
+  async listArchivedDates() {
+    try {
+      const files = await fs.readdir(this.archiveDir);
+      return files
+        .map(file => file.replace(/\.json$/, ''))
+        .filter(date => DATE_PATTERN.test(date))
+        .sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Delete archived days older than the retention window
+  async pruneArchive() {
+    const cutoffDate = addDays(getBusinessDate(), -this.retentionDays);
+
+    const expired = (await this.listArchivedDates()).filter(date => date < cutoffDate);
+    for (const date of expired) {
+      await fs.unlink(this.getDateFilePath(date));
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Pruned ${expired.length} talk time archive day(s) older than ${cutoffDate}`);
+    }
+  }
+
   // Update agent's total talk time for today
   async updateAgentTalkTime(agentCode, agentName, totalTalkTimeSeconds, callCount = null) {
     try {
@@ -75,16 +145,16 @@ class DailyTalkTimeManager {
       this.todayData[agentCode].totalTalkTime = totalTalkTimeSeconds;
       this.todayData[agentCode].agentName = agentName; // Update in case name changed
       this.todayData[agentCode].lastUpdated = new Date().toISOString();
-      
+
       if (callCount !== null) {
         this.todayData[agentCode].callCount = callCount;
       }
 
-      // Save to file as backup
+      // Save to the archive
       await this.saveTodayData();
-      
+
       console.log(`📊 Updated ${agentCode} total talk time: ${totalTalkTimeSeconds}s (${this.formatDuration(totalTalkTimeSeconds)})`);
-      
+
       return this.todayData[agentCode];
     } catch (error) {
       console.error('❌ Error updating agent talk time:', error.message);
@@ -92,9 +162,8 @@ class DailyTalkTimeManager {
     }
   }
 
-  // Get today's talk time for all agents
-  getTodayTalkTime() {
-    return Object.entries(this.todayData).map(([agentCode, data]) => ({
+  formatAgentEntries(agents) {
+    return Object.entries(agents).map(([agentCode, data]) => ({
       agentCode,
       agentName: data.agentName,
       totalTalkTime: data.totalTalkTime || 0,
@@ -104,11 +173,53 @@ class DailyTalkTimeManager {
     }));
   }
 
+  // Get today's talk time for all agents
+  getTodayTalkTime() {
+    return this.formatAgentEntries(this.todayData);
+  }
+
+  // Get all agents' talk time for any archived date
+  async getDateTalkTime(date) {
+    if (date === this.today) {
+      return this.getTodayTalkTime();
+    }
+
+    return this.formatAgentEntries(await this.readDateFile(date));
+  }
+
   // Get specific agent's talk time for today
   getAgentTodayTalkTime(agentCode) {
     return this.todayData[agentCode] || { totalTalkTime: 0, callCount: 0 };
   }
 
+  // Get one agent's daily totals between two dates (inclusive), newest first
+  async getAgentHistory(agentCode, startDate, endDate) {
+    const dates = (await this.listArchivedDates())
+      .filter(date => date >= startDate && date <= endDate);
+
+    if (this.today >= startDate && this.today <= endDate && !dates.includes(this.today)) {
+      dates.push(this.today);
+    }
+
+    const history = [];
+    for (const date of dates) {
+      const agents = date === this.today ? this.todayData : await this.readDateFile(date);
+      const data = agents[agentCode];
+
+      if (data) {
+        history.push({
+          date,
+          agentName: data.agentName,
+          totalTalkTime: data.totalTalkTime || 0,
+          formattedTalkTime: this.formatDuration(data.totalTalkTime || 0),
+          callCount: data.callCount || 0
+        });
+      }
+    }
+
+    return history.sort((a, b) => b.date.localeCompare(a.date));
+  }
+
   formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -123,20 +234,41 @@ class DailyTalkTimeManager {
     }
   }
 
-  // Check if day has changed and reset data
+  // Check if the business day has changed and start a new archive day
   startDayResetChecker() {
-    setInterval(() => {
-      const currentDay = new Date().toISOString().split('T')[0];
-      
+    if (this.dayResetInterval) return;
+
+    this.dayResetInterval = setInterval(async () => {
+      const currentDay = getBusinessDate();
+
       if (currentDay !== this.today) {
-        console.log(`🌅 New day detected: ${currentDay}. Resetting daily data.`);
+        const previousDay = this.today;
+        console.log(`🌅 New day detected: ${currentDay}. ${previousDay} stays in the archive.`);
+        await this.saveTodayData();
         this.todayData = {};
         this.today = currentDay;
-        this.saveTodayData();
+        await this.saveTodayData();
+        await this.pruneArchive();
+        await this.notifyDayChange(previousDay);
       }
     }, 60000); // Check every minute
   }
 
+  // Listeners get the finished date once it has been written to the archive
+  onDayChange(listener) {
+    this.dayChangeListeners.push(listener);
+  }
+
+  async notifyDayChange(previousDay) {
+    for (const listener of this.dayChangeListeners) {
+      try {
+        await listener(previousDay);
+      } catch (error) {
+        console.error(`❌ Day change listener failed for ${previousDay}:`, error.message);
+      }
+    }
+  }
+
   // Get all agents with current data
   getAllActiveAgents() {
     return Object.keys(this.todayData);
@@ -145,10 +277,11 @@ class DailyTalkTimeManager {
   // Reset for new day (called by server at midnight)
   async resetForNewDay() {
     console.log('🌅 Resetting daily talk time for new day');
+    await this.saveTodayData();
     this.todayData = {};
-    this.today = new Date().toISOString().split('T')[0];
+    this.today = getBusinessDate();
     await this.saveTodayData();
   }
 }
 
-module.exports = new DailyTalkTimeManager();
\ No newline at end of file
+module.exports = new DailyTalkTimeManager();
@@ -0,0 +1,90 @@
+const config = require('../../config/config');
+const redis = require('../redis');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const agentMetrics = require('./agentMetrics');
+const agentManager = require('./agentManager');
+const { isScheduleActive, clampIdleSince } = require('../utils/reminderSchedule');
+
+// Live dashboard payload, shared by GET /api/dashboard/live and the dashboard_update broadcast
+class DashboardService {
+  async getLiveData() {
+    // Today's talk time from the local archive
+    const agentsTalkTime = dailyTalkTimeManager.getTodayTalkTime();
+
+    // Get all agents status and active calls from Redis
+    const agentsStatus = await redis.getAllAgentsStatus();
+    const activeCalls = await redis.getAllActiveCalls();
+
+    // Format agents on call (simplified, no timers)
+    const agentsOnCall = Object.entries(activeCalls).map(([agentCode, callData]) => ({
+      agentCode,
+      agentName: callData.agentName || 'Unknown',
+      phoneNumber: callData.phoneNumber,
+      callStartTime: callData.startTime,
+      callType: callData.callType
+    }));
+
+    // Calculate idle times for online agents not on call (break time doesn't count).
+    // Agents with no call yet are idle from login, so they come from Redis, not talk time.
+    const agentsIdleTime = [];
+    const now = new Date();
+    const talkTimeByAgent = new Map(agentsTalkTime.map(agent => [agent.agentCode, agent]));
+
+    for (const [agentCode, agentStatus] of Object.entries(agentsStatus)) {
+      // Skip if agent is currently on call
+      if (activeCalls[agentCode]) continue;
+
+      // Outside the agent's schedule isn't idle time when schedule idle tracking is on
+      const schedule = agentManager.getAgent(agentCode)?.reminderSettings?.schedule;
+      if (config.reminders.scheduleIdleTracking && !isScheduleActive(schedule, now)) continue;
+
+      // ...and idle time starts no earlier than the current schedule window
+      const idleSince = config.reminders.scheduleIdleTracking
+        ? clampIdleSince(schedule, agentStatus.idleSince || agentStatus.lastCallEnd, now)
+        : agentStatus.idleSince || agentStatus.lastCallEnd;
+      if (agentStatus.status === 'online' && idleSince) {
+        const minutesSinceLastCall = Math.floor((now - new Date(idleSince)) / (1000 * 60));
+
+        if (minutesSinceLastCall >= 0) {
+          agentsIdleTime.push({
+            agentCode,
+            agentName: talkTimeByAgent.get(agentCode)?.agentName || agentStatus.agentName || 'Unknown',
+            minutesSinceLastCall,
+            idleSince,
+            lastCallEnd: agentStatus.lastCallEnd || null,
+            awaitingFirstCall: agentStatus.awaitingFirstCall === 'true'
+          });
+        }
+      }
+    }
+
+    const agentsOnBreak = Object.entries(agentsStatus)
+      .filter(([, agentStatus]) => agentStatus.status === 'on_break')
+      .map(([agentCode, agentStatus]) => {
+        const reason = config.breaks.reasonCodes.find(entry => entry.code === agentStatus.breakReason);
+        return {
+          agentCode,
+          agentName: agentStatus.agentName || 'Unknown',
+          reasonCode: agentStatus.breakReason || null,
+          reasonLabel: reason ? reason.label : (agentStatus.breakReason || 'Break'),
+          breakStartedAt: agentStatus.breakStartedAt,
+          minutesOnBreak: Math.max(0, Math.floor((now - new Date(agentStatus.breakStartedAt)) / (1000 * 60)))
+        };
+      });
+
+    const metrics = await agentMetrics.getTodayMetrics();
+
+    console.log(`📊 Dashboard: ${agentsTalkTime.length} talk time, ${agentsOnCall.length} on call, ${agentsIdleTime.length} idle, ${agentsOnBreak.length} on break`);
+
+    return {
+      agentsTalkTime: agentsTalkTime.sort((a, b) => a.agentCode.localeCompare(b.agentCode)),
+      agentsOnCall,
+      agentsIdleTime: agentsIdleTime.sort((a, b) => b.minutesSinceLastCall - a.minutesSinceLastCall),
+      agentsOnBreak: agentsOnBreak.sort((a, b) => b.minutesOnBreak - a.minutesOnBreak),
+      agentMetrics: metrics,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new DashboardService();
@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+
+// No 0/O or 1/I - codes are read off a screen and typed into the app
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/*
+ * Paired agent app devices in data/devices.json. An admin issues a one-time
+ * pairing code for an agent; the app exchanges it for a device token, which it
+ * presents in every socket handshake from then on. Only hashes of codes and tokens
+ * are stored:
+ *   pairingCodes: { codeHash, agentCode, createdBy, createdAt, expiresAt }
+ *   devices:      { id, agentCode, deviceName, tokenHash, pairedAt, issuedBy,
+ *                   lastSeenAt, lastIp, revokedAt, revokedBy }
+ */
+class DeviceManager {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/devices.json');
+    this.devices = new Map(); // id -> device
+    this.pairingCodes = new Map(); // codeHash -> pairing code
+    this.saveChain = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const device of parsed.devices || []) {
+        this.devices.set(device.id, device);
+      }
+      for (const pairing of parsed.pairingCodes || []) {
+        this.pairingCodes.set(pairing.codeHash, pairing);
+      }
+      this.pruneExpiredCodes();
+      console.log(`📥 Paired devices restored: ${this.listDevices().filter(device => !device.revokedAt).length} active`);
+    } catch (error) {
+      console.log('📄 Starting fresh - no paired devices');
+    }
+  }
+
+  save() {
+    this.saveChain = this.saveChain.then(async () => {
+      const dataToSave = {
+        metadata: {
+          version: "1.0",
+          lastUpdated: new Date().toISOString()
+        },
+        devices: [...this.devices.values()],
+        pairingCodes: [...this.pairingCodes.values()]
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error saving paired devices:', error.message);
+    });
+
+    return this.saveChain;
+  }
+
+  pruneExpiredCodes() {
+    const now = new Date().toISOString();
+    for (const [codeHash, pairing] of this.pairingCodes) {
+      if (pairing.expiresAt <= now) this.pairingCodes.delete(codeHash);
+    }
+  }
+
+  // Safe to return from the API - no token hash
+  toPublic(device) {
+    const { tokenHash, ...publicDevice } = device;
+    return publicDevice;
+  }
+
+  // Most recently paired first, optionally for one agent
+  listDevices({ agentCode = null, includeRevoked = true } = {}) {
+    return [...this.devices.values()]
+      .filter(device => (!agentCode || device.agentCode === agentCode) && (includeRevoked || !device.revokedAt))
+      .sort((a, b) => b.pairedAt.localeCompare(a.pairedAt))
+      .map(device => this.toPublic(device));
+  }
+
+  // Codes not yet used or expired, without the codes themselves
+  listPendingCodes() {
+    this.pruneExpiredCodes();
+    return [...this.pairingCodes.values()]
+      .map(({ codeHash, ...pairing }) => pairing)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // The plain code is only in the return value; it can't be shown again
+  async createPairingCode(agentCode, createdBy) {
+    let code = '';
+    for (const byte of crypto.randomBytes(CODE_LENGTH)) {
+      code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+
+    const now = new Date();
+    const pairing = {
+      codeHash: hashSecret(code),
+      agentCode,
+      createdBy,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + config.devices.pairingCodeMinutes * 60000).toISOString()
+    };
+
+    this.pruneExpiredCodes();
+    this.pairingCodes.set(pairing.codeHash, pairing);
+    await this.save();
+    console.log(`📲 Pairing code issued for ${agentCode} by ${createdBy}`);
+
+    return { code, agentCode, expiresAt: pairing.expiresAt };
+  }
+
+  // Uses up a pairing code; { device, token } or null when the code is unknown or expired
+  async pairDevice(code, deviceName, ip = null) {
+    this.pruneExpiredCodes();
+
+    const codeHash = hashSecret(String(code || '').toUpperCase().replace(/[\s-]/g, ''));
+    const pairing = this.pairingCodes.get(codeHash);
+    if (!pairing) return null;
+
+    this.pairingCodes.delete(codeHash);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date().toISOString();
+    const device = {
+      id: crypto.randomUUID(),
+      agentCode: pairing.agentCode,
+      deviceName: deviceName || 'Agent app',
+      tokenHash: hashSecret(token),
+      pairedAt: now,
+      issuedBy: pairing.createdBy,
+      lastSeenAt: now,
+      lastIp: ip,
+      revokedAt: null,
+      revokedBy: null
+    };
+
+    this.devices.set(device.id, device);
+    await this.save();
+    console.log(`📲 Device paired: ${device.deviceName} for ${device.agentCode} (${device.id})`);
+
+    return { device: this.toPublic(device), token };
+  }
+
+  // The active device a token belongs to, else null; records when and where it was last seen
+  resolveToken(token, ip = null) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const tokenHash = hashSecret(token);
+    const device = [...this.devices.values()].find(candidate => candidate.tokenHash === tokenHash);
+    if (!device || device.revokedAt) return null;
+
+    device.lastSeenAt = new Date().toISOString();
+    device.lastIp = ip;
+    this.save();
+
+    return device;
+  }
+
+  // The revoked device, or null if there's no such device
+  async revokeDevice(id, revokedBy) {
+    const device = this.devices.get(id);
+    if (!device) return null;
+
+    if (!device.revokedAt) {
+      device.revokedAt = new Date().toISOString();
+      device.revokedBy = revokedBy;
+      await this.save();
+      console.log(`🚫 Device revoked: ${device.deviceName} for ${device.agentCode} by ${revokedBy}`);
+    }
+
+    return this.toPublic(device);
+  }
+
+  async stop() {
+    await this.saveChain;
+  }
+}
+
+module.exports = new DeviceManager();
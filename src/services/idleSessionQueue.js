@@ -0,0 +1,200 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const storage = require('../storage');
+
+/*
+ * Idle sessions waiting for upload are kept in data/idle-session-queue.json so
+ * they survive restarts. Failed uploads back off exponentially and move to the
+ * dead-letter list after config.idleQueue.maxAttempts failures.
+ */
+class IdleSessionQueue {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/idle-session-queue.json');
+    this.pending = [];
+    this.deadLetter = [];
+    this.processing = false;
+    this.retryTimer = null;
+    this.saveChain = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(data);
+      this.pending = parsed.pending || [];
+      this.deadLetter = parsed.deadLetter || [];
+      console.log(`📥 Idle session queue restored: ${this.pending.length} pending, ${this.deadLetter.length} dead-lettered`);
+    } catch (error) {
+      console.log('📄 Starting fresh - no existing idle session queue');
+      this.pending = [];
+      this.deadLetter = [];
+    }
+
+    this.process();
+  }
+
+  // Writes are chained so concurrent saves never interleave
+  save() {
+    this.saveChain = this.saveChain.then(async () => {
+      const dataToSave = {
+        metadata: {
+          version: "1.0",
+          lastUpdated: new Date().toISOString()
+        },
+        pending: this.pending,
+        deadLetter: this.deadLetter
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error saving idle session queue:', error.message);
+    });
+
+    return this.saveChain;
+  }
+
+  async enqueue(session) {
+    const item = {
+      id: crypto.randomUUID(),
+      session,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null
+    };
+
+    this.pending.push(item);
+    await this.save();
+    console.log(`📝 Added to idle queue: ${session.agentCode}, Queue size: ${this.pending.length}`);
+
+    this.process();
+    return item;
+  }
+
+  getRetryDelay(attempts) {
+    const { baseRetryMs, maxRetryMs } = config.idleQueue;
+    return Math.min(baseRetryMs * Math.pow(2, attempts - 1), maxRetryMs);
+  }
+
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    try {
+      const due = this.pending.filter(item => new Date(item.nextAttemptAt) <= new Date());
+
+      for (const item of due) {
+        try {
+          await storage.addIdleSession(item.session);
+
+          this.pending = this.pending.filter(pendingItem => pendingItem.id !== item.id);
+          await this.save();
+          console.log(`✅ Idle session saved to ${storage.name}: ${item.session.agentCode} - ${item.session.idleDurationSeconds}s`);
+
+          // Small delay to prevent rate limiting
+          await new Promise(resolve => setTimeout(resolve, 100));
+
+        } catch (error) {
+          item.attempts++;
+          item.lastError = error.message;
+          item.lastAttemptAt = new Date().toISOString();
+
+          if (item.attempts >= config.idleQueue.maxAttempts) {
+            this.pending = this.pending.filter(pendingItem => pendingItem.id !== item.id);
+            this.deadLetter.push({ ...item, deadLetteredAt: new Date().toISOString() });
+            console.error(`💀 Idle session for ${item.session.agentCode} dead-lettered after ${item.attempts} attempts:`, error.message);
+          } else {
+            const delay = this.getRetryDelay(item.attempts);
+            item.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            console.error(`❌ Failed to save idle session for ${item.session.agentCode} (attempt ${item.attempts}, retry in ${Math.round(delay / 1000)}s):`, error.message);
+          }
+
+          await this.save();
+          break; // Backend is likely unavailable - let the backoff timer pick up the rest
+        }
+      }
+    } finally {
+      this.processing = false;
+      this.scheduleNext();
+    }
+  }
+
+  // Wake up when the earliest pending item becomes due
+  scheduleNext() {
+    if (this.pending.length === 0 || this.retryTimer) return;
+
+    const nextDue = Math.min(...this.pending.map(item => new Date(item.nextAttemptAt).getTime()));
+    const delay = Math.max(nextDue - Date.now(), 0);
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.process();
+    }, delay);
+  }
+
+  getStatus() {
+    return {
+      pendingCount: this.pending.length,
+      deadLetterCount: this.deadLetter.length,
+      maxAttempts: config.idleQueue.maxAttempts,
+      pending: this.pending,
+      deadLetter: this.deadLetter
+    };
+  }
+
+  // Move dead-lettered items back to the queue with a fresh attempt count
+  async replayDeadLetter(id = null) {
+    const toReplay = id ? this.deadLetter.filter(item => item.id === id) : [...this.deadLetter];
+    if (toReplay.length === 0) return 0;
+
+    const replayIds = new Set(toReplay.map(item => item.id));
+    this.deadLetter = this.deadLetter.filter(item => !replayIds.has(item.id));
+
+    for (const item of toReplay) {
+      this.pending.push({
+        id: item.id,
+        session: item.session,
+        attempts: 0,
+        enqueuedAt: item.enqueuedAt,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: item.lastError
+      });
+    }
+
+    await this.save();
+    console.log(`♻️ Replaying ${toReplay.length} dead-lettered idle session(s)`);
+
+    this.process();
+    return toReplay.length;
+  }
+
+  async discardDeadLetter(id) {
+    const item = this.deadLetter.find(deadItem => deadItem.id === id);
+    if (!item) return null;
+
+    this.deadLetter = this.deadLetter.filter(deadItem => deadItem.id !== id);
+    await this.save();
+    console.log(`🗑️ Discarded dead-lettered idle session ${id} (${item.session.agentCode})`);
+
+    return item;
+  }
+
+  async stop() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    await this.saveChain;
+  }
+}
+
+module.exports = new IdleSessionQueue();
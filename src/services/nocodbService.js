@@ -1,4 +1,5 @@
 const fetch = require('node-fetch');
+const { formatTimeAmPm, getBusinessDate } = require('../utils/time');
 
 class NocoDBService {
   constructor() {
@@ -45,8 +46,8 @@ class NocoDBService {
 
   // Search phone number in Call Records
   async searchCallsByPhone(phoneNumber) {
-    console.log(`🔍 NocoDB: Searching for Mobile = ${phoneNumber}`);
-    const queryParams = `?where=(Mobile,eq,${phoneNumber})&sort=-Id`;
+    console.log(`🔍 NocoDB: Searching for Mobile ending ${phoneNumber}`);
+    const queryParams = `?where=(Mobile,like,${encodeURIComponent(`%${phoneNumber}`)})&sort=-Id&limit=200`;
     
     const result = await this.makeRequest('GET', this.tables.callRecords, null, queryParams);
     console.log(`🔍 NocoDB: Search response structure:`, JSON.stringify(result, null, 2));
@@ -116,18 +117,47 @@ class NocoDBService {
     return await this.makeRequest('POST', this.tables.dailyTalktime, data);
   }
 
-  // Utility function to format time as HH:MM am/pm
+  // Find the Daily Talktime record for one agent and date (null if none)
+  async findDailyTalktime(agentCode, date) {
+    const queryParams = `?where=(Agent Code,eq,${agentCode})~and(Date,eq,${date})&limit=1&sort=Id`;
+    const result = await this.makeRequest('GET', this.tables.dailyTalktime, null, queryParams);
+
+    const list = Array.isArray(result) ? (result[0]?.list || result) : (result?.list || []);
+    return list[0] || null;
+  }
+
+  // Update an existing daily talktime record by its NocoDB Id
+  async updateDailyTalktime(id, agentName, talktimeSeconds, totalCalls) {
+    const data = [{
+      "Id": id,
+      "Agent Name": agentName,
+      "Talktime": talktimeSeconds.toString(),
+      "Total Calls": totalCalls.toString()
+    }];
+
+    return await this.makeRequest('PATCH', this.tables.dailyTalktime, data);
+  }
+
+  // PATCH the (Agent Code, Date) record when it exists, otherwise POST a new one
+  async upsertDailyTalktime(agentCode, agentName, date, talktimeSeconds, totalCalls) {
+    const existing = await this.findDailyTalktime(agentCode, date);
+
+    if (existing) {
+      console.log(`🔄 NocoDB: Updating Daily Talktime ${existing.Id} for ${agentCode} on ${date}`);
+      return await this.updateDailyTalktime(existing.Id, agentName, talktimeSeconds, totalCalls);
+    }
+
+    return await this.addDailyTalktime(agentCode, agentName, date, talktimeSeconds, totalCalls);
+  }
+
+  // Utility function to format time as HH:MM am/pm in the business timezone
   formatTimeAmPm(date) {
-    return date.toLocaleTimeString('en-US', { 
-      hour: 'numeric', 
-      minute: '2-digit',
-      hour12: true 
-    });
+    return formatTimeAmPm(date);
   }
 
-  // Utility function to format date as YYYY-MM-DD
+  // Utility function to format date as the YYYY-MM-DD business date
   formatDate(date) {
-    return date.toISOString().split('T')[0];
+    return getBusinessDate(date);
   }
 }
 
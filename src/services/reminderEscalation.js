@@ -0,0 +1,157 @@
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const DailyLog = require('../utils/dailyLog');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const { getBusinessDate } = require('../utils/time');
+
+/*
+ * Escalation ladder for idle agents. Each idle stretch (keyed by its idleSince)
+ * climbs config.escalation.levels in order, each level firing at most once, when
+ * the agent has left enough reminders unacknowledged or been idle long enough.
+ * Fired escalations go to data/escalations/YYYY-MM-DD.jsonl; the caller raises
+ * the supervisor alert on the dashboard.
+ */
+class ReminderEscalation {
+  constructor() {
+    this.log = new DailyLog('escalations', config.escalation.retentionDays);
+    this.episodes = new Map(); // agentCode -> { idleSince, remindersSent, unacknowledged, level }
+  }
+
+  async init() {
+    await this.log.init();
+
+    // Levels already fired for a stretch that is still running aren't fired again after a restart
+    for (const record of await this.log.read(getBusinessDate())) {
+      const episode = this.getEpisode(record.agentCode, record.idleSince);
+      episode.level = Math.max(episode.level, record.level);
+      episode.remindersSent = Math.max(episode.remindersSent, record.remindersSent);
+    }
+
+    dailyTalkTimeManager.onDayChange(() => this.log.prune());
+    console.log(`✅ Reminder escalation initialized (${config.escalation.levels.length} levels)`);
+  }
+
+  // A new idleSince means the agent worked in between - the ladder starts over
+  getEpisode(agentCode, idleSince) {
+    let episode = this.episodes.get(agentCode);
+    if (!episode || episode.idleSince !== idleSince) {
+      episode = { idleSince, remindersSent: 0, unacknowledged: 0, level: 0 };
+      this.episodes.set(agentCode, episode);
+    }
+    return episode;
+  }
+
+  recordReminderSent(agentCode, idleSince) {
+    const episode = this.getEpisode(agentCode, idleSince);
+    episode.remindersSent++;
+    episode.unacknowledged++;
+  }
+
+  recordAcknowledgment(agentCode) {
+    const episode = this.episodes.get(agentCode);
+    if (episode) {
+      episode.unacknowledged = 0;
+    }
+  }
+
+  // Agent is no longer idle (call, break, logout); returns whether the stretch had escalated
+  endEpisode(agentCode) {
+    const episode = this.episodes.get(agentCode);
+    this.episodes.delete(agentCode);
+    return Boolean(episode && episode.level > 0);
+  }
+
+  getActiveAgentCodes() {
+    return [...this.episodes.keys()];
+  }
+
+  // Escalations fired by this check, lowest level first (usually none)
+  async evaluate(agentCode, agentName, idleSince, minutesIdle) {
+    const episode = this.getEpisode(agentCode, idleSince);
+    const fired = [];
+
+    for (const policy of config.escalation.levels) {
+      if (policy.level <= episode.level) continue;
+
+      const byReminders = policy.unacknowledgedReminders > 0 && episode.unacknowledged >= policy.unacknowledgedReminders;
+      const byIdle = policy.idleMinutes > 0 && minutesIdle >= policy.idleMinutes;
+      if (!byReminders && !byIdle) break; // Levels are climbed in order
+
+      const record = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        agentCode,
+        agentName,
+        level: policy.level,
+        trigger: byReminders ? 'unacknowledged_reminders' : 'idle_minutes',
+        minutesIdle,
+        idleSince,
+        remindersSent: episode.remindersSent,
+        unacknowledgedReminders: episode.unacknowledged,
+        webhook: null
+      };
+
+      episode.level = policy.level;
+
+      if (policy.webhookUrl) {
+        record.webhook = await this.callWebhook(policy.webhookUrl, record);
+      }
+
+      await this.log.append(getBusinessDate(), record);
+      console.log(`🚨 Escalation level ${policy.level} for ${agentCode}: ${minutesIdle} min idle, ${episode.unacknowledged} unacknowledged reminder(s)`);
+      fired.push(record);
+    }
+
+    return fired;
+  }
+
+  // Failures are recorded on the escalation, never thrown - the dashboard alert still goes out
+  async callWebhook(url, record) {
+    const { webhook, ...payload } = record;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event: 'agent_idle_escalation', ...payload }),
+        timeout: config.escalation.webhookTimeoutMs
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded ${response.status}`);
+      }
+
+      return { status: 'sent', statusCode: response.status };
+    } catch (error) {
+      console.error(`❌ Escalation webhook failed for ${record.agentCode}:`, error.message);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  // Escalations in a date range, newest first; active ones belong to an idle stretch still running
+  async getEscalations(startDate, endDate, agentCode = null) {
+    const records = await this.log.readRange(startDate, endDate);
+
+    return records
+      .filter(record => !agentCode || record.agentCode === agentCode)
+      .map(record => ({
+        ...record,
+        active: this.episodes.get(record.agentCode)?.idleSince === record.idleSince
+      }))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  getPolicies() {
+    return config.escalation.levels.map(({ webhookUrl, ...policy }) => ({
+      ...policy,
+      webhookConfigured: Boolean(webhookUrl)
+    }));
+  }
+
+  async stop() {
+    await this.log.flush();
+  }
+}
+
+module.exports = new ReminderEscalation();
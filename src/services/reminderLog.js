@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const DailyLog = require('../utils/dailyLog');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+const agentStateLog = require('./agentStateLog');
+const { getBusinessDate, addDays } = require('../utils/time');
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return Math.round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function percent(numerator, denominator) {
+  if (!denominator) return null;
+  return Math.round((numerator / denominator) * 1000) / 10;
+}
+
+/*
+ * Every reminder sent to an agent (automatic or manual) and every acknowledgment
+ * from the app, as separate lines in data/reminders/YYYY-MM-DD.jsonl:
+ *   { event: 'sent', reminderId, type, agentCode, agentName, sentAt, deliveryStatus, minutesIdle, intervalMinutes }
+ *   { event: 'acknowledged', reminderId, agentCode, acknowledgedAt, action }
+ * An acknowledgment is filed under its reminder's date so a date range reads both.
+ */
+class ReminderLog {
+  constructor() {
+    this.log = new DailyLog('reminders', config.reminders.retentionDays);
+    this.unacknowledged = new Map(); // agentCode -> [{ reminderId, sentAt }] oldest first
+  }
+
+  async init() {
+    await this.log.init();
+
+    // Today's reminders still waiting for an acknowledgment
+    const acknowledged = new Set();
+    const records = await this.log.read(getBusinessDate());
+    for (const record of records) {
+      if (record.event === 'acknowledged') acknowledged.add(record.reminderId);
+    }
+    for (const record of records) {
+      if (record.event === 'sent' && record.deliveryStatus === 'sent' && !acknowledged.has(record.reminderId)) {
+        const pending = this.unacknowledged.get(record.agentCode) || [];
+        pending.push({ reminderId: record.reminderId, sentAt: record.sentAt });
+        this.unacknowledged.set(record.agentCode, pending.slice(-20));
+      }
+    }
+
+    dailyTalkTimeManager.onDayChange(() => this.log.prune());
+    console.log('✅ Reminder log initialized');
+  }
+
+  // deliveryStatus: 'sent' (emitted to the agent's socket), 'not_connected' or 'failed'
+  async recordSent({ type, agentCode, agentName, deliveryStatus, minutesIdle = null, intervalMinutes = null, reminderId = null }) {
+    const record = {
+      event: 'sent',
+      reminderId: reminderId || crypto.randomUUID(),
+      type,
+      agentCode,
+      agentName,
+      sentAt: new Date().toISOString(),
+      deliveryStatus,
+      minutesIdle,
+      intervalMinutes
+    };
+
+    if (deliveryStatus === 'sent') {
+      const pending = this.unacknowledged.get(agentCode) || [];
+      pending.push({ reminderId: record.reminderId, sentAt: record.sentAt });
+      this.unacknowledged.set(agentCode, pending.slice(-20));
+    }
+
+    await this.log.append(getBusinessDate(new Date(record.sentAt)), record);
+    return record;
+  }
+
+  // Older apps don't echo reminderId - their acknowledgment goes to the latest pending reminder
+  async recordAcknowledged(agentCode, { reminderId = null, acknowledgedAt = null, action = null } = {}) {
+    const pending = this.unacknowledged.get(agentCode) || [];
+    const index = reminderId
+      ? pending.findIndex(entry => entry.reminderId === reminderId)
+      : pending.length - 1;
+    const reminder = index >= 0 ? pending.splice(index, 1)[0] : null;
+
+    if (!reminder && !reminderId) {
+      console.log(`⚠️ Acknowledgment from ${agentCode} matches no pending reminder`);
+      return null;
+    }
+
+    const record = {
+      event: 'acknowledged',
+      reminderId: reminder ? reminder.reminderId : reminderId,
+      agentCode,
+      acknowledgedAt: acknowledgedAt || new Date().toISOString(),
+      action
+    };
+
+    const date = reminder ? getBusinessDate(new Date(reminder.sentAt)) : getBusinessDate();
+    await this.log.append(date, record);
+    return record;
+  }
+
+  // Reminders sent in a date range, with their acknowledgment joined in, oldest first
+  async getReminders(startDate, endDate, agentCode = null) {
+    // Acknowledgments of unknown reminders (after a restart) are filed under the day they arrived
+    const records = await this.log.readRange(startDate, addDays(endDate, 1));
+    const acknowledgments = new Map();
+
+    for (const record of records) {
+      if (record.event === 'acknowledged' && !acknowledgments.has(record.reminderId)) {
+        acknowledgments.set(record.reminderId, record);
+      }
+    }
+
+    return records
+      .filter(record => record.event === 'sent')
+      .filter(record => getBusinessDate(new Date(record.sentAt)) <= endDate)
+      .filter(record => !agentCode || record.agentCode === agentCode)
+      .map(record => {
+        const ack = acknowledgments.get(record.reminderId);
+        return {
+          ...record,
+          acknowledgedAt: ack ? ack.acknowledgedAt : null,
+          action: ack ? ack.action : null,
+          responseSeconds: ack ? Math.max(0, Math.round((new Date(ack.acknowledgedAt) - new Date(record.sentAt)) / 1000)) : null
+        };
+      });
+  }
+
+  // Per agent: acknowledgment rate, median response and share of reminders followed by a call within N minutes
+  async getAnalytics(startDate, endDate, agentCode = null, callWithinMinutes = config.reminders.callWithinMinutes) {
+    const reminders = await this.getReminders(startDate, endDate, agentCode);
+    const { events } = await agentStateLog.getRangeData(startDate, addDays(endDate, 1));
+
+    const callStartsByAgent = new Map();
+    for (const event of events) {
+      if (event.source !== 'call_started') continue;
+      if (!callStartsByAgent.has(event.agentCode)) callStartsByAgent.set(event.agentCode, []);
+      callStartsByAgent.get(event.agentCode).push(new Date(event.timestamp).getTime());
+    }
+
+    const windowMs = callWithinMinutes * 60 * 1000;
+    const summarize = (rows) => {
+      const delivered = rows.filter(row => row.deliveryStatus === 'sent');
+      const acknowledged = delivered.filter(row => row.acknowledgedAt);
+      const followedByCall = delivered.filter(row => {
+        const sentAt = new Date(row.sentAt).getTime();
+        return (callStartsByAgent.get(row.agentCode) || []).some(time => time >= sentAt && time - sentAt <= windowMs);
+      });
+
+      return {
+        sent: rows.length,
+        delivered: delivered.length,
+        automatic: rows.filter(row => row.type === 'automatic').length,
+        manual: rows.filter(row => row.type === 'manual').length,
+        acknowledged: acknowledged.length,
+        acknowledgmentRate: percent(acknowledged.length, delivered.length),
+        medianResponseSeconds: median(acknowledged.map(row => row.responseSeconds)),
+        callsWithinWindow: followedByCall.length,
+        callWithinRate: percent(followedByCall.length, delivered.length)
+      };
+    };
+
+    const byAgent = new Map();
+    for (const reminder of reminders) {
+      if (!byAgent.has(reminder.agentCode)) byAgent.set(reminder.agentCode, []);
+      byAgent.get(reminder.agentCode).push(reminder);
+    }
+
+    const agents = [...byAgent].map(([code, rows]) => ({
+      agentCode: code,
+      agentName: rows[rows.length - 1].agentName,
+      ...summarize(rows)
+    })).sort((a, b) => a.agentCode.localeCompare(b.agentCode));
+
+    return {
+      startDate,
+      endDate,
+      callWithinMinutes,
+      overall: summarize(reminders),
+      agents
+    };
+  }
+
+  async stop() {
+    await this.log.flush();
+  }
+}
+
+module.exports = new ReminderLog();
@@ -0,0 +1,226 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const dailyTalkTimeManager = require('./dailyTalkTimeManager');
+
+// Message kinds a template covers: interval reminders, reminders before the first call, dashboard "Notify"
+const KINDS = ['automatic', 'firstCall', 'manual'];
+const PLACEHOLDERS = ['agentName', 'agentCode', 'idleMinutes', 'talkTime', 'target', 'targetGap'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_TEMPLATE = {
+  id: 'default',
+  name: 'Default',
+  messages: {
+    en: {
+      automatic: "It's been {{idleMinutes}} minutes since your last call. Time to make another call!",
+      firstCall: "You haven't made a call yet - it's been {{idleMinutes}} minutes since you logged in. Time to make your first call!",
+      manual: 'Manual reminder: Time to make another call!'
+    },
+    hi: {
+      automatic: 'आपकी पिछली कॉल को {{idleMinutes}} मिनट हो गए हैं। अगली कॉल करने का समय है!',
+      firstCall: 'आपने अभी तक कोई कॉल नहीं की है - लॉगिन किए {{idleMinutes}} मिनट हो गए हैं। अपनी पहली कॉल करें!',
+      manual: 'रिमाइंडर: अगली कॉल करने का समय है!'
+    }
+  }
+};
+
+function formatMinutes(seconds) {
+  const totalMinutes = Math.max(0, Math.round(seconds / 60));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/*
+ * Reminder message templates in data/reminder-templates.json. A template holds
+ * one message per kind per language, with {{placeholder}} fields. An agent gets
+ * their own assigned template, else their team's, else the built-in default, in
+ * their preferred language (falling back to the default language).
+ */
+class ReminderTemplates {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/reminder-templates.json');
+    this.templates = new Map();
+    this.assignments = { agents: {}, teams: {} };
+    this.saveChain = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const template of parsed.templates || []) {
+        this.templates.set(template.id, template);
+      }
+      this.assignments = { agents: {}, teams: {}, ...parsed.assignments };
+      console.log(`📥 Reminder templates restored: ${this.templates.size} custom`);
+    } catch (error) {
+      console.log('📄 Starting fresh - no custom reminder templates');
+    }
+  }
+
+  save() {
+    this.saveChain = this.saveChain.then(async () => {
+      const dataToSave = {
+        metadata: {
+          version: "1.0",
+          lastUpdated: new Date().toISOString()
+        },
+        templates: [...this.templates.values()],
+        assignments: this.assignments
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error saving reminder templates:', error.message);
+    });
+
+    return this.saveChain;
+  }
+
+  getAll() {
+    return {
+      templates: [DEFAULT_TEMPLATE, ...this.templates.values()].map(template => ({
+        ...template,
+        builtIn: template.id === DEFAULT_TEMPLATE.id
+      })),
+      assignments: this.assignments,
+      languages: config.reminders.languages,
+      defaultLanguage: config.reminders.defaultLanguage,
+      kinds: KINDS,
+      placeholders: PLACEHOLDERS
+    };
+  }
+
+  getTemplate(id) {
+    return id === DEFAULT_TEMPLATE.id ? DEFAULT_TEMPLATE : this.templates.get(id) || null;
+  }
+
+  // Problems with a messages object, as strings; empty when it is valid
+  validateMessages(messages) {
+    const errors = [];
+
+    if (!messages || typeof messages !== 'object') {
+      return ['messages must be an object keyed by language'];
+    }
+
+    for (const [language, byKind] of Object.entries(messages)) {
+      if (!config.reminders.languages.includes(language)) {
+        errors.push(`Unsupported language "${language}" (expected ${config.reminders.languages.join(', ')})`);
+        continue;
+      }
+
+      for (const kind of KINDS) {
+        const text = byKind && byKind[kind];
+        if (typeof text !== 'string' || !text.trim()) {
+          errors.push(`messages.${language}.${kind} is required`);
+          continue;
+        }
+        if (text.length > 500) {
+          errors.push(`messages.${language}.${kind} must be 500 characters or fewer`);
+        }
+        for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+          if (!PLACEHOLDERS.includes(name)) {
+            errors.push(`messages.${language}.${kind} uses unknown placeholder {{${name}}}`);
+          }
+        }
+      }
+    }
+
+    if (!messages[config.reminders.defaultLanguage]) {
+      errors.push(`messages.${config.reminders.defaultLanguage} is required as the fallback language`);
+    }
+
+    return errors;
+  }
+
+  async createTemplate(name, messages) {
+    const now = new Date().toISOString();
+    const template = { id: crypto.randomUUID(), name, messages, createdAt: now, updatedAt: now };
+
+    this.templates.set(template.id, template);
+    await this.save();
+    console.log(`📝 Reminder template created: ${name}`);
+
+    return template;
+  }
+
+  async updateTemplate(id, name, messages) {
+    const template = this.templates.get(id);
+    if (!template) return null;
+
+    template.name = name;
+    template.messages = messages;
+    template.updatedAt = new Date().toISOString();
+
+    await this.save();
+    console.log(`📝 Reminder template updated: ${name}`);
+
+    return template;
+  }
+
+  // Agents and teams using it go back to the default
+  async removeTemplate(id) {
+    if (!this.templates.delete(id)) return false;
+
+    for (const scope of ['agents', 'teams']) {
+      for (const [key, templateId] of Object.entries(this.assignments[scope])) {
+        if (templateId === id) delete this.assignments[scope][key];
+      }
+    }
+
+    await this.save();
+    return true;
+  }
+
+  // scope: 'agents' or 'teams'; a null templateId clears the assignment
+  async assign(scope, key, templateId) {
+    if (templateId && !this.getTemplate(templateId)) {
+      throw new Error(`Unknown template ${templateId}`);
+    }
+
+    if (templateId) {
+      this.assignments[scope][key] = templateId;
+    } else {
+      delete this.assignments[scope][key];
+    }
+
+    await this.save();
+  }
+
+  resolveTemplate(agent) {
+    const templateId = this.assignments.agents[agent.agentCode] ||
+      (agent.team && this.assignments.teams[agent.team]);
+    return this.getTemplate(templateId) || DEFAULT_TEMPLATE;
+  }
+
+  // agent: { agentCode, agentName, team, language }
+  render(kind, agent, { minutesIdle = 0 } = {}) {
+    const template = this.resolveTemplate(agent);
+    const defaultLanguage = config.reminders.defaultLanguage;
+    const language = template.messages[agent.language] ? agent.language : defaultLanguage;
+    const text = (template.messages[language] || DEFAULT_TEMPLATE.messages[defaultLanguage])[kind];
+
+    const talkTimeSeconds = dailyTalkTimeManager.getAgentTodayTalkTime(agent.agentCode).totalTalkTime || 0;
+    const targetSeconds = config.reminders.dailyTalkTimeTargetMinutes * 60;
+    const values = {
+      agentName: agent.agentName || agent.agentCode,
+      agentCode: agent.agentCode,
+      idleMinutes: minutesIdle,
+      talkTime: formatMinutes(talkTimeSeconds),
+      target: formatMinutes(targetSeconds),
+      targetGap: formatMinutes(Math.max(0, targetSeconds - talkTimeSeconds))
+    };
+
+    return {
+      message: text.replace(PLACEHOLDER_PATTERN, (match, name) => (name in values ? String(values[name]) : match)),
+      language,
+      templateId: template.id
+    };
+  }
+}
+
+module.exports = new ReminderTemplates();
@@ -0,0 +1,177 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+
+// Checked against for unknown usernames so response time doesn't reveal which exist
+const DUMMY_PASSWORD_HASH = `scrypt$${'A'.repeat(22)}==$${'A'.repeat(86)}==`;
+
+/*
+ * Dashboard users in data/users.json: { username, role, passwordHash, tokenVersion,
+ * disabled, createdAt, updatedAt }. Changing a password, role or disabling a user
+ * bumps tokenVersion, which ends their existing sessions. The first start with no
+ * users creates an admin from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD.
+ */
+class UserManager {
+  constructor() {
+    this.filePath = path.join(__dirname, '../../data/users.json');
+    this.users = new Map();
+    this.saveChain = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      for (const user of parsed.users || []) {
+        this.users.set(user.username, user);
+      }
+      console.log(`📥 Dashboard users restored: ${this.users.size}`);
+    } catch (error) {
+      console.log('📄 Starting fresh - no dashboard users');
+    }
+
+    if (this.users.size === 0) {
+      await this.createInitialAdmin();
+    }
+  }
+
+  async createInitialAdmin() {
+    const username = config.auth.adminUsername;
+    let password = config.auth.adminPassword;
+
+    if (!password) {
+      password = crypto.randomBytes(12).toString('base64url');
+      console.log(`⚠️ AUTH_ADMIN_PASSWORD not set - created admin "${username}" with password: ${password}`);
+      console.log('⚠️ Log in and change it; this password is not shown again');
+    }
+
+    await this.createUser(username, password, 'admin');
+  }
+
+  save() {
+    this.saveChain = this.saveChain.then(async () => {
+      const dataToSave = {
+        metadata: {
+          version: "1.0",
+          lastUpdated: new Date().toISOString()
+        },
+        users: [...this.users.values()]
+      };
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error('❌ Error saving dashboard users:', error.message);
+    });
+
+    return this.saveChain;
+  }
+
+  // Safe to return from the API - no password hash
+  toPublic(user) {
+    const { passwordHash, tokenVersion, ...publicUser } = user;
+    return publicUser;
+  }
+
+  getUser(username) {
+    return this.users.get(username) || null;
+  }
+
+  listUsers() {
+    return [...this.users.values()]
+      .map(user => this.toPublic(user))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  async createUser(username, password, role) {
+    if (this.users.has(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+      username,
+      role,
+      passwordHash: await hashPassword(password),
+      tokenVersion: 1,
+      disabled: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.users.set(username, user);
+    await this.save();
+    console.log(`👤 Dashboard user created: ${username} (${role})`);
+
+    return this.toPublic(user);
+  }
+
+  // changes: { password, role, disabled }; any of them signs the user out everywhere
+  async updateUser(username, changes) {
+    const user = this.users.get(username);
+    if (!user) return null;
+
+    if (user.role === 'admin' && !user.disabled &&
+        ((changes.role && changes.role !== 'admin') || changes.disabled === true) &&
+        this.countActiveAdmins() === 1) {
+      throw new Error('Cannot demote or disable the last admin');
+    }
+
+    if (changes.password !== undefined) user.passwordHash = await hashPassword(changes.password);
+    if (changes.role !== undefined) user.role = changes.role;
+    if (changes.disabled !== undefined) user.disabled = Boolean(changes.disabled);
+
+    user.tokenVersion++;
+    user.updatedAt = new Date().toISOString();
+
+    await this.save();
+    console.log(`👤 Dashboard user updated: ${username}`);
+
+    return this.toPublic(user);
+  }
+
+  async removeUser(username) {
+    const user = this.users.get(username);
+    if (!user) return false;
+
+    if (user.role === 'admin' && !user.disabled && this.countActiveAdmins() === 1) {
+      throw new Error('Cannot remove the last admin');
+    }
+
+    this.users.delete(username);
+    await this.save();
+    console.log(`👤 Dashboard user removed: ${username}`);
+
+    return true;
+  }
+
+  countActiveAdmins() {
+    return [...this.users.values()].filter(user => user.role === 'admin' && !user.disabled).length;
+  }
+
+  // The user for a correct username and password, else null
+  async checkCredentials(username, password) {
+    const user = this.users.get(username);
+    if (!user || user.disabled) {
+      await verifyPassword(password || '', DUMMY_PASSWORD_HASH);
+      return null;
+    }
+
+    return await verifyPassword(password || '', user.passwordHash) ? user : null;
+  }
+
+  // The user a session token belongs to, if the session is still valid
+  resolveSession(payload) {
+    const user = payload && this.users.get(payload.sub);
+    if (!user || user.disabled || user.tokenVersion !== payload.ver) return null;
+    return user;
+  }
+
+  async stop() {
+    await this.saveChain;
+  }
+}
+
+module.exports = new UserManager();
@@ -0,0 +1,39 @@
+const config = require('../../config/config');
+
+/*
+ * Storage backends share one interface so routes, websocket and server code
+ * never talk to NocoDB or PostgreSQL directly:
+ *
+ *   Agents:           loadAgents(), saveAgent(agent), removeAgent(agentCode)
+ *   Call records:     insertCall(call), searchCallsByPhone(phoneNumber)
+ *   Daily talk time:  upsertDailyTalktime(record), getDailyTalktime(agentCode, startDate, endDate, limit, offset)
+ *   Idle sessions:    addIdleSession(session), getIdleSessions(agentCode, date, limit, offset)
+ *   Lifecycle:        ping(), cleanup()
+ *
+ * searchCallsByPhone matches numbers that end with the given digits, so a stored
+ * "+919876543210" is found by "9876543210" - newest first, at most 200.
+ * List methods resolve to { records, totalRecords } with camelCase records.
+ */
+function createStorage(backend) {
+  switch (backend) {
+    case 'nocodb': {
+      const NocoDBStorage = require('./nocodbStorage');
+      return new NocoDBStorage();
+    }
+    case 'postgres': {
+      const PostgresStorage = require('./postgresStorage');
+      return new PostgresStorage();
+    }
+    case 'memory': {
+      const MemoryStorage = require('./memoryStorage');
+      return new MemoryStorage();
+    }
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (expected nocodb, postgres or memory)`);
+  }
+}
+
+const storage = createStorage(config.storage.backend);
+console.log(`🗄️ Storage backend: ${storage.name}`);
+
+module.exports = storage;
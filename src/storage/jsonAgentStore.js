@@ -0,0 +1,70 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// File-backed agent store (data/agents.json), used where the backend has no agents table
+class JsonAgentStore {
+  constructor(filePath = path.join(__dirname, '../../data/agents.json')) {
+    this.filePath = filePath;
+    this.agents = {};
+    this.metadata = {};
+  }
+
+  async loadAgents() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(data);
+      this.agents = parsed.agents || {};
+      this.metadata = parsed.metadata || { version: "1.0", totalAgents: 0 };
+      console.log(`📊 Loaded ${Object.keys(this.agents).length} agents from JSON`);
+    } catch (error) {
+      console.log('📄 Creating new agents.json file');
+      await this.createDefaultFile();
+    }
+
+    return { ...this.agents };
+  }
+
+  async createDefaultFile() {
+    this.agents = {};
+    this.metadata = {
+      version: "1.0",
+      lastUpdated: new Date().toISOString(),
+      totalAgents: 0
+    };
+
+    await this.saveToFile();
+  }
+
+  async saveAgent(agent) {
+    this.agents[agent.agentCode] = agent;
+    await this.saveToFile();
+    return agent;
+  }
+
+  async removeAgent(agentCode) {
+    delete this.agents[agentCode];
+    await this.saveToFile();
+    return true;
+  }
+
+  async saveToFile() {
+    try {
+      const dataToSave = {
+        agents: this.agents,
+        metadata: {
+          ...this.metadata,
+          lastUpdated: new Date().toISOString(),
+          totalAgents: Object.keys(this.agents).length
+        }
+      };
+
+      await fs.writeFile(this.filePath, JSON.stringify(dataToSave, null, 2), 'utf8');
+      console.log(`💾 Saved ${Object.keys(this.agents).length} agents to JSON`);
+    } catch (error) {
+      console.error('❌ Error saving agents to JSON:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = JsonAgentStore;
@@ -0,0 +1,133 @@
+// Most calls searchCallsByPhone returns, as in the other backends
+const SEARCH_LIMIT = 200;
+
+// Process-local storage for tests and environments without NocoDB or PostgreSQL
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.agents = {};
+    this.calls = [];
+    this.dailyTalktime = [];
+    this.idleSessions = [];
+    this.nextId = 1;
+  }
+
+  paginate(records, limit, offset) {
+    return {
+      records: records.slice(offset, offset + limit),
+      totalRecords: records.length
+    };
+  }
+
+  // Agents
+  async loadAgents() {
+    return { ...this.agents };
+  }
+
+  async saveAgent(agent) {
+    this.agents[agent.agentCode] = { ...agent };
+    return agent;
+  }
+
+  async removeAgent(agentCode) {
+    delete this.agents[agentCode];
+    return true;
+  }
+
+  // Call records
+  async insertCall(call) {
+    const record = {
+      id: this.nextId++,
+      ...call,
+      timestamp: new Date().toISOString()
+    };
+
+    this.calls.push(record);
+    return record;
+  }
+
+  async searchCallsByPhone(phoneNumber) {
+    return this.calls
+      .filter(call => String(call.phoneNumber || '').endsWith(phoneNumber))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, SEARCH_LIMIT);
+  }
+
+  // Daily talk time
+  async upsertDailyTalktime(record) {
+    const existing = this.dailyTalktime.find(
+      row => row.agentCode === record.agentCode && row.date === record.date
+    );
+
+    if (existing) {
+      existing.agentName = record.agentName;
+      existing.talktime = record.talkTime;
+      existing.totalCalls = record.totalCalls;
+      return existing;
+    }
+
+    const row = {
+      id: this.nextId++,
+      date: record.date,
+      agentCode: record.agentCode,
+      agentName: record.agentName,
+      talktime: record.talkTime,
+      totalCalls: record.totalCalls
+    };
+
+    this.dailyTalktime.push(row);
+    return row;
+  }
+
+  async getDailyTalktime(agentCode = null, startDate = null, endDate = null, limit = 25, offset = 0) {
+    const records = this.dailyTalktime
+      .filter(row => !agentCode || row.agentCode === agentCode)
+      .filter(row => {
+        if (startDate && endDate) return row.date >= startDate && row.date <= endDate;
+        if (startDate) return row.date === startDate;
+        return true;
+      })
+      .sort((a, b) => b.talktime - a.talktime);
+
+    return this.paginate(records, limit, offset);
+  }
+
+  // Idle sessions
+  async addIdleSession(session) {
+    const row = {
+      id: this.nextId++,
+      date: session.date,
+      agentCode: session.agentCode,
+      agentName: session.agentName,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      idleDuration: session.idleDurationSeconds
+    };
+
+    this.idleSessions.push(row);
+    return row;
+  }
+
+  async getIdleSessions(agentCode = null, date = null, limit = 25, offset = 0) {
+    const records = this.idleSessions
+      .filter(row => !agentCode || row.agentCode === agentCode)
+      .filter(row => !date || row.date === date)
+      .sort((a, b) => b.id - a.id);
+
+    return this.paginate(records, limit, offset);
+  }
+
+  // Lifecycle
+  async ping() {
+    return true;
+  }
+
+  async cleanup() {
+    this.agents = {};
+    this.calls = [];
+    this.dailyTalktime = [];
+    this.idleSessions = [];
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,156 @@
+const database = require('../database');
+const nocodbService = require('../services/nocodbService');
+const JsonAgentStore = require('./jsonAgentStore');
+
+// NocoDB responses arrive as { list, pageInfo }, [{ list, pageInfo }] or a bare array
+function extractList(result) {
+  if (Array.isArray(result)) {
+    return result[0] && Array.isArray(result[0].list) ? result[0].list : result;
+  }
+  if (result && Array.isArray(result.list)) return result.list;
+  if (result && Array.isArray(result.data)) return result.data;
+  return [];
+}
+
+function extractTotal(result, list) {
+  const page = Array.isArray(result) ? result[0] : result;
+  return page?.pageInfo?.totalRows ?? list.length;
+}
+
+/*
+ * Talk time and idle sessions live in NocoDB tables, agents in data/agents.json.
+ * Call records are written to NocoDB by the agent app itself, so the server only
+ * keeps its PostgreSQL copy (a no-op when DB_ENABLED=false).
+ */
+class NocoDBStorage {
+  constructor() {
+    this.name = 'nocodb';
+    this.agentStore = new JsonAgentStore();
+  }
+
+  // Agents
+  async loadAgents() {
+    return await this.agentStore.loadAgents();
+  }
+
+  async saveAgent(agent) {
+    await this.agentStore.saveAgent(agent);
+    await database.syncAgent(agent);
+    return agent;
+  }
+
+  async removeAgent(agentCode) {
+    await this.agentStore.removeAgent(agentCode);
+    // Only flag the PostgreSQL row - deleting it would cascade to the call history
+    await database.updateAgentStatus(agentCode, 'removed');
+    return true;
+  }
+
+  // Call records
+  async insertCall(call) {
+    return await database.insertCall(call);
+  }
+
+  async searchCallsByPhone(phoneNumber) {
+    const result = await nocodbService.searchCallsByPhone(phoneNumber);
+
+    // NocoDB's like can also match inside the number; keep it to a suffix match like the other backends
+    return extractList(result)
+      .filter(call => String(call.Mobile || '').endsWith(phoneNumber))
+      .map(call => ({
+        id: call.Id,
+        agentCode: call['Agent Code'],
+        agentName: call['Agent Name'] || 'Unknown',
+        phoneNumber: call.Mobile,
+        contactName: call['Contact Name'],
+        callType: call['Call Type'],
+        talkDuration: parseInt(call['Talk Duration'] || 0),
+        totalDuration: parseInt(call['Total Duration'] || 0),
+        callDate: call.Date,
+        startTime: call['Start Time'],
+        endTime: call['End Time'],
+        timestamp: call.Timestamp
+      }));
+  }
+
+  // Daily talk time
+  async upsertDailyTalktime(record) {
+    return await nocodbService.upsertDailyTalktime(
+      record.agentCode,
+      record.agentName,
+      record.date,
+      record.talkTime,
+      record.totalCalls
+    );
+  }
+
+  async getDailyTalktime(agentCode = null, startDate = null, endDate = null, limit = 25, offset = 0) {
+    const result = await nocodbService.getDailyTalktime(agentCode, startDate, endDate, limit, offset);
+    const list = extractList(result);
+
+    return {
+      records: list.map(record => ({
+        id: record.Id,
+        date: record.Date,
+        agentCode: record['Agent Code'],
+        agentName: record['Agent Name'],
+        talktime: parseInt(record.Talktime || 0),
+        totalCalls: parseInt(record['Total Calls'] || 0)
+      })),
+      totalRecords: extractTotal(result, list)
+    };
+  }
+
+  // Idle sessions
+  async addIdleSession(session) {
+    const result = await nocodbService.addIdleSession(
+      session.agentCode,
+      session.agentName,
+      nocodbService.formatTimeAmPm(new Date(session.startTime)),
+      nocodbService.formatTimeAmPm(new Date(session.endTime)),
+      session.idleDurationSeconds,
+      session.date
+    );
+
+    // Mirror only after NocoDB accepted it, so queue retries don't duplicate rows
+    await database.insertIdleSession(
+      session.agentCode,
+      session.agentName,
+      session.startTime,
+      session.endTime,
+      session.idleDurationSeconds,
+      session.date
+    );
+
+    return result;
+  }
+
+  async getIdleSessions(agentCode = null, date = null, limit = 25, offset = 0) {
+    const result = await nocodbService.getIdleSessions(agentCode, date, limit, offset);
+    const list = extractList(result);
+
+    return {
+      records: list.map(session => ({
+        id: session.Id,
+        date: session.Date,
+        agentCode: session['Agent Code'],
+        agentName: session['Agent Name'],
+        startTime: session['Start Time'],
+        endTime: session['End Time'],
+        idleDuration: parseInt(session['Idle Duration'] || 0)
+      })),
+      totalRecords: extractTotal(result, list)
+    };
+  }
+
+  // Lifecycle
+  async ping() {
+    return true; // External API - checked per request
+  }
+
+  async cleanup() {
+    await database.cleanup();
+  }
+}
+
+module.exports = NocoDBStorage;
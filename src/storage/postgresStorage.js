@@ -0,0 +1,157 @@
+const database = require('../database');
+const { formatTimeAmPm } = require('../utils/time');
+
+function toDateString(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.split('T')[0];
+
+  // pg returns DATE columns as local-midnight Date objects
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Everything lives in the PostgreSQL schema from database/init.sql
+class PostgresStorage {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  // Agents
+  async loadAgents() {
+    const rows = await database.getAgentsWithSettings();
+    const agents = {};
+
+    for (const row of rows) {
+      agents[row.agent_code] = {
+        agentCode: row.agent_code,
+        agentName: row.agent_name,
+        status: row.status,
+        lastSeen: row.last_seen ? new Date(row.last_seen).toISOString() : null,
+        reminderSettings: {
+          enabled: row.reminders_enabled !== false,
+          intervalMinutes: row.reminder_interval_minutes || 5,
+          schedule: row.reminder_schedule || null
+        },
+        team: row.team || null,
+        language: row.preferred_language || null,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+      };
+    }
+
+    console.log(`📊 Loaded ${rows.length} agents from PostgreSQL`);
+    return agents;
+  }
+
+  async saveAgent(agent) {
+    const row = await database.syncAgent(agent);
+    if (!row) {
+      throw new Error(`Failed to save agent ${agent.agentCode} to PostgreSQL`);
+    }
+    return agent;
+  }
+
+  async removeAgent(agentCode) {
+    // Only flag the row - deleting it would cascade to the call history
+    await database.updateAgentStatus(agentCode, 'removed');
+    return true;
+  }
+
+  // Call records
+  async insertCall(call) {
+    return await database.insertCall(call);
+  }
+
+  async searchCallsByPhone(phoneNumber) {
+    const rows = await database.searchCallsByPhone(phoneNumber);
+
+    return rows.map(row => ({
+      id: row.id,
+      agentCode: row.agent_code,
+      agentName: row.agent_name || 'Unknown',
+      phoneNumber: row.phone_number,
+      contactName: row.contact_name,
+      callType: row.call_type,
+      talkDuration: row.talk_duration || 0,
+      totalDuration: row.total_duration || 0,
+      callDate: toDateString(row.call_date),
+      startTime: row.start_time,
+      endTime: row.end_time,
+      timestamp: row.created_at
+    }));
+  }
+
+  // Daily talk time
+  async upsertDailyTalktime(record) {
+    return await database.upsertDailyTalktime(
+      record.agentCode,
+      record.agentName,
+      record.date,
+      record.talkTime,
+      record.totalCalls
+    );
+  }
+
+  async getDailyTalktime(agentCode = null, startDate = null, endDate = null, limit = 25, offset = 0) {
+    const { rows, total } = await database.getDailyTalktime(agentCode, startDate, endDate, limit, offset);
+
+    return {
+      records: rows.map(row => ({
+        id: row.id,
+        date: toDateString(row.talk_date),
+        agentCode: row.agent_code,
+        agentName: row.agent_name,
+        talktime: row.talk_time || 0,
+        totalCalls: row.total_calls || 0
+      })),
+      totalRecords: total
+    };
+  }
+
+  // Idle sessions
+  async addIdleSession(session) {
+    const row = await database.insertIdleSession(
+      session.agentCode,
+      session.agentName,
+      session.startTime,
+      session.endTime,
+      session.idleDurationSeconds,
+      session.date
+    );
+
+    if (!row) {
+      throw new Error(`Failed to save idle session for ${session.agentCode} to PostgreSQL`);
+    }
+    return row;
+  }
+
+  async getIdleSessions(agentCode = null, date = null, limit = 25, offset = 0) {
+    const { rows, total } = await database.getIdleSessions(agentCode, date, limit, offset);
+
+    return {
+      records: rows.map(row => ({
+        id: row.id,
+        date: toDateString(row.session_date),
+        agentCode: row.agent_code,
+        agentName: row.agent_name,
+        startTime: row.start_time ? formatTimeAmPm(row.start_time) : null,
+        endTime: row.end_time ? formatTimeAmPm(row.end_time) : null,
+        idleDuration: row.idle_duration || 0
+      })),
+      totalRecords: total
+    };
+  }
+
+  // Lifecycle
+  async ping() {
+    return await database.ping();
+  }
+
+  async cleanup() {
+    await database.cleanup();
+  }
+}
+
+module.exports = PostgresStorage;
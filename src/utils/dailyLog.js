@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getBusinessDate, addDays } = require('./time');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/*
+ * Append-only event log split into one JSON-lines file per business date
+ * (data/<name>/YYYY-MM-DD.jsonl). Appends are chained so lines never interleave.
+ */
+class DailyLog {
+  constructor(name, retentionDays) {
+    this.name = name;
+    this.dir = path.join(__dirname, '../../data', name);
+    this.retentionDays = retentionDays;
+    this.writeChain = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+    await this.prune();
+  }
+
+  getFilePath(date) {
+    return path.join(this.dir, `${date}.jsonl`);
+  }
+
+  append(date, record) {
+    this.writeChain = this.writeChain.then(async () => {
+      await fs.appendFile(this.getFilePath(date), JSON.stringify(record) + '\n', 'utf8');
+    }).catch(error => {
+      console.error(`❌ Error writing ${this.name} log:`, error.message);
+    });
+
+    return this.writeChain;
+  }
+
+  async read(date) {
+    let data;
+    try {
+      data = await fs.readFile(this.getFilePath(date), 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const records = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A torn last line from a crash mid-write - skip it
+      }
+    }
+    return records;
+  }
+
+  // Records between two dates (inclusive), oldest first
+  async readRange(startDate, endDate) {
+    const dates = (await this.listDates()).filter(date => date >= startDate && date <= endDate);
+
+    const records = [];
+    for (const date of dates) {
+      records.push(...await this.read(date));
+    }
+    return records;
+  }
+
+  // Dates with a log file, oldest first
+  async listDates() {
+    try {
+      const files = await fs.readdir(this.dir);
+      return files
+        .map(file => file.replace(/\.jsonl$/, ''))
+        .filter(date => DATE_PATTERN.test(date))
+        .sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async prune() {
+    const cutoffDate = addDays(getBusinessDate(), -this.retentionDays);
+
+    const expired = (await this.listDates()).filter(date => date < cutoffDate);
+    for (const date of expired) {
+      await fs.unlink(this.getFilePath(date));
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Pruned ${expired.length} ${this.name} log day(s) older than ${cutoffDate}`);
+    }
+  }
+
+  async flush() {
+    await this.writeChain;
+  }
+}
+
+module.exports = DailyLog;
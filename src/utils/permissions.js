@@ -0,0 +1,31 @@
+/*
+ * What a caller may do. Routes and dashboard socket events each require one.
+ *   read:analytics   live dashboard, history, metrics, reports, settings (read)
+ *   write:settings   reminder settings, schedules, templates
+ *   message:agents   manual reminders, announcements, chat
+ *   admin:agents     remove and restore agents
+ *   admin:system     dashboard users, API keys, upload queue and daily stats operations
+ */
+const PERMISSIONS = ['read:analytics', 'write:settings', 'message:agents', 'admin:agents', 'admin:system'];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  supervisor: ['read:analytics', 'write:settings', 'message:agents'],
+  viewer: ['read:analytics']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// API keys can't manage users or other keys - that stays with signed-in admins
+const API_KEY_SCOPES = PERMISSIONS.filter(permission => permission !== 'admin:system');
+
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  API_KEY_SCOPES,
+  permissionsForRole
+};
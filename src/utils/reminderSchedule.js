@@ -0,0 +1,134 @@
+const { getWallClock, addDays, zonedTimeToDate } = require('./time');
+
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+// How many adjoining windows or working days getActiveSpan joins up before it stops looking
+const MAX_JOINED_SPANS = 31;
+
+/*
+ * Reminder schedules, kept in reminderSettings.schedule and read in the business timezone:
+ *   { windows: [{ start: 'HH:MM', end: 'HH:MM' }], weekdays: [0-6, Sunday = 0], holidays: ['YYYY-MM-DD'] }
+ * A window that ends at or before its start runs past midnight and belongs to the
+ * day it started. No windows means all day, no weekdays means every day, and no
+ * schedule at all means reminders run whenever the agent is online.
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// The windows (or the whole working day) that `at` falls in, as { start, end } instants
+function spansAt(schedule, at) {
+  const { date, weekday, minutes } = getWallClock(at);
+  const weekdays = schedule.weekdays && schedule.weekdays.length > 0 ? schedule.weekdays : ALL_WEEKDAYS;
+  const holidays = schedule.holidays || [];
+  const isWorkingDay = (day, dayOfWeek) => weekdays.includes(dayOfWeek) && !holidays.includes(day);
+
+  if (!schedule.windows || schedule.windows.length === 0) {
+    return isWorkingDay(date, weekday)
+      ? [{ start: zonedTimeToDate(date), end: zonedTimeToDate(addDays(date, 1)) }]
+      : [];
+  }
+
+  return schedule.windows.flatMap(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const overnight = start >= end;
+
+    let day = null;
+    if (!overnight) {
+      if (minutes >= start && minutes < end && isWorkingDay(date, weekday)) day = date;
+    } else if (minutes >= start) {
+      if (isWorkingDay(date, weekday)) day = date;
+    } else if (minutes < end && isWorkingDay(addDays(date, -1), (weekday + 6) % 7)) {
+      // Early morning part of an overnight window started the day before
+      day = addDays(date, -1);
+    }
+
+    if (!day) return [];
+    return [{
+      start: zonedTimeToDate(day, window.start),
+      end: zonedTimeToDate(overnight ? addDays(day, 1) : day, window.end)
+    }];
+  });
+}
+
+function isScheduleActive(schedule, at = new Date()) {
+  if (!schedule) return true;
+  return spansAt(schedule, at).length > 0;
+}
+
+// The unbroken stretch of active time around `at` as { start, end }, or null when there's
+// no schedule or it is off at `at`. Back-to-back windows and consecutive all-day working
+// days count as one stretch
+function getActiveSpan(schedule, at = new Date()) {
+  if (!schedule) return null;
+
+  let spans = spansAt(schedule, new Date(at));
+  if (spans.length === 0) return null;
+
+  let start = Math.min(...spans.map(span => span.start.getTime()));
+  let end = Math.max(...spans.map(span => span.end.getTime()));
+
+  for (let i = 0; i < MAX_JOINED_SPANS; i++) {
+    spans = spansAt(schedule, new Date(start - 1));
+    if (spans.length === 0) break;
+    start = Math.min(start, ...spans.map(span => span.start.getTime()));
+  }
+  for (let i = 0; i < MAX_JOINED_SPANS; i++) {
+    spans = spansAt(schedule, new Date(end));
+    if (spans.length === 0) break;
+    end = Math.max(end, ...spans.map(span => span.end.getTime()));
+  }
+
+  return { start: new Date(start), end: new Date(end) };
+}
+
+// Idle time only counts from when the schedule came on: the later of idleSince and the
+// start of the active stretch at `at`, as an ISO string. Unchanged with no schedule
+function clampIdleSince(schedule, idleSince, at = new Date()) {
+  if (!idleSince) return idleSince;
+
+  const span = getActiveSpan(schedule, at);
+  if (!span || span.start <= new Date(idleSince)) return idleSince;
+  return span.start.toISOString();
+}
+
+// Declared shape of a schedule for src/schemas.js; null clears it
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    windows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['start', 'end'],
+        properties: {
+          start: { type: 'string', format: 'time' },
+          end: { type: 'string', format: 'time' }
+        }
+      }
+    },
+    weekdays: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+    holidays: { type: 'array', items: { type: 'string', format: 'date' } }
+  }
+};
+
+// Sorted, de-duplicated copy of a valid schedule
+function normalizeSchedule(schedule) {
+  if (!schedule) return null;
+
+  return {
+    windows: (schedule.windows || []).map(({ start, end }) => ({ start, end })),
+    weekdays: [...new Set(schedule.weekdays || [])].sort((a, b) => a - b),
+    holidays: [...new Set(schedule.holidays || [])].sort()
+  };
+}
+
+module.exports = {
+  SCHEDULE_SCHEMA,
+  isScheduleActive,
+  getActiveSpan,
+  clampIdleSince,
+  normalizeSchedule
+};
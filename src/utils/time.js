@@ -0,0 +1,150 @@
+const config = require('../../config/config');
+
+/*
+ * Business day helpers. Every date bucket (talk time archive, idle sessions,
+ * call dates, uploads) is the calendar date in config.business.timezone, with
+ * the day starting at config.business.dayStartHour instead of midnight - so a
+ * night shift that runs past midnight still lands on the day it started.
+ */
+const { timezone, dayStartHour } = config.business;
+
+// Fail fast on a bad BUSINESS_TIMEZONE instead of on the first call
+const dateTimeFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: timezone,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Wall clock fields in the business timezone
+function getZonedParts(date = new Date()) {
+  const parts = {};
+  for (const { type, value } of dateTimeFormat.formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+// Offset of the business timezone from UTC at the given instant, in ms
+function getTimezoneOffsetMs(date = new Date()) {
+  const parts = getZonedParts(date);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function toDateString(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Calendar date (YYYY-MM-DD) in the business timezone, ignoring the day-start hour
+function getCalendarDate(date = new Date()) {
+  const parts = getZonedParts(date);
+  return toDateString(parts.year, parts.month, parts.day);
+}
+
+// Business date (YYYY-MM-DD) an instant belongs to
+function getBusinessDate(date = new Date()) {
+  const shifted = new Date(new Date(date).getTime() - dayStartHour * 60 * 60 * 1000);
+  return getCalendarDate(shifted);
+}
+
+// Business timezone calendar date, weekday (0 = Sunday) and minutes past midnight
+function getWallClock(date = new Date()) {
+  const parts = getZonedParts(new Date(date));
+  return {
+    date: toDateString(parts.year, parts.month, parts.day),
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+    minutes: parts.hour * 60 + parts.minute
+  };
+}
+
+// YYYY-MM-DD plus or minus whole days
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day + days));
+  return result.toISOString().split('T')[0];
+}
+
+// The instant a business timezone wall clock time (HH:MM) occurs on a calendar date
+function zonedTimeToDate(dateString, time = '00:00') {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Second pass picks up a DST change between the guess and the answer
+  let result = asUtc - getTimezoneOffsetMs(new Date(asUtc));
+  result = asUtc - getTimezoneOffsetMs(new Date(result));
+  return new Date(result);
+}
+
+// When a business date starts and ends, as instants
+function getBusinessDayBounds(dateString) {
+  const startTime = `${String(dayStartHour).padStart(2, '0')}:00`;
+  return {
+    start: zonedTimeToDate(dateString, startTime),
+    end: zonedTimeToDate(addDays(dateString, 1), startTime)
+  };
+}
+
+// Next instant the business timezone wall clock shows HH:MM
+function getNextOccurrence(time, from = new Date()) {
+  let target = zonedTimeToDate(getCalendarDate(from), time);
+  if (target <= from) {
+    target = zonedTimeToDate(addDays(getCalendarDate(from), 1), time);
+  }
+  return target;
+}
+
+// Wall clock time as HH:MM:SS (24-hour), e.g. for PostgreSQL TIME columns
+function formatTime24(date) {
+  const parts = getZonedParts(new Date(date));
+  return [parts.hour, parts.minute, parts.second].map(value => String(value).padStart(2, '0')).join(':');
+}
+
+// Format time as h:mm am/pm, e.g. for NocoDB idle session rows
+function formatTimeAmPm(date) {
+  return new Date(date).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: timezone
+  });
+}
+
+function formatTimestamp(date) {
+  return new Date(date).toLocaleString('en-IN', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZone: timezone
+  });
+}
+
+function getBusinessDayInfo() {
+  return {
+    timezone,
+    dayStartHour,
+    date: getBusinessDate()
+  };
+}
+
+module.exports = {
+  getCalendarDate,
+  getBusinessDate,
+  getWallClock,
+  addDays,
+  zonedTimeToDate,
+  getBusinessDayBounds,
+  getNextOccurrence,
+  formatTime24,
+  formatTimeAmPm,
+  formatTimestamp,
+  getBusinessDayInfo
+};
@@ -0,0 +1,137 @@
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const FORMATS = {
+  // YYYY-MM-DD that is a real date
+  date: value => typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime()),
+  // HH:MM, 24-hour
+  time: value => typeof value === 'string' && TIME_PATTERN.test(value),
+  // Anything new Date() understands - ISO strings or epoch milliseconds
+  timestamp: value => (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime())
+};
+
+const FORMAT_DESCRIPTIONS = {
+  date: 'a YYYY-MM-DD date',
+  time: 'an HH:MM time',
+  timestamp: 'an ISO 8601 timestamp or epoch milliseconds'
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : (Number.isFinite(value) ? 'number' : 'nan');
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/*
+ * Checks a value against a declared schema - a small subset of JSON Schema:
+ *   type                       'string', 'number', 'integer', 'boolean', 'object', 'array' or a list of them
+ *   nullable                   null is allowed too
+ *   enum                       allowed values
+ *   minLength, maxLength, pattern, notBlank    strings (notBlank: not only whitespace)
+ *   format                     'date', 'time' or 'timestamp' (see FORMATS)
+ *   minimum, maximum           numbers
+ *   properties, required       objects; properties not declared are allowed and left alone
+ *   items, minItems, maxItems  arrays
+ *   check                      (value) => [messages] (whole sentences) for rules the above can't say
+ * Returns [{ path, code, message }] - empty when the value matches. path is the
+ * field's location ('callData.talkDuration', 'settings[2].agentCode'), '' for the value itself.
+ */
+function validate(schema, value, path = '') {
+  const label = path || 'payload';
+  const fail = (code, message) => [{ path, code, message: `${label} ${message}` }];
+
+  if (value === null && schema.nullable) return [];
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return fail('invalid_type', `must be ${types.map(type => (type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')}${schema.nullable ? ' or null' : ''}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail('not_allowed', `must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.notBlank && !value.trim()) return fail('required', 'must not be blank');
+    if (schema.minLength !== undefined && value.length < schema.minLength) return fail('too_short', `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail('too_long', `must be ${schema.maxLength} characters or fewer`);
+    if (schema.pattern && !schema.pattern.test(value)) return fail('invalid_format', schema.patternDescription ? `must be ${schema.patternDescription}` : 'has an invalid format');
+  }
+
+  if (schema.format && !FORMATS[schema.format](value)) {
+    return fail('invalid_format', `must be ${FORMAT_DESCRIPTIONS[schema.format]}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail('too_small', `must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail('too_big', `must be at most ${schema.maximum}`);
+  }
+
+  const errors = [];
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail('too_short', `must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail('too_long', `must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, joinPath(path, index))));
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push({ path: joinPath(path, field), code: 'required', message: `${joinPath(path, field)} is required` });
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        errors.push(...validate(fieldSchema, value[field], joinPath(path, field)));
+      }
+    }
+  }
+
+  // Cross-field rules only run once the parts they read are known to be well formed
+  if (errors.length === 0 && schema.check) {
+    for (const message of schema.check(value)) {
+      errors.push({ path, code: 'invalid', message });
+    }
+  }
+
+  return errors;
+}
+
+// The { success, error } shape every route and ack callback replies with, plus the field-level problems
+function validationFailure(errors) {
+  return {
+    success: false,
+    error: errors.map(error => error.message).join('; '),
+    code: 'VALIDATION_FAILED',
+    errors
+  };
+}
+
+// Express: 400 with the problems when req.body doesn't match the schema
+function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = validate(schema, req.body === undefined ? {} : req.body, '');
+    if (errors.length > 0) {
+      return res.status(400).json(validationFailure(errors));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  validationFailure,
+  validateBody
+};
@@ -1,17 +1,32 @@
-const database = require('./database');
+const crypto = require('crypto');
+const config = require('../config/config');
+const storage = require('./storage');
 const redis = require('./redis');
 const dailyTalkTimeManager = require('./services/dailyTalkTimeManager');
-const nocodbService = require('./services/nocodbService');
+const idleSessionQueue = require('./services/idleSessionQueue');
+const agentStateLog = require('./services/agentStateLog');
+const agentSessions = require('./services/agentSessions');
+const dashboardService = require('./services/dashboardService');
+const reminderEscalation = require('./services/reminderEscalation');
+const reminderLog = require('./services/reminderLog');
+const reminderTemplates = require('./services/reminderTemplates');
+const announcements = require('./services/announcements');
+const chat = require('./services/chat');
+const auditLog = require('./services/auditLog');
+const { getBusinessDate } = require('./utils/time');
+const { isScheduleActive, getActiveSpan, clampIdleSince } = require('./utils/reminderSchedule');
+const { hasPermission } = require('./auth');
+const { validate, validationFailure } = require('./utils/validation');
+const { socketEvents: eventSchemas } = require('./schemas');
+
+// Signed-in dashboard sockets; live dashboard data is only broadcast here
+const DASHBOARD_ROOM = 'dashboards';
 
 class WebSocketManager {
   constructor(io) {
     this.io = io;
-    this.recentReminders = new Set();
     this.connectedAgents = new Map();
     this.agentIdleStartTimes = new Map(); // Track when agents went idle
-    // NEW: Idle session queue to prevent missing data
-    this.idleSessionQueue = [];
-    this.processingQueue = false;
     this.init();
     this.startReminderSystem();
   }
@@ -20,16 +35,31 @@ class WebSocketManager {
     this.io.on('connection', (socket) => {
       console.log(`🔌 Client connected: ${socket.id}`);
 
+      if (socket.user) {
+        socket.join(DASHBOARD_ROOM);
+        console.log(`🔐 Dashboard user connected: ${socket.user.username} (${socket.user.role})`);
+      }
+
+      if (socket.device) {
+        console.log(`📲 Paired device connected: ${socket.device.deviceName} for ${socket.device.agentCode}`);
+      }
+
       // Handle agent authentication/identification
       socket.on('agent_online', async (data) => {
+        if (!this.validatePayload(socket, 'agent_online', data)) return;
+        if (!this.authorizeAgent(socket, data)) return;
         await this.handleAgentOnline(socket, data);
       });
 
       socket.on('agent_offline', async (data) => {
+        if (!this.validatePayload(socket, 'agent_offline', data)) return;
+        if (!this.authorizeAgent(socket, data)) return;
         await this.handleAgentOffline(socket, data);
       });
 
       socket.on('call_started', async (data) => {
+  if (!this.validatePayload(socket, 'call_started', data)) return;
+  if (!this.authorizeAgent(socket, data)) return;
   console.log(`📞 Raw call_started data received:`, JSON.stringify(data, null, 2));
   await this.handleCallStarted(socket, data);
 
@@ -38,30 +68,99 @@ class WebSocketManager {
 });
 
       socket.on('call_ended', async (data) => {
+        if (!this.validatePayload(socket, 'call_ended', data)) return;
+        if (!this.authorizeAgent(socket, data)) return;
         await this.handleCallEnded(socket, data);
       });
 
-      socket.on('disconnect', () => {
-        this.handleDisconnect(socket);
+      socket.on('break_started', async (data) => {
+        if (!this.validatePayload(socket, 'break_started', data)) return;
+        if (!this.authorizeAgent(socket, data)) return;
+        await this.handleBreakStarted(socket, data);
+      });
+
+      socket.on('break_ended', async (data) => {
+        if (!this.validatePayload(socket, 'break_ended', data)) return;
+        if (!this.authorizeAgent(socket, data)) return;
+        await this.handleBreakEnded(socket, data);
+      });
+
+      socket.on('disconnect', (reason) => {
+        this.handleDisconnect(socket, reason);
       });
 
       socket.on('ping', () => {
         socket.emit('pong');
       });
 
+      // Supervisor-agent chat; the same events serve both sides (agents are the sockets that sent agent_online)
+      socket.on('chat_join', async () => {
+        await this.handleChatJoin(socket);
+      });
+
+      socket.on('chat_send', async (data, callback) => {
+        if (!this.validatePayload(socket, 'chat_send', data, callback)) return;
+        await this.handleChatSend(socket, data, callback);
+      });
+
+      socket.on('chat_history', (data, callback) => {
+        if (!this.validatePayload(socket, 'chat_history', data, callback)) return;
+        this.handleChatHistory(socket, data, callback);
+      });
+
+      socket.on('chat_read', async (data) => {
+        if (!this.validatePayload(socket, 'chat_read', data)) return;
+        await this.handleChatRead(socket, data);
+      });
+
+      socket.on('chat_typing', (data) => {
+        if (!this.validatePayload(socket, 'chat_typing', data)) return;
+        this.handleChatTyping(socket, data);
+      });
+
+      // Agent app asks for its reminder settings and config (acknowledgment callback, or an agent_profile event)
+      socket.on('get_agent_profile', async (data, callback) => {
+        if (!this.validatePayload(socket, 'get_agent_profile', data, callback)) return;
+        await this.handleGetAgentProfile(socket, data, callback);
+      });
+
+      // Announcement receipts from the agent app
+      socket.on('announcement_delivered', async (data) => {
+        if (!this.validatePayload(socket, 'announcement_delivered', data)) return;
+        if (!this.authorizeAgent(socket, data)) return;
+        await this.handleAnnouncementReceipt(socket, data, 'deliveredAt');
+      });
+
+      socket.on('announcement_read', async (data) => {
+        if (!this.validatePayload(socket, 'announcement_read', data)) return;
+        if (!this.authorizeAgent(socket, data)) return;
+        await this.handleAnnouncementReceipt(socket, data, 'readAt');
+      });
+
       socket.on('reminder_acknowledged', async (data) => {
+  if (!this.validatePayload(socket, 'reminder_acknowledged', data)) return;
+  if (!this.authorizeAgent(socket, data)) return;
   console.log(`✅ Reminder acknowledgment received:`, JSON.stringify(data, null, 2));
   await this.handleReminderAcknowledgment(socket, data);
 });
 
 // Manual notification trigger from dashboard
 socket.on('send_manual_reminder', async (data) => {
+  if (!this.authorizeSocket(socket, 'message:agents')) return;
+  if (!this.validatePayload(socket, 'send_manual_reminder', data)) return;
+
   try {
     const { agentCode, agentName } = data;
     
     console.log(`📱 Manual reminder trigger request for ${agentCode} from dashboard`);
     
     const success = await this.sendManualReminderToAgent(agentCode, agentName);
+    await auditLog.record(socket.user, socket.handshake.address, {
+      action: 'reminder.manual',
+      targetType: 'agent',
+      targetId: agentCode,
+      after: { delivered: success }
+    });
     
     // Send response back to dashboard
     socket.emit('manual_reminder_response', {
@@ -85,31 +184,57 @@ socket.on('send_manual_reminder', async (data) => {
   }
 
   async handleAgentOnline(socket, data) {
-  try {
-    const { agentCode, agentName } = data;
+    try {
+      const { agentCode, agentName } = data;
     
-    if (!agentCode || !agentName) {
-      socket.emit('error', { message: 'Agent code and name required' });
-      return;
-    }
+      if (!agentCode || !agentName) {
+        socket.emit('error', { message: 'Agent code and name required' });
+        return;
+      }
 
-    console.log(`👤 Agent online: ${agentCode} (${agentName})`);
+      console.log(`👤 Agent online: ${agentCode} (${agentName})`);
 
-    // Store socket mapping
-    this.connectedAgents.set(agentCode, socket.id);
-    socket.agentCode = agentCode;
-    socket.agentName = agentName;
+      // Store socket mapping
+      this.connectedAgents.set(agentCode, socket.id);
+      socket.agentCode = agentCode;
+      socket.agentName = agentName;
+
+      // HYBRID: Update JSON (which auto-syncs to PostgreSQL)
+      const agentManager = require('./services/agentManager');
+      await agentManager.upsertAgent(agentCode, agentName, 'online');
+      await agentStateLog.recordTransition(agentCode, agentName, 'online', 'agent_online');
+      await agentSessions.startSession(agentCode, agentName, socket.id);
+
+      // Idle time starts at login; a repeated agent_online while idle keeps the running stretch
+      const previousStatus = await redis.getAgentStatus(agentCode);
+      const idleFields = {};
+      if (!previousStatus || previousStatus.status !== 'online' || !previousStatus.idleSince) {
+        const loginTime = new Date();
+        idleFields.idleSince = loginTime.toISOString();
+        // "No call yet" only when there's been no call this business day - not on a reconnect after calls
+        const callsToday = agentStateLog.hasEventToday(agentCode, ['call_started', 'call_ended']) ||
+          dailyTalkTimeManager.getAgentTodayTalkTime(agentCode).totalTalkTime > 0 ||
+          (previousStatus?.lastCallEnd && getBusinessDate(new Date(previousStatus.lastCallEnd)) === getBusinessDate(loginTime));
+        idleFields.awaitingFirstCall = callsToday ? '' : 'true';
+        this.agentIdleStartTimes.set(agentCode, loginTime);
+      }
 
-    // HYBRID: Update JSON (which auto-syncs to PostgreSQL)
-    const agentManager = require('./services/agentManager');
-    await agentManager.upsertAgent(agentCode, agentName, 'online');
       // Update Redis
       await redis.setAgentStatus(agentCode, 'online', {
         agentName,
-        socketId: socket.id
+        socketId: socket.id,
+        ...idleFields
       });
 
-      socket.emit('agent_status', { status: 'connected', agentCode });
+      socket.emit('agent_status', {
+        status: 'connected',
+        agentCode,
+        breakReasons: config.breaks.reasonCodes
+      });
+
+      // Announcements and chat messages sent while the agent was offline
+      await this.deliverPendingAnnouncements(agentCode);
+      await this.deliverPendingChat(agentCode);
       
       // Broadcast updated dashboard data
       await this.broadcastDashboardUpdate();
@@ -130,6 +255,8 @@ socket.on('send_manual_reminder', async (data) => {
       // HYBRID: Update JSON (which auto-syncs to PostgreSQL)
       const agentManager = require('./services/agentManager');
       await agentManager.updateAgentStatus(agentCode, 'offline');
+      await agentStateLog.recordTransition(agentCode, socket.agentName, 'offline', 'agent_offline');
+      await agentSessions.endSession(agentCode, 'logout');
         // Update Redis
         await redis.setAgentStatus(agentCode, 'offline');
 
@@ -154,8 +281,8 @@ socket.on('send_manual_reminder', async (data) => {
       return;
     }
 
-// 🎯 ENHANCED: Record idle session with NocoDB
-await this.recordIdleSessionToNocoDB(agentCode, agentName);
+// 🎯 ENHANCED: Record idle session to storage
+await this.recordIdleSession(agentCode, agentName);
 
     // Enhanced logging for incoming vs outgoing
     if (callType === 'incoming' && phoneNumber === 'Incoming Call') {
@@ -169,6 +296,8 @@ await this.recordIdleSessionToNocoDB(agentCode, agentName);
     // Update agent status to on_call
     const agentManager = require('./services/agentManager');
     await agentManager.updateAgentStatus(agentCode, 'on_call');
+    await agentStateLog.recordTransition(agentCode, agentName, 'on_call', 'call_started');
+    agentSessions.touch(agentCode);
 
     // Update Redis with call data
     await redis.setCallStart(agentCode, {
@@ -213,15 +342,16 @@ await this.recordIdleSessionToNocoDB(agentCode, agentName);
       console.log(`📊 Updated daily talk time: ${agentCode} = ${todayTotalTalkTime}s`);
     }
 
-    // Insert call into PostgreSQL (for historical storage)
-    await database.insertCall({
+    // Store call record (for historical storage)
+    await storage.insertCall({
       agentCode,
+      agentName: callData.agentName || socket.agentName,
       phoneNumber: callData.phoneNumber,
       contactName: callData.contactName,
       callType: callData.callType,
       talkDuration: callData.talkDuration,
       totalDuration: callData.totalDuration,
-      callDate: callData.callDate || new Date().toISOString().split('T')[0],
+      callDate: callData.callDate || getBusinessDate(),
       startTime: callData.startTime,
       endTime: callData.endTime
     });
@@ -229,6 +359,8 @@ await this.recordIdleSessionToNocoDB(agentCode, agentName);
     // Update agent status back to online
     const agentManager = require('./services/agentManager');
     await agentManager.updateAgentStatus(agentCode, 'online');
+    await agentStateLog.recordTransition(agentCode, callData.agentName || socket.agentName, 'online', 'call_ended');
+    agentSessions.touch(agentCode);
 
     // Clear active call and set last call end time for idle tracking
     const lastCallEndTime = new Date().toISOString();
@@ -236,6 +368,8 @@ await this.recordIdleSessionToNocoDB(agentCode, agentName);
     await redis.setAgentStatus(agentCode, 'online', {
       agentName: socket.agentName || callData.agentName,
       lastCallEnd: lastCallEndTime,
+      idleSince: lastCallEndTime,
+      awaitingFirstCall: '',
       currentCall: null  // Clear current call info
     });
     
@@ -254,6 +388,111 @@ await this.recordIdleSessionToNocoDB(agentCode, agentName);
   }
 }
 
+  // Agent app puts the agent on break (lunch, training, ...) - not idle, no reminders
+  async handleBreakStarted(socket, data = {}) {
+    try {
+      const agentCode = data.agentCode || socket.agentCode;
+      const { reasonCode } = data;
+
+      if (!agentCode) {
+        socket.emit('error', { message: 'Agent code required' });
+        return;
+      }
+
+      const reason = config.breaks.reasonCodes.find(entry => entry.code === reasonCode);
+      if (!reason) {
+        socket.emit('error', {
+          message: `Unknown break reason "${reasonCode}"`,
+          validReasons: config.breaks.reasonCodes.map(entry => entry.code)
+        });
+        return;
+      }
+
+      const activeCall = await redis.getActiveCall(agentCode);
+      if (activeCall) {
+        socket.emit('error', { message: 'Cannot start a break during a call' });
+        return;
+      }
+
+      const agentName = data.agentName || socket.agentName;
+      const breakStartedAt = new Date().toISOString();
+
+      // Close the idle period at the start of the break
+      await this.recordIdleSession(agentCode, agentName);
+
+      const agentManager = require('./services/agentManager');
+      await agentManager.updateAgentStatus(agentCode, 'on_break');
+      await agentStateLog.recordTransition(agentCode, agentName, 'on_break', 'break_started', reason.code);
+      agentSessions.touch(agentCode);
+
+      await redis.setAgentStatus(agentCode, 'on_break', {
+        agentName: agentName || 'Unknown',
+        breakReason: reason.code,
+        breakStartedAt
+      });
+
+      console.log(`☕ Break started: ${agentCode} (${reason.label})`);
+
+      socket.emit('break_status', {
+        onBreak: true,
+        reasonCode: reason.code,
+        reasonLabel: reason.label,
+        since: breakStartedAt
+      });
+
+      await this.broadcastDashboardUpdate();
+
+    } catch (error) {
+      console.error('❌ Error handling break started:', error.message);
+      socket.emit('error', { message: 'Failed to start break' });
+    }
+  }
+
+  async handleBreakEnded(socket, data = {}) {
+    try {
+      const agentCode = data.agentCode || socket.agentCode;
+
+      if (!agentCode) {
+        socket.emit('error', { message: 'Agent code required' });
+        return;
+      }
+
+      const agentStatus = await redis.getAgentStatus(agentCode);
+      if (!agentStatus || agentStatus.status !== 'on_break') {
+        socket.emit('break_status', { onBreak: false });
+        return;
+      }
+
+      const agentName = data.agentName || socket.agentName || agentStatus.agentName;
+      const breakEndedAt = new Date();
+
+      const agentManager = require('./services/agentManager');
+      await agentManager.updateAgentStatus(agentCode, 'online');
+      await agentStateLog.recordTransition(agentCode, agentName, 'online', 'break_ended');
+      agentSessions.touch(agentCode);
+
+      // Idle time (and reminders) count from the end of the break
+      await redis.setAgentStatus(agentCode, 'online', {
+        agentName: agentName || 'Unknown',
+        idleSince: breakEndedAt.toISOString(),
+        breakReason: '',
+        breakStartedAt: ''
+      });
+      this.agentIdleStartTimes.set(agentCode, breakEndedAt);
+
+      const minutesOnBreak = Math.round((breakEndedAt - new Date(agentStatus.breakStartedAt)) / 60000);
+      console.log(`☕ Break ended: ${agentCode} after ${minutesOnBreak} minutes`);
+
+      socket.emit('break_status', { onBreak: false });
+
+      await this.broadcastDashboardUpdate();
+
+    } catch (error) {
+      console.error('❌ Error handling break ended:', error.message);
+      socket.emit('error', { message: 'Failed to end break' });
+    }
+  }
+
 // 🎯 DEBUG: Method to check current idle tracking status
 getIdleTrackingStatus() {
   console.log('🔍 Current idle tracking status:');
@@ -266,11 +505,18 @@ getIdleTrackingStatus() {
 }
 
   // NEW: Clean up timers on disconnect
-  handleDisconnect(socket) {
-    console.log(`🔌 Client disconnected: ${socket.id}`);
+  handleDisconnect(socket, reason) {
+    console.log(`🔌 Client disconnected: ${socket.id} (${reason})`);
     
     if (socket.agentCode) {
       console.log(`👤 Agent disconnected: ${socket.agentCode}`);
+      agentSessions.endSession(socket.agentCode, reason || 'disconnect', null, socket.id).catch(console.error);
+
+      // An old socket closing after the agent reconnected (or logged out) leaves the live state alone
+      if (this.connectedAgents.get(socket.agentCode) !== socket.id) {
+        console.log(`🔌 Stale socket for ${socket.agentCode} - agent state unchanged`);
+        return;
+      }
       
       // Stop any active call timer for this agent
       this.stopCallTimer(socket.agentCode);
@@ -279,6 +525,7 @@ getIdleTrackingStatus() {
       // HYBRID: Update agent to offline (JSON + auto-sync to PostgreSQL)
 const agentManager = require('./services/agentManager');
 agentManager.updateAgentStatus(socket.agentCode, 'offline').catch(console.error);
+      agentStateLog.recordTransition(socket.agentCode, socket.agentName, 'offline', 'disconnect').catch(console.error);
       redis.setAgentStatus(socket.agentCode, 'offline').catch(console.error);
       
       // Remove from connected agents
@@ -292,7 +539,7 @@ agentManager.updateAgentStatus(socket.agentCode, 'offline').catch(console.error)
   async broadcastDashboardUpdate() {
     try {
       const dashboardData = await this.getDashboardData();
-      this.io.emit('dashboard_update', dashboardData);
+      this.io.to(DASHBOARD_ROOM).emit('dashboard_update', dashboardData);
     } catch (error) {
       console.error('❌ Error broadcasting dashboard update:', error.message);
     }
@@ -300,67 +547,7 @@ agentManager.updateAgentStatus(socket.agentCode, 'offline').catch(console.error)
 
   async getDashboardData() {
   try {
-    // 🎯 NEW: Get today's talk time from JSON storage
-    const todayTalkTime = dailyTalkTimeManager.getTodayTalkTime();
-    console.log(`📊 Dashboard: Talk time agents: ${todayTalkTime.length}`);
-    
-    // Get all agents status from Redis
-    const agentsStatus = await redis.getAllAgentsStatus();
-    const activeCalls = await redis.getAllActiveCalls();
-    console.log(`📊 Dashboard: Active calls: ${Object.keys(activeCalls).length}`);
-    console.log(`📊 Dashboard: Active calls data:`, Object.keys(activeCalls));
-    console.log(`📊 Dashboard: Agent statuses:`, Object.keys(agentsStatus).map(code => 
-      `${code}:${agentsStatus[code].status}${agentsStatus[code].lastCallEnd ? ':hasLastCall' : ':noLastCall'}`
-    ));
-
-    // Format agents on call (simplified, no timers)
-    const agentsOnCall = Object.entries(activeCalls).map(([agentCode, callData]) => ({
-      agentCode,
-      agentName: callData.agentName || 'Unknown',
-      phoneNumber: callData.phoneNumber,
-      callStartTime: callData.startTime,
-      callType: callData.callType
-    }));
-
-    // Calculate idle times for agents not on call
-    const agentsIdleTime = [];
-    const now = new Date();
-
-    for (const agent of todayTalkTime) {
-      // Skip if agent is currently on call
-      if (activeCalls[agent.agentCode]) {
-        console.log(`📊 ${agent.agentCode} is on call, skipping idle calculation`);
-        continue;
-      }
-
-      const agentStatus = agentsStatus[agent.agentCode];
-      if (agentStatus && agentStatus.status === 'online' && agentStatus.lastCallEnd) {
-        const lastCallEnd = new Date(agentStatus.lastCallEnd);
-        const minutesSinceLastCall = Math.floor((now - lastCallEnd) / (1000 * 60));
-        
-        console.log(`📊 ${agent.agentCode}: Last call ${minutesSinceLastCall} minutes ago`);
-        
-        if (minutesSinceLastCall >= 0) {
-          agentsIdleTime.push({
-            agentCode: agent.agentCode,
-            agentName: agent.agentName,
-            minutesSinceLastCall,
-            lastCallEnd: agentStatus.lastCallEnd
-          });
-        }
-      } else {
-        console.log(`📊 ${agent.agentCode}: No idle data available (status: ${agentStatus?.status}, lastCallEnd: ${agentStatus?.lastCallEnd})`);
-      }
-    }
-
-    console.log(`📊 Dashboard: Sending ${agentsIdleTime.length} idle agents`);
-
-    return {
-      agentsTalkTime: todayTalkTime.sort((a, b) => a.agentCode.localeCompare(b.agentCode)),
-      agentsOnCall,
-      agentsIdleTime: agentsIdleTime.sort((a, b) => b.minutesSinceLastCall - a.minutesSinceLastCall),
-      lastUpdated: new Date().toISOString()
-    };
+    return await dashboardService.getLiveData();
 
   } catch (error) {
     console.error('❌ Error getting dashboard data:', error.message);
@@ -368,35 +555,54 @@ agentManager.updateAgentStatus(socket.agentCode, 'offline').catch(console.error)
       agentsTalkTime: [],
       agentsOnCall: [],
       agentsIdleTime: [],
+      agentsOnBreak: [],
+      agentMetrics: [],
       lastUpdated: new Date().toISOString(),
       error: 'Failed to load dashboard data'
     };
   }
 }
 
-// 🎯 ENHANCED: Record idle session to NocoDB when agent goes from idle to on call
-async recordIdleSessionToNocoDB(agentCode, agentName) {
+// 🎯 ENHANCED: Record idle session to storage when agent goes from idle to on call
+async recordIdleSession(agentCode, agentName) {
+  this.endIdleEscalation(agentCode);
+
   try {
-    const idleStartTime = this.agentIdleStartTimes.get(agentCode);
+    let idleStartTime = this.agentIdleStartTimes.get(agentCode);
     
     if (idleStartTime) {
-      const idleEndTime = new Date();
-      const idleDurationSeconds = Math.floor((idleEndTime - idleStartTime) / 1000);
+      let idleEndTime = new Date();
       
+      // With schedule idle tracking on, only the part inside the agent's schedule is idle time:
+      // a stretch is cut to the window it ended in (or started in), and dropped if it touches neither
+      const schedule = require('./services/agentManager').getAgent(agentCode)?.reminderSettings?.schedule;
+      let outsideSchedule = false;
+      if (config.reminders.scheduleIdleTracking && schedule) {
+        const spanAtEnd = getActiveSpan(schedule, idleEndTime);
+        const spanAtStart = spanAtEnd ? null : getActiveSpan(schedule, idleStartTime);
+        if (spanAtEnd) {
+          if (spanAtEnd.start > idleStartTime) idleStartTime = spanAtEnd.start;
+        } else if (spanAtStart) {
+          idleEndTime = spanAtStart.end;
+        } else {
+          outsideSchedule = true;
+        }
+      }
+      const idleDurationSeconds = Math.floor((idleEndTime - idleStartTime) / 1000);
+
       // Only record if idle for more than 30 seconds (avoid quick call switches)
-      if (idleDurationSeconds > 30) {
-        const startTimeFormatted = nocodbService.formatTimeAmPm(idleStartTime);
-        const endTimeFormatted = nocodbService.formatTimeAmPm(idleEndTime);
-        const dateFormatted = nocodbService.formatDate(idleStartTime);
+      if (idleDurationSeconds > 30 && !outsideSchedule) {
+        // Idle time belongs to the business day it started in
+        const dateFormatted = getBusinessDate(idleStartTime);
         
         console.log(`⏱️ Recording idle session: ${agentCode}, Duration: ${idleDurationSeconds}s, Date: ${dateFormatted}`);
         
-        // Add to queue for processing
-        await this.addIdleSessionToQueue({
+        // Persisted upload queue - survives restarts and retries with backoff
+        await idleSessionQueue.enqueue({
           agentCode,
           agentName: agentName || 'Unknown',
-          startTime: startTimeFormatted,
-          endTime: endTimeFormatted,
+          startTime: idleStartTime.toISOString(),
+          endTime: idleEndTime.toISOString(),
           idleDurationSeconds,
           date: dateFormatted
         });
@@ -408,63 +614,27 @@ async recordIdleSessionToNocoDB(agentCode, agentName) {
       this.agentIdleStartTimes.delete(agentCode);
     }
   } catch (error) {
-    console.error('❌ Error recording idle session to NocoDB:', error.message);
+    console.error('❌ Error recording idle session:', error.message);
   }
 }
 
 
 
-// 🎯 NEW: Queue system for idle sessions
-async addIdleSessionToQueue(sessionData) {
-  this.idleSessionQueue.push(sessionData);
-  console.log(`📝 Added to idle queue: ${sessionData.agentCode}, Queue size: ${this.idleSessionQueue.length}`);
-  
-  if (!this.processingQueue) {
-    await this.processIdleSessionQueue();
+// Idle stretch is over - clear any supervisor alerts it raised
+endIdleEscalation(agentCode) {
+  if (reminderEscalation.endEpisode(agentCode)) {
+    this.io.to(DASHBOARD_ROOM).emit('supervisor_alert_resolved', {
+      agentCode,
+      timestamp: new Date().toISOString()
+    });
   }
 }
 
-async processIdleSessionQueue() {
-  if (this.processingQueue || this.idleSessionQueue.length === 0) {
-    return;
-  }
-  
-  this.processingQueue = true;
-  
-  while (this.idleSessionQueue.length > 0) {
-    const sessionData = this.idleSessionQueue.shift();
-    
-    try {
-      await nocodbService.addIdleSession(
-        sessionData.agentCode,
-        sessionData.agentName,
-        sessionData.startTime,
-        sessionData.endTime,
-        sessionData.idleDurationSeconds,
-        sessionData.date
-      );
-      
-      console.log(`✅ Idle session saved to NocoDB: ${sessionData.agentCode} - ${sessionData.idleDurationSeconds}s`);
-      
-      // Small delay to prevent rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-    } catch (error) {
-      console.error(`❌ Failed to save idle session for ${sessionData.agentCode}:`, error.message);
-      
-      // Re-queue failed item (try again later)
-      this.idleSessionQueue.push(sessionData);
-      break; // Stop processing to prevent infinite loop
-    }
-  }
-  
-  this.processingQueue = false;
-  
-  // If queue still has items, try again in 5 seconds
-  if (this.idleSessionQueue.length > 0) {
-    setTimeout(() => {
-      this.processIdleSessionQueue();
-    }, 5000);
+async raiseSupervisorAlerts(agentCode, agentName, idleSince, minutesIdle) {
+  const escalations = await reminderEscalation.evaluate(agentCode, agentName, idleSince, minutesIdle);
+
+  for (const escalation of escalations) {
+    this.io.to(DASHBOARD_ROOM).emit('supervisor_alert', { ...escalation, active: true });
   }
 }
 
@@ -483,6 +653,7 @@ async checkAndSendReminders() {
     const activeCalls = await redis.getAllActiveCalls();
     
     const now = new Date();
+    const idleAgents = new Set();
 
     for (const reminder of enabledReminders) {
       const { agentCode, agentName, reminderSettings } = reminder;
@@ -493,21 +664,46 @@ async checkAndSendReminders() {
         continue;
       }
 
-      // Skip if agent is not online
+      // Agents connected to another server instance are handled there
+      if (!this.connectedAgents.has(agentCode)) {
+        continue;
+      }
+
+      // Skip if agent is not online (offline or on break)
       const agentStatus = agentsStatus[agentCode];
       if (!agentStatus || agentStatus.status !== 'online') {
         continue;
       }
 
-      // Check if agent has been idle long enough
-      if (agentStatus.lastCallEnd) {
-        const lastCallEnd = new Date(agentStatus.lastCallEnd);
-        const minutesIdle = Math.floor((now - lastCallEnd) / (1000 * 60));
+      // Quiet hours, off days and holidays - no reminders and no escalation
+      if (!isScheduleActive(reminderSettings.schedule, now)) {
+        continue;
+      }
+
+      // Idle since the last call, the end of a break, or login if there's been no call yet -
+      // but no earlier than the schedule window opened, so quiet hours don't count towards it
+      const idleSince = clampIdleSince(reminderSettings.schedule, agentStatus.idleSince || agentStatus.lastCallEnd, now);
+      const awaitingFirstCall = agentStatus.awaitingFirstCall === 'true';
+      if (idleSince) {
+        const minutesIdle = Math.floor((now - new Date(idleSince)) / (1000 * 60));
+        idleAgents.add(agentCode);
         
-        // Check if we should send a reminder (at multiples of interval)
-        if (this.shouldSendReminder(agentCode, minutesIdle, reminderIntervalMinutes)) {
-          await this.sendReminderToAgent(agentCode, agentName, minutesIdle, reminderIntervalMinutes);
+        // The due time lives in Redis; claiming it is atomic, so a reminder goes out once
+        if (await redis.claimDueReminder(agentCode, idleSince, reminderIntervalMinutes, now)) {
+          const sent = await this.sendReminderToAgent(agentCode, agentName, minutesIdle, reminderIntervalMinutes, awaitingFirstCall);
+          if (sent) {
+            reminderEscalation.recordReminderSent(agentCode, idleSince);
+          }
         }
+
+        await this.raiseSupervisorAlerts(agentCode, agentName, idleSince, minutesIdle);
+      }
+    }
+
+    // Agents that went offline (or had reminders turned off) since the last check
+    for (const agentCode of reminderEscalation.getActiveAgentCodes()) {
+      if (!idleAgents.has(agentCode)) {
+        this.endIdleEscalation(agentCode);
       }
     }
 
@@ -516,44 +712,33 @@ async checkAndSendReminders() {
   }
 }
 
-shouldSendReminder(agentCode, minutesIdle, intervalMinutes) {
-  // Only send reminder at exact multiples of the interval
-  if (minutesIdle < intervalMinutes || minutesIdle % intervalMinutes !== 0) {
-    return false;
-  }
-
-  // Check if we already sent a reminder for this exact minute
-  const lastReminderKey = `${agentCode}-${minutesIdle}`;
-  if (this.recentReminders && this.recentReminders.has(lastReminderKey)) {
-    return false;
-  }
-
-  // Mark this reminder as sent (prevent duplicates)
-  if (!this.recentReminders) {
-    this.recentReminders = new Set();
-  }
-  this.recentReminders.add(lastReminderKey);
-
-  // Clean up old entries (keep only last 100)
-  if (this.recentReminders.size > 100) {
-    const oldestEntries = Array.from(this.recentReminders).slice(0, 20);
-    oldestEntries.forEach(entry => this.recentReminders.delete(entry));
-  }
-
-  return true;
+// Reminder text from the agent's (or team's) template in their preferred language
+renderReminderMessage(kind, agentCode, agentName, minutesIdle) {
+  const agentManager = require('./services/agentManager');
+  const agent = agentManager.getAgent(agentCode) || { agentCode };
+  return reminderTemplates.render(kind, { ...agent, agentName: agentName || agent.agentName }, { minutesIdle });
 }
 
-async sendReminderToAgent(agentCode, agentName, minutesIdle, intervalMinutes) {
+async sendReminderToAgent(agentCode, agentName, minutesIdle, intervalMinutes, awaitingFirstCall = false) {
+  const reminderId = crypto.randomUUID();
+  const delivery = { type: 'automatic', reminderId, agentCode, agentName, minutesIdle, intervalMinutes };
+
   try {
     const socketId = this.connectedAgents.get(agentCode);
     
     if (socketId) {
       // Send to connected agent via WebSocket
+      const { message, language } = this.renderReminderMessage(
+        awaitingFirstCall ? 'firstCall' : 'automatic', agentCode, agentName, minutesIdle
+      );
       const reminderData = {
+        reminderId,
         action: 'show_reminder',
-        message: `It's been ${minutesIdle} minutes since your last call. Time to make another call!`,
+        message,
+        language,
         idleTime: `${minutesIdle} minutes`,
         intervalMinutes: intervalMinutes,
+        awaitingFirstCall,
         agentCode: agentCode,
         agentName: agentName,
         timestamp: new Date().toISOString()
@@ -565,15 +750,18 @@ async sendReminderToAgent(agentCode, agentName, minutesIdle, intervalMinutes) {
       
       // Store reminder in Redis for tracking
       await redis.setLastReminderSent(agentCode, new Date().toISOString());
+      await reminderLog.recordSent({ ...delivery, deliveryStatus: 'sent' });
       
       return true;
     } else {
       console.log(`⚠️ Agent ${agentCode} not connected, reminder not sent`);
+      await reminderLog.recordSent({ ...delivery, deliveryStatus: 'not_connected' });
       return false;
     }
 
   } catch (error) {
     console.error(`❌ Error sending reminder to ${agentCode}:`, error.message);
+    await reminderLog.recordSent({ ...delivery, deliveryStatus: 'failed' });
     return false;
   }
 }
@@ -584,14 +772,24 @@ async sendReminderToAgent(agentCode, agentName, minutesIdle, intervalMinutes) {
 
 // ADD this entire method after the existing sendReminderToAgent method
 async sendManualReminderToAgent(agentCode, agentName) {
+  const reminderId = crypto.randomUUID();
+  const delivery = { type: 'manual', reminderId, agentCode, agentName };
+
   try {
     const socketId = this.connectedAgents.get(agentCode);
     
     if (socketId) {
       // Send manual reminder to connected agent via WebSocket
+      const agentStatus = await redis.getAgentStatus(agentCode);
+      const idleSince = agentStatus && (agentStatus.idleSince || agentStatus.lastCallEnd);
+      const minutesIdle = idleSince ? Math.max(0, Math.floor((Date.now() - new Date(idleSince)) / 60000)) : 0;
+      const { message, language } = this.renderReminderMessage('manual', agentCode, agentName, minutesIdle);
+
       const reminderData = {
+        reminderId,
         action: 'show_reminder',
-        message: `Manual reminder: Time to make another call!`,
+        message,
+        language,
         idleTime: 'Manual trigger',
         intervalMinutes: 0, // 0 indicates manual trigger
         agentCode: agentCode,
@@ -605,15 +803,18 @@ async sendManualReminderToAgent(agentCode, agentName) {
       console.log(`📱 Manual reminder sent to ${agentCode} (${agentName})`);
       
       // Don't store in Redis for manual reminders (they don't affect automatic timers)
+      await reminderLog.recordSent({ ...delivery, deliveryStatus: 'sent' });
       
       return true;
     } else {
       console.log(`⚠️ Agent ${agentCode} not connected, manual reminder not sent`);
+      await reminderLog.recordSent({ ...delivery, deliveryStatus: 'not_connected' });
       return false;
     }
 
   } catch (error) {
     console.error(`❌ Error sending manual reminder to ${agentCode}:`, error.message);
+    await reminderLog.recordSent({ ...delivery, deliveryStatus: 'failed' });
     return false;
   }
 }
@@ -621,16 +822,28 @@ async sendManualReminderToAgent(agentCode, agentName) {
 // Handle reminder acknowledgments from Android app
 async handleReminderAcknowledgment(socket, data) {
   try {
-    const { agentCode, timestamp, action } = data;
+    const { timestamp, action, reminderId } = data;
+    const agentCode = data.agentCode || socket.agentCode;
+    if (!agentCode) {
+      socket.emit('error', { message: 'Agent code required' });
+      return;
+    }
     
     console.log(`✅ Reminder acknowledged by ${agentCode} at ${timestamp}`);
     
-    // Log acknowledgment (could store in database for analytics later)
-    // For now, just log it
+    // Acknowledging resets the unacknowledged count the escalation ladder watches
+    reminderEscalation.recordAcknowledgment(agentCode);
+    const ackTime = new Date(timestamp);
+    const acknowledgment = await reminderLog.recordAcknowledged(agentCode, {
+      reminderId,
+      acknowledgedAt: timestamp && !isNaN(ackTime) ? ackTime.toISOString() : null,
+      action: action || null
+    });
     
     // Optional: Send confirmation back to app
     socket.emit('reminder_ack_received', {
       status: 'acknowledged',
+      reminderId: acknowledgment ? acknowledgment.reminderId : null,
       timestamp: new Date().toISOString()
     });
 
@@ -654,12 +867,13 @@ async handleReminderAcknowledgment(socket, data) {
   }
 
   startReminderSystem() {
-  // Check for reminders every minute
+  // Reminders go out at their due time in Redis, so a check that runs late only delays one
+  const checkSeconds = config.reminders.checkIntervalSeconds;
   this.reminderInterval = setInterval(async () => {
     await this.checkAndSendReminders();
-  }, 60000); // 60 seconds
+  }, checkSeconds * 1000);
 
-  console.log('✅ Reminder system started - checking every minute');
+  console.log(`✅ Reminder system started - checking every ${checkSeconds}s`);
 }
 
 //new method added Step 6
@@ -686,7 +900,7 @@ handleCallUpdate(socket, data) {
     this.updateAgentActivity(agentCode, agentName);
 
     // Broadcast call update to dashboard
-    this.io.emit('call_update', {
+    this.io.to(DASHBOARD_ROOM).emit('call_update', {
       agentCode,
       agentName,
       phoneNumber,
@@ -718,7 +932,7 @@ handleTalkTimeUpdate(socket, data) {
     console.log(`📊 Talk time update for ${agentCode}: ${talkTime}s`);
 
     // Broadcast updated talk time to dashboard
-    this.io.emit('talktime_update', {
+    this.io.to(DASHBOARD_ROOM).emit('talktime_update', {
       agentCode,
       agentName,
       talkTime,
@@ -756,6 +970,403 @@ cleanup() {
     return this.connectedAgents.size;
   }
 
+  // Sends a new announcement to every recipient connected here; the rest get it when they reconnect
+  async sendAnnouncement(announcement) {
+    for (const agentCode of Object.keys(announcement.recipients)) {
+      if (this.sendToAgent(agentCode, 'announcement', announcements.toAgentPayload(announcement))) {
+        await announcements.recordReceipt(announcement.id, agentCode, 'sentAt');
+      }
+    }
+
+    this.broadcastAnnouncementUpdate(announcement);
+    return announcements.summarize(announcement);
+  }
+
+  async deliverPendingAnnouncements(agentCode) {
+    try {
+      const pending = announcements.getUndelivered(agentCode);
+
+      for (const announcement of pending) {
+        if (this.sendToAgent(agentCode, 'announcement', announcements.toAgentPayload(announcement))) {
+          await announcements.recordReceipt(announcement.id, agentCode, 'sentAt');
+          this.broadcastAnnouncementUpdate(announcement);
+        }
+      }
+
+      if (pending.length > 0) {
+        console.log(`📢 Delivered ${pending.length} pending announcement(s) to ${agentCode}`);
+      }
+    } catch (error) {
+      console.error(`❌ Error delivering pending announcements to ${agentCode}:`, error.message);
+    }
+  }
+
+  // receipt: 'deliveredAt' or 'readAt'
+  async handleAnnouncementReceipt(socket, data, receipt) {
+    try {
+      const agentCode = (data && data.agentCode) || socket.agentCode;
+      const announcementId = data && data.announcementId;
+
+      if (!agentCode || !announcementId) {
+        socket.emit('error', { message: 'Agent code and announcement ID required' });
+        return;
+      }
+
+      const parsed = data.timestamp ? new Date(data.timestamp) : null;
+      const at = parsed && !isNaN(parsed.getTime()) ? parsed : new Date();
+      const announcement = await announcements.recordReceipt(announcementId, agentCode, receipt, at);
+
+      if (!announcement) {
+        console.log(`⚠️ ${receipt} receipt from ${agentCode} for unknown announcement ${announcementId}`);
+        return;
+      }
+
+      this.broadcastAnnouncementUpdate(announcement);
+    } catch (error) {
+      console.error('❌ Error recording announcement receipt:', error.message);
+    }
+  }
+
+  broadcastAnnouncementUpdate(announcement) {
+    this.io.to(DASHBOARD_ROOM).emit('announcement_update', announcements.summarize(announcement));
+  }
+
+  // Dashboard socket events need the signed-in user to hold the permission
+  authorizeSocket(socket, permission) {
+    if (hasPermission(socket.user, permission)) return true;
+
+    socket.emit('error', {
+      message: socket.user ? `Requires ${permission} permission` : 'Authentication required'
+    });
+    return false;
+  }
+
+  // Checks an inbound event against its schema in src/schemas.js. On a mismatch the sender
+  // gets the problems (through the acknowledgment callback, else an 'error' event) and this returns false
+  validatePayload(socket, event, data, callback = null) {
+    const errors = validate(eventSchemas[event], data === undefined || data === null ? {} : data);
+    if (errors.length === 0) return true;
+
+    const failure = validationFailure(errors);
+    console.log(`⚠️ Rejected ${event} from ${socket.agentCode || socket.id}: ${failure.error}`);
+
+    if (typeof callback === 'function') {
+      callback(failure);
+    } else {
+      socket.emit('error', { message: failure.error, code: failure.code, event, errors });
+    }
+    return false;
+  }
+
+  // Agent app events must come from a device paired to that agent (unless pairing isn't required)
+  authorizeAgent(socket, data) {
+    const agentCode = data && data.agentCode;
+
+    if (socket.device) {
+      if (agentCode && agentCode !== socket.device.agentCode) {
+        console.log(`⚠️ Device ${socket.device.id} (${socket.device.agentCode}) sent an event for ${agentCode}`);
+        socket.emit('error', { message: `This device is paired to agent ${socket.device.agentCode}` });
+        return false;
+      }
+      return true;
+    }
+
+    if (config.devices.requirePairing) {
+      socket.emit('error', { message: 'Paired device required' });
+      return false;
+    }
+    return true;
+  }
+
+  // Disconnects a revoked device's sockets; returns how many there were
+  disconnectDevice(deviceId) {
+    let count = 0;
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.device && socket.device.id === deviceId) {
+        socket.emit('device_revoked', { deviceId });
+        socket.disconnect(true);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Chat room for every dashboard tab a supervisor has open
+  supervisorRoom(supervisor) {
+    return `chat:supervisor:${supervisor}`;
+  }
+
+  isSupervisorConnected(supervisor) {
+    const room = this.io.sockets.adapter.rooms.get(this.supervisorRoom(supervisor));
+    return Boolean(room && room.size > 0);
+  }
+
+  // Who's on each end of the thread a chat event refers to; null (after an error reply) if it can't be told
+  resolveChatThread(socket, data) {
+    if (socket.agentCode) {
+      // Agents reply to the named supervisor, else their most recent thread
+      const supervisor = (data && data.supervisor) || chat.getThreads({ agentCode: socket.agentCode })[0]?.supervisor;
+      if (!supervisor) {
+        socket.emit('chat_error', { message: 'supervisor required - no chat thread yet' });
+        return null;
+      }
+      return { side: 'agent', supervisor, agentCode: socket.agentCode };
+    }
+
+    if (!hasPermission(socket.user, 'message:agents')) {
+      socket.emit('chat_error', { message: socket.user ? 'Requires message:agents permission' : 'Authentication required' });
+      return null;
+    }
+    if (!data || !data.agentCode) {
+      socket.emit('chat_error', { message: 'agentCode required' });
+      return null;
+    }
+    return { side: 'supervisor', supervisor: socket.user.username, agentCode: data.agentCode };
+  }
+
+  // Dashboard user opens chat: join their room, get their threads and anything sent while they were away
+  async handleChatJoin(socket) {
+    try {
+      if (!this.authorizeSocket(socket, 'message:agents')) return;
+
+      const supervisor = socket.user.username;
+      socket.join(this.supervisorRoom(supervisor));
+
+      const threads = chat.getThreads({ supervisor });
+      for (const thread of threads) {
+        const pending = chat.getUndelivered(thread, 'supervisor');
+        if (pending.length > 0) {
+          await chat.markDelivered(thread.threadId, pending.map(message => message.id));
+          this.sendToAgent(thread.agentCode, 'chat_delivered', { supervisor, messageIds: pending.map(message => message.id) });
+        }
+      }
+
+      socket.emit('chat_threads', threads.map(thread => chat.summarize(thread, 'supervisor')));
+      console.log(`💬 ${supervisor} joined chat (${threads.length} threads)`);
+    } catch (error) {
+      console.error('❌ Error joining chat:', error.message);
+      socket.emit('chat_error', { message: 'Failed to join chat' });
+    }
+  }
+
+  async handleChatSend(socket, data, callback) {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const party = this.resolveChatThread(socket, data);
+      if (!party) {
+        respond({ success: false, error: 'Unknown chat thread' });
+        return;
+      }
+
+      const agentManager = require('./services/agentManager');
+      const message = await chat.addMessage({
+        supervisor: party.supervisor,
+        agentCode: party.agentCode,
+        agentName: socket.agentName || agentManager.getAgent(party.agentCode)?.agentName || null,
+        from: party.side,
+        text: data.text
+      });
+
+      // Delivered now if the other side is connected; otherwise when they next connect
+      const delivered = party.side === 'supervisor'
+        ? this.sendToAgent(party.agentCode, 'chat_message', message)
+        : this.isSupervisorConnected(party.supervisor);
+      if (delivered) {
+        await chat.markDelivered(message.threadId, [message.id]);
+      }
+
+      // Every dashboard tab of the supervisor sees the thread move, whichever side wrote
+      this.io.to(this.supervisorRoom(party.supervisor)).emit('chat_message', message);
+
+      respond({ success: true, data: message });
+    } catch (error) {
+      console.error('❌ Error sending chat message:', error.message);
+      respond({ success: false, error: 'Failed to send message' });
+    }
+  }
+
+  handleChatHistory(socket, data, callback) {
+    const respond = typeof callback === 'function' ? callback : (response) => socket.emit('chat_history', response);
+
+    try {
+      const party = this.resolveChatThread(socket, data);
+      if (!party) {
+        respond({ success: false, error: 'Unknown chat thread' });
+        return;
+      }
+
+      const thread = chat.findThread(party.supervisor, party.agentCode);
+      // Bounded by the chat_history schema
+      const limit = (data && data.limit) || config.chat.historyLimit;
+      const before = (data && data.before) || null;
+      respond({
+        success: true,
+        data: {
+          supervisor: party.supervisor,
+          agentCode: party.agentCode,
+          messages: thread ? chat.getHistory(thread.threadId, { before, limit }) : [],
+          unread: thread ? chat.summarize(thread, party.side).unread : 0
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error loading chat history:', error.message);
+      respond({ success: false, error: 'Failed to load chat history' });
+    }
+  }
+
+  // Reader has seen the whole thread - the other side gets a read receipt
+  async handleChatRead(socket, data) {
+    try {
+      const party = this.resolveChatThread(socket, data);
+      if (!party) return;
+
+      const thread = chat.findThread(party.supervisor, party.agentCode);
+      if (!thread || await chat.markRead(thread.threadId, party.side) === 0) return;
+
+      const receipt = {
+        threadId: thread.threadId,
+        supervisor: party.supervisor,
+        agentCode: party.agentCode,
+        reader: party.side,
+        readAt: new Date().toISOString()
+      };
+      this.sendToAgent(party.agentCode, 'chat_read', receipt);
+      this.io.to(this.supervisorRoom(party.supervisor)).emit('chat_read', receipt);
+    } catch (error) {
+      console.error('❌ Error marking chat read:', error.message);
+    }
+  }
+
+  // Typing indicators aren't stored - only relayed to the other side if connected
+  handleChatTyping(socket, data) {
+    try {
+      const party = this.resolveChatThread(socket, data);
+      if (!party) return;
+
+      const indicator = {
+        supervisor: party.supervisor,
+        agentCode: party.agentCode,
+        from: party.side,
+        typing: !data || data.typing !== false,
+        timestamp: new Date().toISOString()
+      };
+
+      if (party.side === 'supervisor') {
+        this.sendToAgent(party.agentCode, 'chat_typing', indicator);
+      } else {
+        this.io.to(this.supervisorRoom(party.supervisor)).emit('chat_typing', indicator);
+      }
+    } catch (error) {
+      console.error('❌ Error relaying typing indicator:', error.message);
+    }
+  }
+
+  // Supervisor messages sent while the agent was offline, then the agent's unread counts
+  async deliverPendingChat(agentCode) {
+    try {
+      const threads = chat.getThreads({ agentCode });
+
+      for (const thread of threads) {
+        const pending = chat.getUndelivered(thread, 'agent');
+        for (const message of pending) {
+          this.sendToAgent(agentCode, 'chat_message', message);
+        }
+        if (pending.length > 0) {
+          await chat.markDelivered(thread.threadId, pending.map(message => message.id));
+          this.io.to(this.supervisorRoom(thread.supervisor)).emit('chat_delivered', {
+            agentCode,
+            messageIds: pending.map(message => message.id)
+          });
+        }
+      }
+
+      if (threads.length > 0) {
+        this.sendToAgent(agentCode, 'chat_threads', threads.map(thread => chat.summarize(thread, 'agent')));
+      }
+    } catch (error) {
+      console.error(`❌ Error delivering pending chat to ${agentCode}:`, error.message);
+    }
+  }
+
+  // What the agent app needs to show its reminder settings and schedule reminders locally
+  async getAgentProfile(agentCode) {
+    const agentManager = require('./services/agentManager');
+    const agent = agentManager.getAgent(agentCode);
+    if (!agent) return null;
+
+    const reminderSettings = agent.reminderSettings || { enabled: true, intervalMinutes: 5 };
+    const reminderState = await redis.getLastReminderSent(agentCode);
+    const nextDueAt = reminderState && parseInt(reminderState.nextDueAt);
+
+    return {
+      agentCode: agent.agentCode,
+      agentName: agent.agentName,
+      team: agent.team || null,
+      language: agent.language || config.reminders.defaultLanguage,
+      reminderSettings: {
+        enabled: reminderSettings.enabled !== false,
+        intervalMinutes: reminderSettings.intervalMinutes,
+        schedule: reminderSettings.schedule || null,
+        scheduleActive: isScheduleActive(reminderSettings.schedule),
+        templateId: reminderTemplates.resolveTemplate(agent).id,
+        nextReminderDueAt: nextDueAt ? new Date(nextDueAt).toISOString() : null
+      },
+      config: {
+        breakReasons: config.breaks.reasonCodes,
+        languages: config.reminders.languages,
+        timezone: config.business.timezone,
+        dayStartHour: config.business.dayStartHour,
+        reminderCheckIntervalSeconds: config.reminders.checkIntervalSeconds
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async handleGetAgentProfile(socket, data, callback) {
+    const agentCode = (data && data.agentCode) || socket.agentCode;
+    const respond = typeof callback === 'function' ? callback : (response) => socket.emit('agent_profile', response);
+
+    try {
+      if (!agentCode) {
+        respond({ success: false, error: 'Agent code required' });
+        return;
+      }
+
+      // An agent app reads its own profile; anyone else's needs a dashboard session
+      if (agentCode !== socket.agentCode && !hasPermission(socket.user, 'read:analytics')) {
+        respond({ success: false, error: 'Not allowed to read this agent profile' });
+        return;
+      }
+
+      const profile = await this.getAgentProfile(agentCode);
+      respond(profile
+        ? { success: true, data: profile }
+        : { success: false, error: `Agent ${agentCode} not found` });
+
+    } catch (error) {
+      console.error(`❌ Error getting profile for ${agentCode}:`, error.message);
+      respond({ success: false, error: 'Failed to load agent profile' });
+    }
+  }
+
+  // Tell a connected agent app its settings changed; false when the agent isn't connected here
+  async pushAgentSettings(agentCode) {
+    try {
+      const profile = await this.getAgentProfile(agentCode);
+      if (!profile) return false;
+
+      const delivered = this.sendToAgent(agentCode, 'reminder_settings_changed', profile);
+      if (delivered) {
+        console.log(`📲 Settings pushed to ${agentCode}`);
+      }
+      return delivered;
+    } catch (error) {
+      console.error(`❌ Error pushing settings to ${agentCode}:`, error.message);
+      return false;
+    }
+  }
+
   // Method to send message to specific agent
   sendToAgent(agentCode, event, data) {
     const socketId = this.connectedAgents.get(agentCode);